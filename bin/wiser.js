@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** `wiser` command-line tool - manage the heating without writing scripts. Run `wiser help` for usage */
+
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+const Wiser = require('../src/index')
+const friendly = require('../src/friendly')
+
+/** Exit codes
+ * @type {Object<string, number>}
+ */
+const EXIT = {
+    OK: 0,
+    /** The command failed (e.g. the controller could not be reached or refused the change) */
+    ERROR: 1,
+    /** Bad command line or configuration */
+    USAGE: 2,
+}
+
+const USAGE = `Usage: wiser [options] <command> [arguments]
+
+Commands:
+  status                              Table of rooms with current and set temperature, mode and override
+  rooms                               List the rooms
+  get <service>                       Raw controller data for a service (e.g. full, rooms, system, devices)
+  set <room> <mode> [temp] [minutes]  Set a room's mode (auto, boost, manual, set, off). Room is a name or ID
+  system <mode>                       Set the system mode (away, normal, boostAllRooms, cancelAllOverrides)
+  monitor                             Print changes as they happen (Ctrl+C to stop)
+  schedules export [folder]           Save all schedules to JSON files
+  schedules import [folder|file]      Load schedules from JSON files (as written by export)
+  help                                Show this help
+
+Options:
+  --ip <address>       Controller IP address (or WISER_IP)
+  --secret <secret>    Controller API secret (or WISER_SECRET)
+  --config <file>      JSON config file with ip, secret and any other settings (or WISER_CONFIG, default ~/.wiser.json)
+  --json               Output JSON for scripting
+  --count <n>          monitor: stop after n changes
+
+Exit codes: 0 OK, 1 command failed, 2 bad command line or configuration
+`
+
+/** Split the command line into options and positional arguments
+ * @param {Array<string>} argv Command line arguments (without node and the script)
+ * @return {{options: Object<string, string|boolean>, args: Array<string>}}
+ */
+const parseArgs = (argv) => {
+    const flags = ['json', 'help']
+    const options = {}
+    const args = []
+
+    for ( let i = 0; i < argv.length; i++ ) {
+        const arg = argv[i]
+        if ( !arg.startsWith('--') ) {
+            args.push(arg)
+            continue
+        }
+        let [name, value] = arg.slice(2).split(/=(.*)/)
+        if ( flags.includes(name) ) {
+            options[name] = true
+            continue
+        }
+        if ( value === undefined ) {
+            value = argv[++i]
+            if ( value === undefined ) throw usageError(`--${name} needs a value`)
+        }
+        options[name] = value
+    }
+
+    return { options, args }
+}
+
+/** Error for a bad command line or configuration
+ * @param {string} message Description of the problem
+ * @return {{error: string, exitCode: number}}
+ */
+const usageError = (message) => {
+    return { error: message, exitCode: EXIT.USAGE }
+}
+
+/** Work out the connection settings. Flags win over environment variables, which win over the config file
+ * @param {Object<string, string|boolean>} options Command line options
+ * @param {Object<string, string>} env Environment variables
+ * @return {Object} Settings for setConfig
+ */
+const getConfig = (options, env) => {
+    let config = {}
+
+    const configFile = options.config || env.WISER_CONFIG
+    const file = configFile ? path.resolve(configFile) : path.join(os.homedir(), '.wiser.json')
+    if ( configFile || fs.existsSync(file) ) {
+        try {
+            config = JSON.parse( fs.readFileSync(file, 'utf8') )
+        } catch (err) {
+            throw usageError(`Could not read config file ${file}: ${err.message}`)
+        }
+    }
+
+    if ( env.WISER_IP ) config.ip = env.WISER_IP
+    if ( env.WISER_SECRET ) config.secret = env.WISER_SECRET
+    if ( options.ip ) config.ip = options.ip
+    if ( options.secret ) config.secret = options.secret
+
+    // The commands finish straight away, so there is no daily override cancel to run
+    delete config.boostCancelTime
+
+    if ( !config.ip || !config.secret ) {
+        throw usageError('The controller IP and secret are needed: use --ip and --secret, WISER_IP and WISER_SECRET or a config file')
+    }
+    return config
+}
+
+/** Format a list of rows as a text table
+ * @param {Array<string>} headings Column headings
+ * @param {Array<Array<string>>} rows Table rows
+ * @return {string} Table text
+ */
+const table = (headings, rows) => {
+    const all = [headings].concat(rows)
+    const widths = headings.map( (h, i) => Math.max(...all.map( row => String(row[i]).length )) )
+    return all.map( row => row.map( (cell, i) => String(cell).padEnd(widths[i]) ).join('  ').replace(/\s+$/, '') ).join('\n') + '\n'
+}
+
+/** Text for a temperature in °C */
+const showTemp = (temp) => {
+    if ( temp === null ) return '-'
+    if ( temp === -20 ) return 'off'
+    return `${temp}°C`
+}
+
+/** Text for a room override, e.g. 'boost 21°C until 14:30:00' */
+const showOverride = (override) => {
+    if ( !override ) return ''
+    return `${override.type} ${showTemp(override.setPoint)}${override.until ? ' until ' + new Date(override.until).toLocaleTimeString() : ''}`
+}
+
+/** Logger for the library's messages. They go to the error output so that the normal (e.g. JSON) output is only the result
+ * @param {{write: Function}} err Error output
+ * @return {Object} Logger with debug, info, warn and error functions (see Wiser setLogger)
+ */
+const errLogger = (err) => {
+    const logger = {}
+    ;['debug', 'info', 'warn', 'error'].forEach( level => {
+        logger[level] = (fields, message) => {
+            err.write( Object.keys(fields).length > 0 ? `${message} ${JSON.stringify(fields)}\n` : `${message}\n` )
+        }
+    })
+    return logger
+}
+
+/** Exit code for an error - bad arguments (e.g. an unknown room or mode) are usage errors
+ * @param {Object} e Error
+ * @return {number} Exit code
+ */
+const exitCodeFor = (e) => {
+    if ( e instanceof Wiser.WiserValidationError || e instanceof Wiser.WiserNotFoundError ) return EXIT.USAGE
+    return (e && e.exitCode) || EXIT.ERROR
+}
+
+/** Run the `wiser` command
+ * @param {Array<string>} argv Command line arguments (without node and the script)
+ * @param {Object} [io] Where to write output and read the environment. Optional, defaults to the process
+ * @param {{write: Function}} [io.out] Normal output
+ * @param {{write: Function}} [io.err] Error output
+ * @param {Object<string, string>} [io.env] Environment variables
+ * @return {Promise<number>} Exit code
+ */
+const main = async (argv, {out=process.stdout, err=process.stderr, env=process.env}={}) => {
+    let options = {}
+    let wiser
+
+    try {
+        const parsed = parseArgs(argv)
+        options = parsed.options
+        const [command, ...args] = parsed.args
+
+        if ( command === undefined || command === 'help' || options.help ) {
+            out.write(USAGE)
+            return command === undefined && !options.help ? EXIT.USAGE : EXIT.OK
+        }
+
+        const commands = { status, rooms, get, set, system, monitor, schedules }
+        if ( !Object.prototype.hasOwnProperty.call(commands, command) ) throw usageError(`Unknown command: ${command}. Run wiser help for usage`)
+
+        wiser = Wiser()
+        wiser.setLogger( errLogger(err) )
+        wiser.setConfig( getConfig(options, env) )
+
+        const print = (text, data) => out.write( options.json ? JSON.stringify(data) + '\n' : text )
+        return await commands[command](wiser, args, options, print)
+
+    } catch (e) {
+        const message = (e && (e.error || e.message)) || String(e)
+        err.write( options.json ? JSON.stringify({ error: typeof message === 'string' ? message : String(message) }) + '\n' : `wiser: ${message}\n` )
+        return exitCodeFor(e)
+    } finally {
+        if ( wiser ) wiser.removeMonitor('cli')
+    }
+}
+
+//#region ---- Commands ---- //
+// Each command resolves to the exit code and prints with `print(text, jsonData)`
+
+/** `status` - table of rooms */
+const status = async (wiser, args, options, print) => {
+    const full = await wiser.getFull()
+    const rooms = full.Room.map( room => friendly.room(room, full) )
+    const rows = rooms.map( room => [
+        room.name,
+        showTemp(room.temperature),
+        showTemp(room.setPoint),
+        room.mode,
+        showOverride(room.override),
+    ])
+    print( table(['Room', 'Temp', 'Set', 'Mode', 'Override'], rows), rooms )
+    return EXIT.OK
+}
+
+/** `rooms` - list of rooms */
+const rooms = async (wiser, args, options, print) => {
+    const full = await wiser.getFull()
+    const list = full.Room.map( room => {
+        const r = friendly.room(room, full)
+        return { id: r.id, name: r.name, scheduleId: r.scheduleId, roomStatId: r.roomStatId, smartValveIds: r.smartValveIds }
+    })
+    print( table(['ID', 'Room', 'Schedule'], list.map( room => [room.id, room.name, room.scheduleId] )), list )
+    return EXIT.OK
+}
+
+/** `get <service>` - raw controller data */
+const get = async (wiser, args, options, print) => {
+    if ( !args[0] ) throw usageError('get needs a service name, e.g. wiser get rooms')
+    const result = await wiser.get(args[0])
+    print( JSON.stringify(result[args[0]], null, 2) + '\n', result[args[0]] )
+    return EXIT.OK
+}
+
+/** `set <room> <mode> [temp] [minutes]` - set a room's mode */
+const set = async (wiser, args, options, print) => {
+    const [room, mode, temp, minutes] = args
+    if ( !room || !mode ) throw usageError('set needs a room and a mode, e.g. wiser set Lounge boost 21 30')
+    if ( temp !== undefined && !isFinite(Number(temp)) ) throw usageError(`Temperature must be a number: ${temp}`)
+    if ( minutes !== undefined && !Number.isInteger(Number(minutes)) ) throw usageError(`Minutes must be a whole number: ${minutes}`)
+
+    const result = await wiser.setRoomMode(room, mode, temp === undefined ? undefined : Number(temp), minutes === undefined ? undefined : Number(minutes))
+    const after = friendly.room(result.lastResult)
+    // The mode is the room's own mode, a boost or set temperature is an override on top of it
+    const override = after.override ? `, ${showOverride(after.override)}` : ''
+    print( `${after.name}: ${after.mode}${override}, set point ${showTemp(after.setPoint)}\n`, after )
+    return EXIT.OK
+}
+
+/** `system <mode>` - set the system mode */
+const system = async (wiser, args, options, print) => {
+    if ( !args[0] ) throw usageError('system needs a mode: away, normal, boostAllRooms or cancelAllOverrides')
+    await wiser.setSystemMode(args[0])
+    print( `System mode: ${args[0]}\n`, { mode: args[0] } )
+    return EXIT.OK
+}
+
+/** `monitor` - print changes until Ctrl+C (or --count changes) */
+const monitor = (wiser, args, options, print) => {
+    const count = options.count === undefined ? Infinity : Number(options.count)
+    if ( !(count > 0) ) throw usageError(`--count must be a positive number: ${options.count}`)
+
+    return new Promise( resolve => {
+        let seen = 0
+        const stop = (code) => {
+            process.removeListener('SIGINT', onInterrupt)
+            resolve(code)
+        }
+        const onInterrupt = () => stop(EXIT.OK)
+        process.once('SIGINT', onInterrupt)
+
+        wiser.eventEmitter.on('wiserChange', change => {
+            const text = Object.keys(change.changes).map( prop => {
+                return `${prop} ${JSON.stringify(change.prev[prop])} -> ${JSON.stringify(change.changes[prop])}`
+            }).join(', ')
+            const name = change.room ? ` (${change.room})` : ''
+            print( `${change.updated.toLocaleTimeString()} ${change.type} ${change.id === undefined ? '' : change.id}${name}: ${text}\n`, change )
+            if ( ++seen >= count ) stop(EXIT.OK)
+        })
+        wiser.eventEmitter.on('wiserError', error => {
+            // Keep going, the controller may come back
+            const message = error.error && (error.error.error || error.error.message)
+            print( `${error.updated.toLocaleTimeString()} Error: ${message || 'controller not available'}\n`, { error: message || 'controller not available' } )
+        })
+        wiser.monitor('cli')
+    })
+}
+
+/** `schedules export [folder]` and `schedules import [folder|file]` */
+const schedules = async (wiser, args, options, print) => {
+    const [action, target] = args
+    if ( action === 'export' ) {
+        wiser.setFolder( path.resolve(target || '.') )
+        const saved = await wiser.saveAllSchedules(true)
+        const list = saved.map( sched => ({ id: sched.id, rooms: sched.rooms, file: sched.file }) )
+        print( list.map( sched => `${sched.file}\n` ).join(''), list )
+        return EXIT.OK
+    }
+    if ( action === 'import' ) {
+        const source = path.resolve(target || '.')
+        let results
+        if ( fs.existsSync(source) && fs.statSync(source).isFile() ) {
+            try {
+                const result = await wiser.loadSchedule(source)
+                results = [ { id: result.id, file: source } ]
+            } catch (error) {
+                results = [ { file: source, error } ]
+            }
+        } else {
+            results = await wiser.loadAllSchedules(source)
+        }
+        const list = results.map( res => ({ id: res.id, file: res.file, error: res.error ? res.error.error : undefined }) )
+        print( list.map( res => `${res.file}: ${res.error ? res.error : 'loaded'}\n` ).join('') || 'No schedule files found\n', list )
+        return list.some( res => res.error ) ? EXIT.ERROR : EXIT.OK
+    }
+    throw usageError('schedules needs export or import, e.g. wiser schedules export ./backup')
+}
+
+//#endregion ---- Commands ---- //
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    main(process.argv.slice(2)).then( code => {
+        process.exitCode = code
+    })
+} else {
+    module.exports = { main, EXIT }
+}
+
+//EOF
@@ -0,0 +1,459 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Heating analytics
+ *
+ * Reports (from the readings kept by a HistoryRecorder):
+ *   Heating channel (boiler relay) on-time per day, each room's share of the heating demand, each room's typical
+ *   warm-up rate (°C per hour), how long rooms take to reach a new scheduled set point and rooms that never reach it.
+ *
+ * Live checks (on every full update, e.g. each monitor poll) emit `wiserAnomaly` when a room departs a lot from its usual pattern:
+ *   noWarmUp     - The room has been calling for heat for a while but is warming up much more slowly than usual (e.g. a stuck valve)
+ *   fastCooling  - The room is cooling quickly while calling for heat (e.g. an open window)
+ *
+ * The analysis functions work on a room's readings as returned by HistoryRecorder.query (`{t, temperature, setPoint, mode, override, demand, heating}`).
+ */
+
+const friendly = require('./friendly')
+const { WiserConfigError } = require('./errors')
+
+/** One minute and one hour (ms) */
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+/** Round to 1 decimal place */
+const round1 = (value) => Math.round(value * 10) / 10
+
+/** Middle value
+ * @param {Array<number>} values Values
+ * @return {number|null} Median, null if there are no values
+ */
+const median = (values) => {
+    if ( values.length < 1 ) return null
+    const sorted = values.slice().sort( (a, b) => a - b )
+    const mid = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/** Local date of a time, e.g. '2020-11-28'
+ * @param {number} time Time (ms)
+ * @return {string} Date
+ */
+const localDate = (time) => {
+    const d = new Date(time)
+    const pad = n => String(n).padStart(2, '0')
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+}
+
+/** Each pair of readings next to each other, unless there is a gap between them (e.g. the monitor was stopped)
+ * The first reading of a pair is taken to hold until the second.
+ * @param {Array<Object>} points Readings in time order
+ * @param {number} maxGap Longest time between readings that still counts as continuous (ms)
+ * @return {Array<Array<Object>>} Pairs [from, to]
+ */
+const spans = (points, maxGap) => {
+    const out = []
+    for ( let i = 1; i < points.length; i++ ) {
+        if ( points[i].t - points[i - 1].t <= maxGap ) out.push([points[i - 1], points[i]])
+    }
+    return out
+}
+
+/** Heating relay on-time per (local) day
+ * @param {Array<Object>} points Readings in time order (`heating` is the relay state)
+ * @param {number} maxGap Longest gap between readings (ms)
+ * @return {Array<{date: string, onMinutes: number, recordedMinutes: number, dutyCycle: number|null}>} dutyCycle is the % of the recorded time the relay was on
+ */
+const onTimePerDay = (points, maxGap) => {
+    const days = {}
+    spans(points, maxGap).forEach( ([from, to]) => {
+        // Split spans that cross midnight
+        let t = from.t
+        while ( t < to.t ) {
+            const d = new Date(t)
+            const midnight = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime()
+            const end = Math.min(midnight, to.t)
+            const date = localDate(t)
+            if ( !days[date] ) days[date] = { date, on: 0, recorded: 0 }
+            days[date].recorded += end - t
+            if ( from.heating === true ) days[date].on += end - t
+            t = end
+        }
+    })
+    return Object.keys(days).sort().map( date => ({
+        date,
+        onMinutes: Math.round(days[date].on / MINUTE),
+        recordedMinutes: Math.round(days[date].recorded / MINUTE),
+        dutyCycle: days[date].recorded > 0 ? round1(days[date].on / days[date].recorded * 100) : null,
+    }))
+}
+
+/** Heating demand over time (% × hours), used for each room's share
+ * @param {Array<Object>} points Readings in time order
+ * @param {number} maxGap Longest gap between readings (ms)
+ * @return {number} Demand-hours
+ */
+const demandHours = (points, maxGap) => {
+    return spans(points, maxGap).reduce( (total, [from, to]) => total + (from.demand || 0) * (to.t - from.t) / HOUR, 0 )
+}
+
+/** Periods where the room was calling for heat and below its set point, with the rate it warmed up
+ * @param {Array<Object>} points Readings in time order
+ * @param {Object} options Settings
+ * @param {number} options.maxGap Longest gap between readings (ms)
+ * @param {number} options.tolerance How close to the set point counts as reached (°C)
+ * @param {number} options.minRun Shortest period used (ms)
+ * @return {Array<{start: number, end: number, from: number, to: number, rate: number}>} Temperatures (°C) and rate (°C per hour)
+ */
+const warmUps = (points, {maxGap, tolerance, minRun}) => {
+    const out = []
+    let run = []
+    const finish = () => {
+        if ( run.length > 1 && run[run.length - 1].t - run[0].t >= minRun ) {
+            const first = run[0]
+            const last = run[run.length - 1]
+            out.push({
+                start: first.t,
+                end: last.t,
+                from: first.temperature,
+                to: last.temperature,
+                rate: round1( (last.temperature - first.temperature) / ((last.t - first.t) / HOUR) ),
+            })
+        }
+        run = []
+    }
+    points.forEach( point => {
+        const calling = point.demand > 0 && typeof point.temperature === 'number' && typeof point.setPoint === 'number'
+        if ( run.length > 0 && ( !calling || point.t - run[run.length - 1].t > maxGap ) ) finish()
+        if ( !calling ) return
+        run.push(point)
+        if ( point.temperature >= point.setPoint - tolerance ) finish()
+    })
+    finish()
+    return out
+}
+
+/** How long the room took to reach each new (higher) scheduled set point
+ * Only changes made by the schedule are used: the room is in auto mode without an override.
+ * @param {Array<Object>} points Readings in time order
+ * @param {Object} options Settings
+ * @param {number} options.maxGap Longest gap between readings (ms)
+ * @param {number} options.tolerance How close to the set point counts as reached (°C)
+ * @return {Array<{t: number, setPoint: number, from: number, minutes: number|null}>} minutes is null if the set point was not reached
+ *         before it changed again (or the readings stopped)
+ */
+const setPointResponses = (points, {maxGap, tolerance}) => {
+    const out = []
+    let current = null
+    for ( let i = 1; i < points.length; i++ ) {
+        const prev = points[i - 1]
+        const point = points[i]
+        const scheduled = point.mode === 'auto' && point.override === null
+
+        if ( current !== null ) {
+            if ( point.setPoint !== current.setPoint || point.t - prev.t > maxGap || !scheduled ) {
+                out.push(current)
+                current = null
+            } else if ( point.temperature >= current.setPoint - tolerance ) {
+                current.minutes = Math.round( (point.t - current.t) / MINUTE )
+                out.push(current)
+                current = null
+                continue
+            }
+        }
+
+        if ( current === null && scheduled && point.t - prev.t <= maxGap
+            && point.setPoint > prev.setPoint + tolerance && point.temperature < point.setPoint - tolerance ) {
+            current = { t: point.t, setPoint: point.setPoint, from: point.temperature, minutes: null }
+        }
+    }
+    if ( current !== null ) out.push(current)
+    return out
+}
+
+/** Heating analytics for a Wiser instance - reports from the readings kept by a HistoryRecorder and live anomaly checks
+ * Use as `const analytics = require('node-drayton-wiser').Analytics(wiser, {history}); await analytics.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} [options] Optional settings
+ * @param {Object} [options.history] HistoryRecorder with the readings. Needed for reports and to learn each room's usual warm-up rate
+ * @param {number} [options.tolerance] How close to the set point counts as reached (°C). Default 0.2
+ * @param {number} [options.maxGap] Longest gap between readings that counts as continuous (s). Default 900
+ * @param {number} [options.minWarmUp] Shortest warm-up period used for the rates (minutes). Default 20
+ * @param {number} [options.learnDays] Days of history used to learn each room's usual warm-up rate. Default 14
+ * @param {number} [options.anomalyWindow] How long a room must be calling for heat before a slow warm-up is reported (minutes). Default 60
+ * @param {number} [options.anomalyRatio] A warm-up slower than this fraction of the usual rate is reported. Default 0.25
+ * @param {number} [options.minRate] Slowest normal warm-up (°C per hour) used for rooms without a usual rate yet. Default 0.1
+ * @param {number} [options.coolingRate] Cooling faster than this (°C per hour) while calling for heat is reported. Default 2
+ * @return {Object} Public interfaces
+ */
+const Analytics = function(wiser, {
+    history = null,
+    tolerance = 0.2,
+    maxGap = 900,
+    minWarmUp = 20,
+    learnDays = 14,
+    anomalyWindow = 60,
+    anomalyRatio = 0.25,
+    minRate = 0.1,
+    coolingRate = 2,
+}={}) {
+
+    const gap = maxGap * 1000
+    const window = anomalyWindow * MINUTE
+
+    /** Usual warm-up rate (°C per hour) by room id, from learn() */
+    let usualRates = {}
+    /** Recent readings by room id for the live checks */
+    const recent = {}
+    /** Anomalies already reported by room id and type, so each is only reported once until it clears */
+    const active = {}
+    /** True while checking */
+    let started = false
+
+    /** Readings for a room from the history
+     * @param {number} roomId Room id
+     * @param {number} from Start (ms)
+     * @param {number} to End (ms)
+     * @return {Promise<Array<Object>>} Readings
+     */
+    const series = async (roomId, from, to) => {
+        return (await history.query(roomId, { from, to })).points
+    }
+
+    /** Get the rooms and heating channels, from the latest controller data if there is some
+     * @return {Promise<Object>} Full controller data
+     */
+    const hubData = async () => {
+        const model = wiser.getModel()
+        return model ? model.raw : wiser.getFull()
+    }
+
+    /** Build a report for a period
+     * @param {Object} [options] Optional
+     * @param {Date|number|string} [options.from] Start. Default 7 days before `to`
+     * @param {Date|number|string} [options.to] End. Default now
+     * @return {Promise<Object>} `{from, to, channels, rooms, neverReachSetPoint}`, see the README
+     */
+    const report = async ({from=undefined, to=undefined}={}) => {
+        if ( history === null ) {
+            return Promise.reject(new WiserConfigError('[node-drayton-wiser:Analytics.report] A HistoryRecorder is needed for reports, use the history option'))
+        }
+        const end = to === undefined ? Date.now() : new Date(to).getTime()
+        const start = from === undefined ? end - 7 * 24 * HOUR : new Date(from).getTime()
+
+        const full = await hubData()
+        const byRoom = {}
+        for ( const room of friendly.list(full.Room) ) {
+            byRoom[room.id] = await series(room.id, start, end)
+        }
+
+        const demand = {}
+        friendly.list(full.Room).forEach( room => { demand[room.id] = demandHours(byRoom[room.id], gap) } )
+        const totalDemand = Object.keys(demand).reduce( (total, id) => total + demand[id], 0 )
+
+        const rooms = friendly.list(full.Room).map( room => {
+            const points = byRoom[room.id]
+            const runs = warmUps(points, { maxGap: gap, tolerance, minRun: minWarmUp * MINUTE })
+            const responses = setPointResponses(points, { maxGap: gap, tolerance })
+            const reached = responses.filter( r => r.minutes !== null )
+            return {
+                id: room.id,
+                name: room.Name,
+                readings: points.length,
+                demandShare: totalDemand > 0 ? round1(demand[room.id] / totalDemand * 100) : null,
+                warmUpRate: runs.length > 0 ? round1(median( runs.map( run => run.rate ) )) : null,
+                warmUps: runs.length,
+                timeToSetPoint: {
+                    median: reached.length > 0 ? median( reached.map( r => r.minutes ) ) : null,
+                    changes: responses.length,
+                    reached: reached.length,
+                },
+                reachesSetPoint: responses.length > 0 ? reached.length > 0 : null,
+            }
+        })
+
+        // A channel's relay state is recorded with each of its rooms, use the room with the most readings
+        const channels = friendly.list(full.HeatingChannel).map( channel => {
+            const roomIds = (channel.RoomIds || []).filter( id => byRoom[id] )
+            const best = roomIds.sort( (a, b) => byRoom[b].length - byRoom[a].length )[0]
+            return {
+                id: channel.id,
+                name: channel.Name,
+                days: best === undefined ? [] : onTimePerDay(byRoom[best], gap),
+            }
+        })
+
+        return {
+            from: new Date(start),
+            to: new Date(end),
+            channels,
+            rooms,
+            neverReachSetPoint: rooms.filter( room => room.reachesSetPoint === false ).map( room => room.name ),
+        }
+    }
+
+    /** Learn each room's usual warm-up rate from the history
+     * @param {Date|number} [now] Current time. Optional, default now
+     * @return {Promise<Object<number, number>>} Usual rate (°C per hour) by room id
+     */
+    const learn = async (now=Date.now()) => {
+        if ( history === null ) return usualRates
+        const end = now instanceof Date ? now.getTime() : now
+        const full = await hubData()
+        const rates = {}
+        for ( const room of friendly.list(full.Room) ) {
+            const runs = warmUps(await series(room.id, end - learnDays * 24 * HOUR, end), { maxGap: gap, tolerance, minRun: minWarmUp * MINUTE })
+            if ( runs.length > 0 ) rates[room.id] = median( runs.map( run => run.rate ) )
+        }
+        usualRates = rates
+        return Object.assign({}, usualRates)
+    }
+
+    /** Report an anomaly once, until it clears
+     * @param {Object} room Friendly room
+     * @param {string} type Anomaly type
+     * @param {boolean} found True if the anomaly is there now
+     * @param {Object} details Extra data for the event
+     * @param {number} time Time of the check (ms)
+     * @fires wiserAnomaly
+     */
+    const anomaly = (room, type, found, details, time) => {
+        const key = `${room.id}:${type}`
+        if ( !found ) {
+            delete active[key]
+            return
+        }
+        if ( active[key] ) return
+        active[key] = true
+
+        /** wiserAnomaly event. A room is behaving very differently from usual
+         * @event wiserAnomaly
+         * @type {object}
+         * @property {Date} updated - Time of the check
+         * @property {string} type - noWarmUp (e.g. a stuck valve) or fastCooling (e.g. an open window)
+         * @property {number} roomId - Room id
+         * @property {string} room - Room name
+         * @property {number} temperature - Room temperature (°C)
+         * @property {number} setPoint - Room set point (°C)
+         * @property {Object} details - Rates and times behind the report
+         */
+        const data = {
+            'updated': new Date(time),
+            'type': type,
+            'roomId': room.id,
+            'room': room.name,
+            'temperature': room.temperature,
+            'setPoint': room.setPoint,
+            'details': details,
+        }
+        const hubId = wiser.getSettings().hubId
+        if ( hubId ) data.hubId = hubId
+        wiser.eventEmitter.emit('wiserAnomaly', data)
+    }
+
+    /** Check the latest readings of every room for anomalies
+     * @param {Object} full Full controller data
+     * @param {Date|number} [time] Time of the data. Optional, default now
+     * @fires wiserAnomaly
+     */
+    const check = (full, time=Date.now()) => {
+        if ( !full || !Array.isArray(full.Room) ) return
+        const t = time instanceof Date ? time.getTime() : time
+
+        full.Room.forEach( raw => {
+            const room = friendly.room(raw, full)
+            if ( typeof room.temperature !== 'number' ) return
+
+            const points = (recent[room.id] || []).filter( p => t - p.t <= window + gap && p.t < t )
+            points.push({ t, temperature: room.temperature, setPoint: room.setPoint, demand: room.demand || 0 })
+            recent[room.id] = points
+
+            // Only the time since the room last stopped calling for heat (or since a gap in the readings) counts
+            let first = points.length - 1
+            while ( first > 0 && points[first - 1].demand > 0 && points[first].t - points[first - 1].t <= gap ) first--
+            const calling = points.slice(first).filter( p => p.demand > 0 )
+            const last = points[points.length - 1]
+
+            // Slow warm-up: calling for heat below the set point for the whole window
+            let slow = false
+            let slowDetails = {}
+            if ( last.demand > 0 && calling.length > 1 && last.t - calling[0].t >= window && last.temperature < last.setPoint - tolerance ) {
+                const since = calling.filter( p => last.t - p.t <= window )[0]
+                const rate = round1( (last.temperature - since.temperature) / ((last.t - since.t) / HOUR) )
+                const usual = usualRates[room.id] === undefined ? null : usualRates[room.id]
+                const limit = usual === null ? minRate : Math.max(minRate, usual * anomalyRatio)
+                slow = rate < limit
+                slowDetails = { rate, usual, minutes: Math.round((last.t - calling[0].t) / MINUTE) }
+            }
+            anomaly(room, 'noWarmUp', slow, slowDetails, t)
+
+            // Fast cooling: over the last 10 minutes or more while calling for heat
+            let cooling = false
+            let coolingDetails = {}
+            const recentCalling = calling.filter( p => last.t - p.t <= 30 * MINUTE )
+            if ( last.demand > 0 && recentCalling.length > 1 && last.t - recentCalling[0].t >= 10 * MINUTE ) {
+                const from = recentCalling[0]
+                const rate = round1( (from.temperature - last.temperature) / ((last.t - from.t) / HOUR) )
+                cooling = rate > coolingRate
+                coolingDetails = { rate, minutes: Math.round((last.t - from.t) / MINUTE) }
+            }
+            anomaly(room, 'fastCooling', cooling, coolingDetails, t)
+        })
+    }
+
+    /** Check each full update, e.g. from a monitor */
+    const onFullUpdate = (full) => {
+        check(full)
+    }
+
+    /** Start the live checks (learning the usual warm-up rates from the history first)
+     * @return {Promise<void>}
+     */
+    const start = async () => {
+        if ( started ) return
+        started = true
+        if ( history !== null ) await learn()
+        wiser.eventEmitter.on('wiserFullUpdate', onFullUpdate)
+    }
+
+    /** Stop the live checks
+     * @return {Promise<void>}
+     */
+    const stop = async () => {
+        if ( !started ) return
+        started = false
+        wiser.eventEmitter.removeListener('wiserFullUpdate', onFullUpdate)
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        report,
+        learn,
+        check,
+    })
+
+} // ---- End of Analytics ---- //
+
+module.exports = Analytics
+module.exports.onTimePerDay = onTimePerDay
+module.exports.demandHours = demandHours
+module.exports.warmUps = warmUps
+module.exports.setPointResponses = setPointResponses
+
+//EOF
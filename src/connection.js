@@ -0,0 +1,207 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Connection health for one controller - retries with backoff and a connection state machine
+ *
+ * States:
+ *   unknown      - nothing has been sent yet
+ *   connected    - the last request worked first time
+ *   degraded     - the last request needed retries, or failed but not often enough in a row to count as disconnected
+ *   disconnected - `maxFailures` requests in a row have failed. Monitors poll less often until a request works again
+ *
+ * Only failures that mean the controller could not be reached count (no response, a timeout or a 5xx status).
+ * A 4xx status means the controller is there but did not like the request, so it is not retried.
+ */
+
+/** Connection states */
+const STATES = ['unknown', 'connected', 'degraded', 'disconnected']
+
+/** Wait for a number of ms
+ * @param {number} ms Milliseconds
+ * @return {Promise<void>}
+ */
+const sleep = (ms) => new Promise( resolve => setTimeout(resolve, ms) )
+
+/** Whether a failed request is worth retrying (and counts against the connection)
+ * @param {Object} err Error from axios
+ * @return {boolean} True if the controller could not be reached or had an internal error
+ */
+const isConnectionError = (err) => {
+    if ( !err || !err.response ) return true
+    return err.response.status >= 500
+}
+
+/** Track the health of the connection to a controller
+ * @param {Object} settings Settings of the Wiser instance, read on every request so changes apply straight away.
+ *        Uses retries, retryDelay (s), retryMaxDelay (s), maxFailures and maxPollInterval (s)
+ * @param {Function} emit Emit an output event (eventName, data)
+ * @return {Object} Public interfaces
+ */
+const Connection = function(settings, emit) {
+
+    /** Current state, see getState() */
+    const status = {
+        state: 'unknown',
+        since: new Date(),
+        failures: 0,
+        lastError: null,
+        lastSuccess: null,
+        outageStart: null,
+    }
+    /** When the last request was made (ms), used to slow the polling while disconnected */
+    let lastAttempt = 0
+
+    /** Change state
+     * @param {string} state New state
+     */
+    const setState = (state) => {
+        if ( status.state === state ) return
+        status.state = state
+        status.since = new Date()
+    }
+
+    /** Record a request that reached the controller
+     * @param {boolean} retried True if it needed retries
+     * @fires wiserConnectionRestored - If the connection was disconnected
+     */
+    const succeeded = (retried) => {
+        if ( status.state === 'disconnected' ) {
+            const restored = new Date()
+            /** wiserConnectionRestored event. Emitted when a request works after the connection was lost
+             * @event wiserConnectionRestored
+             * @type {object}
+             * @property {Date} since - When the outage started (the first failed request)
+             * @property {Date} restored - When the connection came back
+             * @property {number} outage - Length of the outage (ms)
+             */
+            emit('wiserConnectionRestored', {
+                'since': status.outageStart,
+                'restored': restored,
+                'outage': restored.getTime() - status.outageStart.getTime(),
+            })
+        }
+        status.failures = 0
+        status.outageStart = null
+        status.lastSuccess = new Date()
+        setState( retried ? 'degraded' : 'connected' )
+    }
+
+    /** Record a request that could not reach the controller (after any retries)
+     * @param {Object} err The last error
+     * @fires wiserConnectionLost - When the connection becomes disconnected
+     */
+    const failed = (err) => {
+        status.failures++
+        status.lastError = err
+        if ( status.outageStart === null ) status.outageStart = new Date()
+
+        if ( status.failures < settings.maxFailures ) {
+            setState('degraded')
+            return
+        }
+        if ( status.state === 'disconnected' ) return
+
+        setState('disconnected')
+        /** wiserConnectionLost event. Emitted when `maxFailures` requests in a row have failed
+         * @event wiserConnectionLost
+         * @type {object}
+         * @property {Date} since - When the outage started (the first failed request)
+         * @property {number} outage - Length of the outage so far (ms)
+         * @property {number} failures - Number of failed requests in a row
+         * @property {Object} error - The last error
+         */
+        emit('wiserConnectionLost', {
+            'since': status.outageStart,
+            'outage': Date.now() - status.outageStart.getTime(),
+            'failures': status.failures,
+            'error': err,
+        })
+    }
+
+    /** Delay before a retry - exponential backoff with jitter
+     * @param {number} attempt Retry number (1 for the first retry)
+     * @return {number} Delay (ms)
+     */
+    const retryDelay = (attempt) => {
+        const delay = Math.min(settings.retryMaxDelay, settings.retryDelay * Math.pow(2, attempt - 1)) * 1000
+        // Between half and all of the delay so that several clients do not retry in step
+        return delay * (0.5 + Math.random() / 2)
+    }
+
+    /** Make a request to the controller, retrying if it could not be reached
+     * @param {Function} fn Makes the request, returns a Promise
+     * @param {boolean} [retry] Retry if it fails. Optional, default true (use false for requests that must not be repeated)
+     * @return {Promise<*>} Result of the request or the last error
+     */
+    const request = async (fn, retry=true) => {
+        let attempt = 0
+        for (;;) {
+            lastAttempt = Date.now()
+            try {
+                const result = await fn()
+                succeeded(attempt > 0)
+                return result
+            } catch (err) {
+                if ( !isConnectionError(err) ) {
+                    // The controller is there, it just did not like the request
+                    succeeded(attempt > 0)
+                    return Promise.reject(err)
+                }
+                if ( !retry || attempt >= settings.retries ) {
+                    failed(err)
+                    return Promise.reject(err)
+                }
+                attempt++
+                await sleep( retryDelay(attempt) )
+            }
+        }
+    }
+
+    /** Whether a monitor should poll now
+     * While disconnected, the time between polls doubles after each failure, up to maxPollInterval
+     * @param {number} interval Normal time between polls (s)
+     * @return {boolean} True to poll
+     */
+    const shouldPoll = (interval) => {
+        if ( status.state !== 'disconnected' ) return true
+        const backoff = Math.min(settings.maxPollInterval, interval * Math.pow(2, status.failures - settings.maxFailures + 1))
+        return Date.now() - lastAttempt >= backoff * 1000
+    }
+
+    /** Get the connection state
+     * @return {{state: string, since: Date, failures: number, lastError: Object|null, lastSuccess: Date|null, outageStart: Date|null}}
+     *         state is unknown, connected, degraded or disconnected. since is when it entered that state,
+     *         failures is the number of failed requests in a row, outageStart is when they started
+     */
+    const getState = () => {
+        return Object.assign({}, status)
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        request,
+        shouldPoll,
+        getState,
+    })
+
+} // ---- End of Connection ---- //
+
+module.exports = Connection
+module.exports.STATES = STATES
+module.exports.isConnectionError = isConnectionError
+
+//EOF
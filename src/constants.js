@@ -0,0 +1,83 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Constants shared by the module's source files */
+
+/** Minimum allowed setpoint temperature (°C) 
+ * @type {number}
+ */
+const TEMP_MINIMUM = 5
+/** Maximum allowed setpoint temperature (°C) 
+ * @type {number}
+ */
+const TEMP_MAXIMUM = 30
+/** Wiser "off" setpoint temperature (°C) 
+ * @type {number}
+ */
+const TEMP_OFF = -20
+/** Default setpoint temperature for room boost override (°C) 
+ * @type {number}
+ */
+const BOOST_DEFAULT_TEMP = 20
+/** Default duration for room boost override (minutes)
+ * @type {number}
+ */
+const BOOST_DEFAULT_DURATION = 30
+/** Hot water "on" set point used by the controller (°C). Hot water is off at TEMP_OFF
+ * @type {number}
+ */
+const HOT_WATER_ON = 110
+/** Default monitor loop interval (seconds)
+ * @type {number}
+ */
+const MONITOR_LOOP_INTERVAL = 60
+/** Day names used as keys in controller schedules
+ * @type {Array<string>}
+ */
+const SCHEDULE_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']
+/** Maximum number of set points (time slots) per day in a heating schedule (as allowed by the Wiser app)
+ * @type {number}
+ */
+const SCHEDULE_MAX_SLOTS = 6
+/** Events emitted by a Wiser instance for listeners (all carry the hubId when one is set, see setConfig)
+ * @type {Array<string>}
+ */
+const OUTPUT_EVENTS = [
+    'wiserPing', 'wiserChange', 'wiserError', 'wiserFullUpdate', 'wiserMonitorRef', 'wiserMonitorRemoved',
+    'wiserOverridesCancelled', 'wiserOverrideClamped',
+    'wiserBoostStarted', 'wiserBoostEnded', 'wiserManualModeEntered', 'wiserReturnedToSchedule', 'wiserRoomOff',
+    'wiserAdded', 'wiserRemoved',
+    'wiserConnectionLost', 'wiserConnectionRestored',
+    'wiserAnomaly',
+    'wiserHolidayStarted', 'wiserHolidayEnded', 'wiserHolidayCancelled',
+    'wiserHotWaterOn', 'wiserHotWaterOff',
+]
+
+module.exports = {
+    TEMP_MINIMUM,
+    TEMP_MAXIMUM,
+    TEMP_OFF,
+    BOOST_DEFAULT_TEMP,
+    BOOST_DEFAULT_DURATION,
+    HOT_WATER_ON,
+    MONITOR_LOOP_INTERVAL,
+    SCHEDULE_DAYS,
+    SCHEDULE_MAX_SLOTS,
+    OUTPUT_EVENTS,
+}
+
+//EOF
@@ -0,0 +1,146 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Change detection between two sets of full controller data, used by monitor() */
+
+const { diff } = require('deep-object-diff') /** @see https://www.npmjs.com/package/deep-object-diff#diff */
+
+/** Top-level collections (arrays of entities with an `id`) checked for added and removed entities
+ * @type {Array<string>}
+ */
+const COLLECTIONS = ['Room', 'Device', 'SmartValve', 'RoomStat', 'Schedule', 'SmartPlug', 'HotWater']
+
+/** Entity properties ignored when looking for changes - they change too often to be useful (signal strength, controller clock)
+ * @type {Array<string>}
+ */
+const IGNORE_PROPERTIES = ['ReceptionOfController', 'ReceptionOfDevice', 'PendingZigbeeMessageMask', 'UnixTime', 'LocalDateAndTime']
+
+/** Index an array of entities by id
+ * @param {Array<Object>} [list] Entities (a missing collection is treated as empty)
+ * @return {Map<number, Object>} Entities by id
+ */
+const byId = (list) => {
+    const out = new Map()
+    if ( Array.isArray(list) ) list.forEach( entity => out.set(entity.id, entity) )
+    return out
+}
+
+/** Find the entities added to and removed from each collection
+ * @param {Object} prev Previous full data
+ * @param {Object} curr Latest full data
+ * @param {Array<string>} [collections] Collections to check. Optional, default COLLECTIONS
+ * @return {{added: Array<{type: string, id: number, entity: Object}>, removed: Array<{type: string, id: number, entity: Object}>}}
+ *         Added entities (latest data) and removed entities (previous data)
+ */
+const addedRemoved = (prev, curr, collections=COLLECTIONS) => {
+    const added = []
+    const removed = []
+
+    collections.forEach( type => {
+        const before = byId(prev[type])
+        const after = byId(curr[type])
+        after.forEach( (entity, id) => {
+            if ( !before.has(id) ) added.push({ type, id, entity })
+        })
+        before.forEach( (entity, id) => {
+            if ( !after.has(id) ) removed.push({ type, id, entity })
+        })
+    })
+
+    return { added, removed }
+}
+
+/** Shallow copy of an entity without the ignored properties. The original is not changed
+ * @param {Object} entity Entity from the full data
+ * @param {Array<string>} ignore Property names to leave out
+ * @return {Object} Copy of the entity
+ */
+const strip = (entity, ignore) => {
+    const out = {}
+    Object.keys(entity).forEach( prop => {
+        if ( !ignore.includes(prop) ) out[prop] = entity[prop]
+    })
+    return out
+}
+
+/** Compare one entity's previous and latest data
+ * @param {Object} before Previous entity data
+ * @param {Object} after Latest entity data
+ * @param {Array<string>} ignore Property names to leave out
+ * @return {{changes: Object, prev: Object}|null} Changed properties (deleted properties are `undefined`)
+ *         and their previous values, null if nothing has changed
+ */
+const compare = (before, after, ignore) => {
+    const changes = diff( strip(before, ignore), strip(after, ignore) )
+    const props = Object.keys(changes)
+    if ( props.length === 0 ) return null
+
+    const prev = {}
+    props.forEach( prop => { prev[prop] = before[prop] } )
+    return { changes, prev }
+}
+
+/** Find the changed entities between two sets of full data
+ * Collections (arrays of entities) are matched by `id` so that a re-ordered or inserted entity does not make
+ * the following ones look changed. Arrays without ids fall back to their index. Other objects (e.g. System)
+ * are compared as a single entity. Added and removed entities are not included (see addedRemoved).
+ * Neither input is changed.
+ * @param {Object} prev Previous full data
+ * @param {Object} curr Latest full data
+ * @param {Object} [options]
+ * @param {Array<string>} [options.ignore] Entity properties to ignore. Optional, default IGNORE_PROPERTIES
+ * @return {Array<{type: string, id: number|undefined, idx: number|undefined, changes: Object, prev: Object, entity: Object}>}
+ *         One record per changed entity, in the order of the latest data. `idx` is the entity's index in the latest array,
+ *         `entity` is the latest entity data
+ */
+const changes = (prev, curr, {ignore=IGNORE_PROPERTIES}={}) => {
+    const out = []
+
+    Object.keys(curr).forEach( type => {
+        const before = prev[type]
+        const after = curr[type]
+        if ( before === null || typeof before !== 'object' || after === null || typeof after !== 'object' ) return
+
+        if ( Array.isArray(after) ) {
+            if ( !Array.isArray(before) ) return
+            const hasIds = after.concat(before).every( entity => entity !== null && typeof entity === 'object' && entity.id !== undefined )
+            const beforeById = hasIds ? byId(before) : undefined
+
+            after.forEach( (entity, idx) => {
+                const old = hasIds ? beforeById.get(entity.id) : before[idx]
+                if ( old === undefined || old === null || typeof old !== 'object' || typeof entity !== 'object' ) return
+                const found = compare(old, entity, ignore)
+                if ( found ) out.push({ type, id: entity.id, idx, changes: found.changes, prev: found.prev, entity })
+            })
+        } else {
+            const found = compare(before, after, ignore)
+            if ( found ) out.push({ type, id: after.id, idx: undefined, changes: found.changes, prev: found.prev, entity: after })
+        }
+    })
+
+    return out
+}
+
+module.exports = {
+    COLLECTIONS,
+    IGNORE_PROPERTIES,
+    addedRemoved,
+    byId,
+    changes,
+}
+
+//EOF
@@ -0,0 +1,125 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Error classes used by every public function
+ *
+ *   WiserError                 - Anything else (e.g. a schedule file that cannot be read)
+ *   ├── WiserConfigError       - Missing or invalid configuration (e.g. no IP or SECRET)
+ *   ├── WiserValidationError   - Invalid argument (e.g. a bad mode, temperature or schedule)
+ *   ├── WiserNotFoundError     - Unknown room, schedule, hub, etc
+ *   └── WiserHubError          - A request to the controller failed (status and path of the request)
+ *       ├── WiserAuthError     - The controller refused the SECRET (401/403)
+ *       └── WiserTimeoutError  - The controller did not answer in time
+ *
+ * Messages start with `[node-drayton-wiser:<function>]` as before and are also available as `error`
+ * (the property used by the old `{error, details}` objects) so existing code that reads `err.error` still works.
+ */
+
+class WiserError extends Error {
+    /**
+     * @param {string} message Error message
+     * @param {Object} [options] Optional
+     * @param {*} [options.details] Underlying error or extra information
+     */
+    constructor(message, {details=undefined}={}) {
+        super(message)
+        this.name = this.constructor.name
+        if ( details !== undefined ) this.details = details
+    }
+    /** The message - the property used by the old error objects
+     * @return {string}
+     */
+    get error() {
+        return this.message
+    }
+    /** Errors do not normally turn into JSON, this gives the name, message and any extra properties
+     * @return {Object}
+     */
+    toJSON() {
+        const out = { name: this.name, error: this.message }
+        Object.keys(this).forEach( key => {
+            if ( key !== 'name' && key !== 'details' ) out[key] = this[key]
+        })
+        return out
+    }
+}
+
+class WiserConfigError extends WiserError {}
+
+class WiserValidationError extends WiserError {}
+
+class WiserNotFoundError extends WiserError {}
+
+class WiserHubError extends WiserError {
+    /**
+     * @param {string} message Error message
+     * @param {Object} [options] Optional
+     * @param {*} [options.details] The error from the request
+     * @param {number|null} [options.status] http status from the controller, null if there was no answer
+     * @param {string} [options.path] Controller path requested
+     * @param {string} [options.method] http method (e.g. 'GET')
+     */
+    constructor(message, {details=undefined, status=null, path=undefined, method=undefined}={}) {
+        super(message, {details})
+        this.status = status
+        this.path = path
+        this.method = method
+    }
+}
+
+class WiserAuthError extends WiserHubError {}
+
+class WiserTimeoutError extends WiserHubError {}
+
+/** Turn a failed controller request (an axios error) into the right WiserHubError
+ * WiserErrors are returned as they are.
+ * @param {Object} err Error from the request
+ * @param {string} message Message for the new error, e.g. '[node-drayton-wiser:get] Get failed.'
+ * @return {WiserError} WiserAuthError, WiserTimeoutError or WiserHubError
+ */
+const hubError = (err, message) => {
+    if ( err instanceof WiserError ) return err
+
+    const config = (err && err.config) || {}
+    const options = {
+        details: err,
+        status: err && err.response ? err.response.status : null,
+        path: config.url,
+        method: config.method ? config.method.toUpperCase() : undefined,
+    }
+    const reason = options.status !== null ? `status ${options.status}` : (err && (err.code || err.message)) || 'no response'
+    const fullMessage = `${message} (${options.method || ''} ${options.path || ''} ${reason})`.replace(/\( +/, '(').replace(/ {2,}/g, ' ')
+
+    if ( options.status === 401 || options.status === 403 ) return new WiserAuthError(`${fullMessage} - check the SECRET`, options)
+    if ( options.status === null && err && (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT' || /timeout/i.test(err.message)) ) {
+        return new WiserTimeoutError(fullMessage, options)
+    }
+    return new WiserHubError(fullMessage, options)
+}
+
+module.exports = {
+    WiserError,
+    WiserConfigError,
+    WiserValidationError,
+    WiserNotFoundError,
+    WiserHubError,
+    WiserAuthError,
+    WiserTimeoutError,
+    hubError,
+}
+
+//EOF
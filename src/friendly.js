@@ -0,0 +1,181 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Friendly versions of the controller data - °C rather than x10 temperatures and plain field names.
+ *  Used by the command line tool, REST gateway, MQTT bridge and metrics exporter.
+ */
+
+const { TEMP_OFF } = require('./constants')
+
+/** Temperature reported by the controller when there is no reading (e.g. a valve that has dropped off the network)
+ * @type {number}
+ */
+const NO_TEMPERATURE = -32768
+
+/** Convert a controller temperature (x10) to °C
+ * @param {number} temp Controller temperature
+ * @return {number|null} °C or null if there is no reading
+ */
+const toDegC = (temp) => {
+    if ( typeof temp !== 'number' || temp === NO_TEMPERATURE ) return null
+    return temp / 10
+}
+
+/** Convert a controller Unix time (seconds) to an ISO date string
+ * @param {number} [unixTime] Seconds since 1970
+ * @return {string|null} ISO date string or null if not set
+ */
+const toIsoTime = (unixTime) => {
+    if ( !unixTime ) return null
+    return new Date(unixTime * 1000).toISOString()
+}
+
+/** A collection from the controller data or an empty list if it is missing
+ * @param {Array<Object>} [items] Collection
+ * @return {Array<Object>} Collection
+ */
+const list = (items) => {
+    return Array.isArray(items) ? items : []
+}
+
+/** Friendly room
+ * @param {Object} room Room from the controller
+ * @param {Object} [full] Full controller data, needed for the humidity (from the RoomStat). Optional
+ * @return {{id: number, name: string, temperature: number|null, setPoint: number|null, scheduledSetPoint: number|null,
+ *           mode: string, override: {type: string, setPoint: number|null, until: string|null}|null,
+ *           demand: number|undefined, humidity: number|undefined, scheduleId: number, roomStatId: number|undefined, smartValveIds: Array<number>}}
+ *          mode is 'auto', 'manual' or 'off'. override.type is 'boost' or 'manual'
+ */
+const room = (room, full) => {
+    let override = null
+    if ( room.OverrideType && room.OverrideType !== 'None' ) {
+        override = {
+            type: room.SetpointOrigin === 'FromBoost' ? 'boost' : 'manual',
+            setPoint: toDegC(room.OverrideSetpoint),
+            until: toIsoTime(room.OverrideTimeoutUnixTime),
+        }
+    }
+
+    let mode = room.Mode === 'Manual' ? 'manual' : 'auto'
+    if ( mode === 'manual' && room.CurrentSetPoint === TEMP_OFF * 10 ) mode = 'off'
+
+    let humidity
+    if ( full && room.RoomStatId !== undefined ) {
+        const stat = list(full.RoomStat).find( s => s.id === room.RoomStatId )
+        if ( stat ) humidity = stat.MeasuredHumidity
+    }
+
+    return {
+        id: room.id,
+        name: room.Name,
+        temperature: toDegC(room.CalculatedTemperature),
+        setPoint: toDegC(room.CurrentSetPoint),
+        scheduledSetPoint: toDegC(room.ScheduledSetPoint),
+        mode,
+        override,
+        demand: room.PercentageDemand,
+        humidity,
+        scheduleId: room.ScheduleId,
+        roomStatId: room.RoomStatId,
+        smartValveIds: room.SmartValveIds || [],
+    }
+}
+
+/** Friendly device
+ * @param {Object} dev Device from the controller
+ * @param {Object} full Full controller data, needed for the room and the valve/RoomStat readings
+ * @return {{id: number, type: string, model: string, firmware: string, roomId: number|null, room: string|null, signal: string,
+ *           rssi: number|undefined, battery: {volts: number, level: string}|null, demand: number|undefined,
+ *           temperature: number|null|undefined, humidity: number|undefined}}
+ */
+const device = (dev, full) => {
+    const inRoom = list(full.Room).find( r => (r.SmartValveIds || []).includes(dev.id) || r.RoomStatId === dev.id || (r.SmartPlugIds || []).includes(dev.id) )
+    const valve = list(full.SmartValve).find( v => v.id === dev.id )
+    const stat = list(full.RoomStat).find( s => s.id === dev.id )
+
+    const out = {
+        id: dev.id,
+        type: dev.ProductType,
+        model: dev.ModelIdentifier,
+        firmware: dev.ActiveFirmwareVersion,
+        roomId: inRoom ? inRoom.id : null,
+        room: inRoom ? inRoom.Name : null,
+        signal: dev.DisplayedSignalStrength,
+        rssi: dev.ReceptionOfDevice ? dev.ReceptionOfDevice.Rssi : undefined,
+        battery: dev.BatteryVoltage === undefined ? null : { volts: dev.BatteryVoltage / 10, level: dev.BatteryLevel },
+    }
+    if ( valve ) {
+        out.demand = valve.PercentageDemand
+        out.temperature = toDegC(valve.MeasuredTemperature)
+    }
+    if ( stat ) {
+        out.temperature = toDegC(stat.MeasuredTemperature)
+        out.humidity = stat.MeasuredHumidity
+    }
+    return out
+}
+
+/** Friendly hot water
+ * @param {Object} hw HotWater from the controller
+ * @return {{id: number, on: boolean, mode: string, until: string|null, scheduleId: number}}
+ *          mode is 'boost', 'on' or 'off' (manual mode or an override until the next schedule change) or 'auto'.
+ *          until is the end of a boost
+ */
+const hotWater = (hw) => {
+    const on = hw.WaterHeatingState === 'On'
+    const hasOverride = hw.OverrideType !== undefined && hw.OverrideType !== 'None'
+
+    let mode = 'auto'
+    if ( hasOverride && hw.OverrideTimeoutUnixTime ) mode = 'boost'
+    else if ( hasOverride || hw.Mode === 'Manual' ) mode = on ? 'on' : 'off'
+
+    return {
+        id: hw.id,
+        on,
+        mode,
+        until: mode === 'boost' ? toIsoTime(hw.OverrideTimeoutUnixTime) : null,
+        scheduleId: hw.ScheduleId,
+    }
+}
+
+/** Friendly system summary
+ * @param {Object} full Full controller data
+ * @return {{mode: string, time: string|null, firmware: string, heating: boolean}} mode is 'away' or 'normal',
+ *          heating is true if any heating relay is on
+ */
+const system = (full) => {
+    const sys = full.System || {}
+    return {
+        mode: sys.OverrideType === 'Away' ? 'away' : 'normal',
+        time: toIsoTime(sys.UnixTime),
+        firmware: sys.ActiveSystemVersion,
+        heating: list(full.HeatingChannel).some( channel => channel.HeatingRelayState === 'On' ),
+    }
+}
+
+module.exports = {
+    NO_TEMPERATURE,
+    toDegC,
+    toIsoTime,
+    list,
+    room,
+    device,
+    hotWater,
+    system,
+}
+
+//EOF
@@ -0,0 +1,300 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const http = require('http')
+const crypto = require('crypto')
+const friendly = require('./friendly')
+const { WiserError, WiserConfigError, WiserValidationError, WiserNotFoundError } = require('./errors')
+
+/** Largest request body accepted (bytes) */
+const MAX_BODY = 64 * 1024
+
+/** Error with an HTTP status for the response
+ * @param {number} status HTTP status code
+ * @param {string} message Error message for the response
+ * @param {*} [details] Underlying error. Optional
+ * @return {{status: number, error: string, details: *}}
+ */
+const httpError = (status, message, details) => {
+    return { status, error: message, details }
+}
+
+/** Compare tokens in constant time
+ * @param {string} given Token from the request
+ * @param {string} expected Gateway token
+ * @return {boolean} True if they match
+ */
+const tokenMatches = (given, expected) => {
+    const a = Buffer.from(String(given))
+    const b = Buffer.from(String(expected))
+    return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+/** Local REST gateway - a JSON API in front of a Wiser instance
+ * Clients use the gateway's own token (`Authorization: Bearer <token>`) so they never need the controller's secret.
+ * Reads come from a short-lived cache of the full controller data so that many clients do not overload the controller.
+ * Use as `const gateway = require('node-drayton-wiser').RestGateway(wiser, {token: 'xxxx'}); await gateway.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} options Settings
+ * @param {string} options.token Token that clients must send. Required
+ * @param {number} [options.port] Port to listen on, 0 for any free port. Default 8787
+ * @param {string} [options.host] Address to listen on. Default all addresses
+ * @param {number} [options.cacheTtl] How long (seconds) controller data is re-used for reads. Default 5
+ * @return {Object} Public interfaces
+ */
+const RestGateway = function(wiser, {
+    token,
+    port = 8787,
+    host = undefined,
+    cacheTtl = 5,
+}={}) {
+
+    /** HTTP server, set by start() */
+    let server = null
+    /** Cached full controller data and when it was fetched */
+    let cache = { data: null, time: 0 }
+    /** Request for full data already in progress, shared by reads that arrive at the same time
+     * @type {Promise<Object>|null}
+     */
+    let pending = null
+
+    //#region ---- Data ---- //
+
+    /** Get the full controller data, from the cache if it is fresh enough
+     * @return {Promise<Object>} Full controller data
+     */
+    const getData = () => {
+        if ( cache.data !== null && Date.now() - cache.time < cacheTtl * 1000 ) return Promise.resolve(cache.data)
+        if ( pending !== null ) return pending
+
+        pending = wiser.getFull()
+            .then( result => {
+                cache = { data: result, time: Date.now() }
+                return result
+            }, err => Promise.reject( httpError(502, 'The controller could not be reached', err) ))
+            .then( data => {
+                pending = null
+                return data
+            }, err => {
+                pending = null
+                return Promise.reject(err)
+            })
+        return pending
+    }
+
+    /** Forget the cached data (after a change) */
+    const clearCache = () => {
+        cache = { data: null, time: 0 }
+    }
+
+    /** Find a room by id or name
+     * @param {Object} full Full controller data
+     * @param {string} idOrName Room id or name from the URL
+     * @return {Object} Room from the controller
+     */
+    const findRoom = (full, idOrName) => {
+        const found = friendly.list(full.Room).find( room => String(room.id) === idOrName || room.Name === idOrName )
+        if ( found === undefined ) throw httpError(404, `Room not found: ${idOrName}`)
+        return found
+    }
+
+    /** Friendly schedule with the names of the rooms using it
+     * @param {Object} sched Schedule from the controller
+     * @param {Object} full Full controller data
+     * @return {Object} Schedule in the friendly format plus `rooms`
+     */
+    const schedule = (sched, full) => {
+        return Object.assign(wiser.scheduleToFriendly(sched, true), {
+            rooms: friendly.list(full.Room).filter( room => room.ScheduleId === sched.id ).map( room => room.Name ),
+        })
+    }
+
+    /** Map a rejection from a Wiser function to an HTTP error
+     * @param {Object} err Rejection
+     * @return {Object} HTTP error
+     */
+    const wiserError = (err) => {
+        if ( err instanceof WiserValidationError ) return httpError(400, err.message)
+        if ( err instanceof WiserNotFoundError ) return httpError(404, err.message)
+        if ( err instanceof WiserError ) return httpError(502, err.message, err)
+        if ( err && err.status ) return err
+        return httpError(502, String(err), err)
+    }
+
+    //#endregion ---- Data ---- //
+
+    //#region ---- Routes ---- //
+
+    /** Routes: method, URL pattern and handler. Handlers get the URL matches and the parsed body and resolve to the response data */
+    const routes = [
+        ['GET', /^\/rooms$/, async () => {
+            const full = await getData()
+            return friendly.list(full.Room).map( room => friendly.room(room, full) )
+        }],
+        ['GET', /^\/rooms\/([^/]+)$/, async ([idOrName]) => {
+            const full = await getData()
+            return friendly.room(findRoom(full, idOrName), full)
+        }],
+        ['PUT', /^\/rooms\/([^/]+)\/mode$/, async ([idOrName], body) => {
+            const room = findRoom(await getData(), idOrName)
+            if ( !body || typeof body.mode !== 'string' ) throw httpError(400, 'Body must be JSON with a mode, e.g. {"mode": "boost", "temp": 21, "duration": 30}')
+            clearCache()
+            await wiser.setRoomMode(room.id, body.mode, body.temp, body.duration).catch( err => Promise.reject(wiserError(err)) )
+            const full = await getData()
+            return friendly.room(findRoom(full, String(room.id)), full)
+        }],
+        ['GET', /^\/system$/, async () => {
+            return friendly.system(await getData())
+        }],
+        ['POST', /^\/system\/mode$/, async (matches, body) => {
+            if ( !body || typeof body.mode !== 'string' ) throw httpError(400, 'Body must be JSON with a mode, e.g. {"mode": "away"}')
+            clearCache()
+            await wiser.setSystemMode(body.mode).catch( err => Promise.reject(wiserError(err)) )
+            return friendly.system(await getData())
+        }],
+        ['GET', /^\/devices$/, async () => {
+            const full = await getData()
+            return friendly.list(full.Device).map( dev => friendly.device(dev, full) )
+        }],
+        ['GET', /^\/schedules$/, async () => {
+            const full = await getData()
+            return friendly.list(full.Schedule).map( sched => schedule(sched, full) )
+        }],
+        ['PUT', /^\/schedules\/(\d+)$/, async ([id], body) => {
+            const full = await getData()
+            if ( !friendly.list(full.Schedule).some( sched => sched.id === Number(id) ) ) throw httpError(404, `Schedule not found: ${id}`)
+            if ( !body || typeof body !== 'object' ) throw httpError(400, 'Body must be a JSON schedule in the friendly or controller format')
+            clearCache()
+            await wiser.loadSchedule(body, Number(id)).catch( err => Promise.reject(wiserError(err)) )
+            const updated = await getData()
+            return schedule(updated.Schedule.find( sched => sched.id === Number(id) ), updated)
+        }],
+    ]
+
+    //#endregion ---- Routes ---- //
+
+    /** Read and parse a JSON request body
+     * @param {http.IncomingMessage} req Request
+     * @return {Promise<Object|undefined>} Parsed body, undefined if empty
+     */
+    const readBody = (req) => new Promise( (resolve, reject) => {
+        let body = ''
+        req.setEncoding('utf8')
+        req.on('data', chunk => {
+            body += chunk
+            if ( body.length > MAX_BODY ) {
+                reject( httpError(413, 'Request body too large') )
+                req.destroy()
+            }
+        })
+        req.on('end', () => {
+            if ( body.trim() === '' ) return resolve(undefined)
+            try {
+                resolve(JSON.parse(body))
+            } catch (err) {
+                reject( httpError(400, 'Request body must be JSON') )
+            }
+        })
+        req.on('error', reject)
+    })
+
+    /** Send a JSON response */
+    const send = (res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' })
+        res.end(JSON.stringify(data))
+    }
+
+    /** Handle an HTTP request */
+    const onRequest = (req, res) => {
+        const auth = req.headers.authorization || ''
+        if ( !auth.startsWith('Bearer ') || !tokenMatches(auth.slice(7), token) ) {
+            res.setHeader('WWW-Authenticate', 'Bearer')
+            send(res, 401, { error: 'Missing or invalid token' })
+            return
+        }
+
+        let url
+        try {
+            url = decodeURIComponent(req.url.split('?')[0]).replace(/\/+$/, '')
+        } catch (err) {
+            send(res, 400, { error: 'Malformed path' })
+            return
+        }
+
+        const pathMatches = routes.filter( route => route[1].test(url) )
+        const route = pathMatches.find( r => r[0] === req.method )
+        if ( !route ) {
+            if ( pathMatches.length > 0 ) {
+                res.setHeader('Allow', pathMatches.map( r => r[0] ).join(', '))
+                send(res, 405, { error: `${req.method} is not allowed for ${url}` })
+            } else {
+                send(res, 404, { error: `Not found: ${url}` })
+            }
+            return
+        }
+
+        readBody(req)
+            .then( body => route[2](url.match(route[1]).slice(1), body) )
+            .then( data => send(res, 200, data) )
+            .catch( err => {
+                let e = err instanceof WiserError ? wiserError(err) : err
+                if ( !e || !e.status ) e = httpError(500, err && err.message ? err.message : String(err))
+                send(res, e.status, { error: e.error })
+            })
+    }
+
+    /** Start the gateway
+     * @return {Promise<number>} The port being listened on
+     */
+    const start = () => {
+        if ( typeof token !== 'string' || token.length < 8 ) {
+            return Promise.reject(new WiserConfigError('[node-drayton-wiser:RestGateway.start] A token of at least 8 characters is needed'))
+        }
+        if ( server !== null ) return Promise.resolve(server.address().port)
+
+        server = http.createServer(onRequest)
+        return new Promise( (resolve, reject) => {
+            server.once('error', err => {
+                server = null
+                reject(new WiserError(`[node-drayton-wiser:RestGateway.start] Could not listen on port ${port}`, {details: err}))
+            })
+            server.listen(port, host, () => resolve(server.address().port))
+        })
+    }
+
+    /** Stop the gateway
+     * @return {Promise<void>}
+     */
+    const stop = () => {
+        if ( server === null ) return Promise.resolve()
+        const s = server
+        server = null
+        clearCache()
+        return new Promise( resolve => s.close( () => resolve() ) )
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+    })
+
+} // ---- End of RestGateway ---- //
+
+module.exports = RestGateway
+
+//EOF
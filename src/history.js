@@ -0,0 +1,343 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const friendly = require('./friendly')
+const { WiserError, WiserValidationError } = require('./errors')
+
+const readFile = promisify(fs.readFile)
+const appendFile = promisify(fs.appendFile)
+const readdir = promisify(fs.readdir)
+const stat = promisify(fs.stat)
+const unlink = promisify(fs.unlink)
+const mkdir = promisify(fs.mkdir)
+
+/** One day (ms) */
+const DAY = 24 * 60 * 60 * 1000
+
+/** Segment files are named after the (UTC) day of their readings */
+const SEGMENT = /^history-(\d{4}-\d{2}-\d{2})\.ndjson$/
+
+/** Readings averaged when downsampling. The others (mode, override, heating) take the latest value in each step */
+const AVERAGED = ['temperature', 'setPoint', 'humidity', 'demand']
+
+/** Segment file name for a time
+ * @param {number} time Time (ms)
+ * @return {string} File name, e.g. 'history-2020-11-28.ndjson'
+ */
+const segmentName = (time) => {
+    return `history-${new Date(time).toISOString().slice(0, 10)}.ndjson`
+}
+
+/** Turn a Date, ms number or date string into ms
+ * @param {Date|number|string} value Time
+ * @param {string} name Argument name for the error
+ * @return {number} Time (ms)
+ */
+const toTime = (value, name) => {
+    const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value)
+    if ( typeof time !== 'number' || !isFinite(time) ) {
+        throw new WiserValidationError(`[node-drayton-wiser:HistoryRecorder.query] ${name} is not a valid time: --${value}--`)
+    }
+    return time
+}
+
+/** The readings for every room in one lot of full controller data
+ * @param {Object} full Full controller data
+ * @param {number} time Time of the readings (ms)
+ * @param {string|null} [hubId] Name of the controller. Optional
+ * @return {Array<Object>} One reading per room
+ */
+const readings = (full, time, hubId=null) => {
+    const channels = friendly.list(full.HeatingChannel)
+    return friendly.list(full.Room).map( raw => {
+        const room = friendly.room(raw, full)
+        const channel = channels.find( ch => (ch.RoomIds || []).includes(room.id) )
+        const reading = {
+            t: time,
+            id: room.id,
+            room: room.name,
+            temperature: room.temperature,
+            setPoint: room.setPoint,
+            mode: room.mode,
+            override: room.override ? room.override.type : null,
+            humidity: room.humidity === undefined ? null : room.humidity,
+            demand: room.demand === undefined ? null : room.demand,
+            heating: channel ? channel.HeatingRelayState === 'On' : null,
+        }
+        if ( hubId ) reading.hubId = hubId
+        return reading
+    })
+}
+
+/** Average readings into steps
+ * @param {Array<Object>} points Readings in time order
+ * @param {number} step Length of each step (ms)
+ * @return {Array<Object>} One point per step that has readings, timed at the start of the step
+ */
+const downsample = (points, step) => {
+    const out = []
+    let bucket = []
+    const flush = () => {
+        if ( bucket.length < 1 ) return
+        const point = Object.assign({}, bucket[bucket.length - 1], { t: Math.floor(bucket[0].t / step) * step, samples: bucket.length })
+        AVERAGED.forEach( key => {
+            const values = bucket.map( p => p[key] ).filter( v => typeof v === 'number' )
+            point[key] = values.length > 0 ? Math.round( values.reduce( (a, b) => a + b, 0 ) / values.length * 10 ) / 10 : null
+        })
+        out.push(point)
+        bucket = []
+    }
+    points.forEach( point => {
+        if ( bucket.length > 0 && Math.floor(point.t / step) !== Math.floor(bucket[0].t / step) ) flush()
+        bucket.push(point)
+    })
+    flush()
+    return out
+}
+
+/** Record room readings from a Wiser instance to local files and query them later
+ * Every full update (e.g. each monitor poll) adds one reading per room to a file per day (NDJSON, one reading per line)
+ * in `<folder>/history`. Old files are removed according to the retention limits.
+ * Use as `const history = require('node-drayton-wiser').HistoryRecorder(wiser, {monitor: true}); await history.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} [options] Optional settings
+ * @param {string} [options.folder] Folder for the files. Default 'history' in the Wiser instance's folder setting
+ * @param {number} [options.retentionDays] Days of readings to keep. Default 30
+ * @param {number} [options.maxBytes] Largest total size of the files (bytes), the oldest days are removed first. Default no limit
+ * @param {boolean} [options.monitor] Start (and stop) a monitor on the Wiser instance. Default false
+ * @param {string} [options.monitorRef] Reference of that monitor. Default 'history'
+ * @return {Object} Public interfaces
+ */
+const HistoryRecorder = function(wiser, {
+    folder = undefined,
+    retentionDays = 30,
+    maxBytes = null,
+    monitor = false,
+    monitorRef = 'history',
+}={}) {
+
+    /** Folder for the files. Worked out when needed so that a later setFolder is used */
+    const getFolder = () => folder || path.join(wiser.getSettings().folder || process.cwd(), 'history')
+
+    /** Writes are done one at a time, in order */
+    let writing = Promise.resolve()
+    /** Segment last written to, a new one means it is time to apply the retention limits */
+    let lastSegment = null
+    /** True while recording */
+    let started = false
+
+    /** Add readings for every room
+     * @param {Object} full Full controller data
+     * @param {Date|number} [time] Time of the readings. Optional, default now
+     * @param {string|null} [hubId] Name of the controller. Optional, default the hubId setting
+     * @return {Promise<number>} Number of readings written
+     */
+    const record = (full, time=Date.now(), hubId=wiser.getSettings().hubId) => {
+        if ( !full || !Array.isArray(full.Room) ) return Promise.resolve(0)
+        const t = time instanceof Date ? time.getTime() : time
+        const lines = readings(full, t, hubId).map( reading => JSON.stringify(reading) + '\n' ).join('')
+        const segment = segmentName(t)
+
+        const result = writing.then( async () => {
+            await mkdir(getFolder(), { recursive: true })
+            await appendFile(path.join(getFolder(), segment), lines)
+            if ( segment !== lastSegment ) {
+                lastSegment = segment
+                await prune(t)
+            }
+            return full.Room.length
+        })
+        // A failed write must not stop the ones after it
+        writing = result.catch( () => {} )
+        return result
+    }
+
+    /** Record each full update, e.g. from a monitor. wiserFullUpdate has the hubId as a second argument */
+    const onFullUpdate = (full, hubId) => {
+        record(full, Date.now(), hubId).catch( err => {
+            /** wiserError event - a reading could not be written
+             * @event wiserError
+             */
+            wiser.eventEmitter.emit('wiserError', {
+                'updated': new Date(),
+                'error': new WiserError('[node-drayton-wiser:HistoryRecorder] Could not write readings', {details: err}),
+            })
+        })
+    }
+
+    /** List the segment files, oldest first
+     * @return {Promise<Array<{file: string, day: number}>>} Files and the start of their day (ms)
+     */
+    const segments = async () => {
+        let files
+        try {
+            files = await readdir(getFolder())
+        } catch (err) {
+            if ( err.code === 'ENOENT' ) return []
+            throw err
+        }
+        return files
+            .filter( file => SEGMENT.test(file) )
+            .sort()
+            .map( file => ({ file: path.join(getFolder(), file), day: Date.parse(`${file.match(SEGMENT)[1]}T00:00:00Z`) }) )
+    }
+
+    /** Remove files that are too old or over the size limit
+     * @param {Date|number} [now] Current time. Optional, default now
+     * @return {Promise<Array<string>>} Files removed
+     */
+    const prune = async (now=Date.now()) => {
+        const t = now instanceof Date ? now.getTime() : now
+        const cutoff = Math.floor(t / DAY) * DAY - (retentionDays - 1) * DAY
+        const removed = []
+        const files = await segments()
+
+        let keep = []
+        for ( const seg of files ) {
+            if ( seg.day < cutoff ) {
+                await unlink(seg.file)
+                removed.push(seg.file)
+            } else {
+                keep.push(seg)
+            }
+        }
+
+        if ( typeof maxBytes === 'number' && maxBytes > 0 ) {
+            const sizes = await Promise.all( keep.map( seg => stat(seg.file).then( s => s.size ) ) )
+            let total = sizes.reduce( (a, b) => a + b, 0 )
+            // Always keep the newest day
+            while ( total > maxBytes && keep.length > 1 ) {
+                await unlink(keep[0].file)
+                removed.push(keep[0].file)
+                total -= sizes.shift()
+                keep = keep.slice(1)
+            }
+        }
+
+        return removed
+    }
+
+    /** Get a room's readings between two times
+     * @param {number|string} roomIdOrName Room ID or name
+     * @param {Object} [options] Optional
+     * @param {Date|number|string} [options.from] Start time. Default 24 hours before `to`
+     * @param {Date|number|string} [options.to] End time. Default now
+     * @param {number} [options.step] Average the readings into steps of this many seconds. Default none
+     * @param {number} [options.maxPoints] Largest number of points wanted, sets `step` if it is not given. Default no limit
+     * @return {Promise<{room: string|null, id: number|null, from: Date, to: Date, step: number|null, points: Array<Object>}>}
+     *         points are readings `{t, temperature, setPoint, mode, override, humidity, demand, heating}` (t is ms).
+     *         Downsampled points are averages (the latest mode, override and heating in the step) with a `samples` count
+     */
+    const query = async (roomIdOrName, {from=undefined, to=undefined, step=undefined, maxPoints=undefined}={}) => {
+        const end = to === undefined ? Date.now() : toTime(to, 'to')
+        const start = from === undefined ? end - DAY : toTime(from, 'from')
+        if ( start > end ) throw new WiserValidationError('[node-drayton-wiser:HistoryRecorder.query] from must be before to')
+        if ( step !== undefined && !(typeof step === 'number' && step > 0) ) {
+            throw new WiserValidationError(`[node-drayton-wiser:HistoryRecorder.query] step must be a positive number of seconds: --${step}--`)
+        }
+
+        // Make sure everything recorded so far can be read
+        await writing
+
+        const byId = typeof roomIdOrName === 'number' || ( typeof roomIdOrName === 'string' && roomIdOrName.trim() !== '' && !Number.isNaN(Number(roomIdOrName)) )
+        const matches = reading => byId ? reading.id === Number(roomIdOrName) : reading.room === roomIdOrName
+
+        const firstDay = Math.floor(start / DAY) * DAY
+        let points = []
+        for ( const seg of await segments() ) {
+            if ( seg.day < firstDay || seg.day > end ) continue
+            const text = await readFile(seg.file, 'utf8')
+            text.split('\n').forEach( line => {
+                if ( line === '' ) return
+                let reading
+                try {
+                    reading = JSON.parse(line)
+                } catch (err) {
+                    // A line cut short (e.g. by a power cut) is skipped
+                    return
+                }
+                if ( reading.t >= start && reading.t <= end && matches(reading) ) points.push(reading)
+            })
+        }
+        points.sort( (a, b) => a.t - b.t )
+
+        const room = points.length > 0 ? points[points.length - 1] : null
+        points = points.map( p => {
+            const point = Object.assign({}, p)
+            delete point.id
+            delete point.room
+            delete point.hubId
+            return point
+        })
+
+        let stepMs = step === undefined ? null : step * 1000
+        if ( stepMs === null && typeof maxPoints === 'number' && maxPoints > 0 && points.length > maxPoints ) {
+            stepMs = Math.ceil( (end - start) / maxPoints / 1000 ) * 1000
+        }
+        if ( stepMs !== null ) points = downsample(points, stepMs)
+
+        return {
+            room: room ? room.room : null,
+            id: room ? room.id : null,
+            from: new Date(start),
+            to: new Date(end),
+            step: stepMs === null ? null : stepMs / 1000,
+            points,
+        }
+    }
+
+    /** Start recording
+     * @return {Promise<void>}
+     */
+    const start = async () => {
+        if ( started ) return
+        started = true
+        await prune()
+        wiser.eventEmitter.on('wiserFullUpdate', onFullUpdate)
+        if ( monitor ) wiser.monitor(monitorRef)
+    }
+
+    /** Stop recording, once the last readings have been written
+     * @return {Promise<void>}
+     */
+    const stop = async () => {
+        if ( !started ) return
+        started = false
+        if ( monitor ) wiser.removeMonitor(monitorRef)
+        wiser.eventEmitter.removeListener('wiserFullUpdate', onFullUpdate)
+        await writing
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        record,
+        query,
+        prune,
+        getFolder,
+    })
+
+} // ---- End of HistoryRecorder ---- //
+
+module.exports = HistoryRecorder
+module.exports.readings = readings
+
+//EOF
@@ -0,0 +1,388 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Holiday planner - away mode from a start time until you get back
+ *
+ * At the start the away mode set point limit is set to the setback temperature and the system goes into away mode.
+ * Before the end, the system goes back to normal mode, the old limit is put back and any pre-heat rooms are boosted
+ * so that they are warm when you get back. The plan is kept in a file so that it carries on after the process restarts
+ * (call start() again).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
+const { TEMP_MINIMUM, TEMP_MAXIMUM, BOOST_DEFAULT_TEMP } = require('./constants')
+const { WiserError, WiserValidationError, WiserNotFoundError } = require('./errors')
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const unlink = promisify(fs.unlink)
+const mkdir = promisify(fs.mkdir)
+
+/** Longest time (ms) to wait in one go. Waking up regularly keeps the timers accurate if the computer sleeps or the clock changes */
+const MAX_WAIT = 60 * 60 * 1000
+
+/** Time (ms) before trying again if the controller could not be changed */
+const RETRY_DELAY = 60 * 1000
+
+/** Default pre-heat time (minutes) */
+const PRE_HEAT_MINUTES = 60
+
+/** Turn a Date, ms number or date string into ms
+ * @param {Date|number|string} value Time
+ * @param {string} name Argument name for the error
+ * @return {number} Time (ms)
+ */
+const toTime = (value, name) => {
+    const time = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value)
+    if ( typeof time !== 'number' || !isFinite(time) ) {
+        throw new WiserValidationError(`[node-drayton-wiser:HolidayPlanner.plan] ${name} is not a valid time: --${value}--`)
+    }
+    return time
+}
+
+/** When a plan goes back to normal mode - before the end by the pre-heat time, if there is one
+ * @param {Object} plan Holiday plan
+ * @return {number} Time (ms)
+ */
+const returnTime = (plan) => {
+    const end = Date.parse(plan.end)
+    return plan.preHeat ? end - plan.preHeat.minutes * 60 * 1000 : end
+}
+
+/** Plan a holiday for a Wiser instance
+ * Use as `const holiday = require('node-drayton-wiser').HolidayPlanner(wiser); await holiday.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} [options] Optional settings
+ * @param {string} [options.file] File the plan is kept in. Default 'holiday.json' in the Wiser instance's folder setting
+ * @return {Object} Public interfaces
+ */
+const HolidayPlanner = function(wiser, {
+    file = undefined,
+}={}) {
+
+    /** File the plan is kept in. Worked out when needed so that a later setFolder is used */
+    const getFile = () => file || path.join(wiser.getSettings().folder || process.cwd(), 'holiday.json')
+
+    /** Current plan, null if there is none
+     * @type {{start: string, end: string, setback: number, preHeat: {rooms: Array<string|number>, temp: number, minutes: number}|null,
+     *         state: ('planned'|'active'), previousSetback: number|null, created: string}|null}
+     */
+    let plan = null
+    /** Timer for the next step of the plan */
+    let timer = null
+    /** When to try again after a failure (ms), 0 if nothing failed */
+    let retryAt = 0
+    /** True while the plan is being followed */
+    let started = false
+    /** Changes are made one at a time, in order */
+    let busy = Promise.resolve()
+
+    /** Run a change after any in progress
+     * @param {Function} fn Async function
+     * @return {Promise<*>} Its result
+     */
+    const serial = (fn) => {
+        const result = busy.then(fn)
+        busy = result.catch( () => {} )
+        return result
+    }
+
+    /** Emit an output event on the Wiser instance, adding its hubId (if set)
+     * @param {string} eventName Name of the event
+     * @param {Object} data Event data
+     */
+    const emit = (eventName, data) => {
+        const hubId = wiser.getSettings().hubId
+        if ( hubId ) data.hubId = hubId
+        wiser.eventEmitter.emit(eventName, data)
+    }
+
+    /** Copy of the plan for callers and events */
+    const copy = () => plan === null ? null : JSON.parse(JSON.stringify(plan))
+
+    /** Write the plan to its file, or remove the file if there is no plan */
+    const save = async () => {
+        try {
+            if ( plan === null ) {
+                await unlink(getFile()).catch( err => {
+                    if ( err.code !== 'ENOENT' ) throw err
+                })
+            } else {
+                await mkdir(path.dirname(getFile()), { recursive: true })
+                await writeFile(getFile(), JSON.stringify(plan, null, 4))
+            }
+        } catch (err) {
+            throw new WiserError(`[node-drayton-wiser:HolidayPlanner] Could not write ${getFile()}`, {details: err})
+        }
+    }
+
+    /** Read the plan from its file
+     * @return {Promise<Object|null>} The plan or null if there is none
+     */
+    const load = async () => {
+        try {
+            return JSON.parse( await readFile(getFile(), 'utf8') )
+        } catch (err) {
+            if ( err.code === 'ENOENT' ) return null
+            throw new WiserError(`[node-drayton-wiser:HolidayPlanner] Could not read ${getFile()}`, {details: err})
+        }
+    }
+
+    /** Away mode with the setback temperature, remembering the old limit so that it can be put back
+     * @fires wiserHolidayStarted
+     */
+    const activate = async () => {
+        const full = await wiser.getFull()
+        const limit = full.System ? full.System.AwayModeSetPointLimit : undefined
+        if ( plan.previousSetback === null && typeof limit === 'number' ) {
+            // Saved first so that a retry after a restart does not take the setback for the old limit
+            plan.previousSetback = limit / 10
+            await save()
+        }
+
+        await wiser.setAwaySetPoint(plan.setback)
+        await wiser.setSystemMode('away')
+        plan.state = 'active'
+        await save()
+
+        /** wiserHolidayStarted event. Emitted when the system goes into away mode at the start of a holiday
+         * @event wiserHolidayStarted
+         * @type {object}
+         * @property {Date} updated - JavaScript timestamp
+         * @property {Object} plan - The holiday plan (see getPlan)
+         */
+        emit('wiserHolidayStarted', { 'updated': new Date(), 'plan': copy() })
+    }
+
+    /** Back to normal mode and the old away limit
+     * @param {Object} current The plan
+     */
+    const restore = async (current) => {
+        await wiser.setSystemMode('normal')
+        if ( typeof current.previousSetback === 'number' ) await wiser.setAwaySetPoint(current.previousSetback)
+    }
+
+    /** End of the holiday - normal mode and pre-heating
+     * @fires wiserHolidayEnded
+     */
+    const finish = async () => {
+        const ended = copy()
+        if ( ended.state === 'active' ) await restore(ended)
+
+        // A room that cannot be boosted does not stop the others, or the end of the holiday
+        const rooms = []
+        if ( ended.preHeat ) {
+            for ( const roomIdOrName of ended.preHeat.rooms ) {
+                const result = { 'room': roomIdOrName, 'ok': true }
+                try {
+                    await wiser.setRoomMode(roomIdOrName, 'boost', ended.preHeat.temp, ended.preHeat.minutes)
+                } catch (err) {
+                    result.ok = false
+                    result.error = err
+                }
+                rooms.push(result)
+            }
+        }
+
+        plan = null
+        await save()
+
+        /** wiserHolidayEnded event. Emitted when the system goes back to normal mode before the end of a holiday
+         * @event wiserHolidayEnded
+         * @type {object}
+         * @property {Date} updated - JavaScript timestamp
+         * @property {Object} plan - The holiday plan that ended
+         * @property {Array<Object>} rooms - Pre-heated rooms {room, ok, error}
+         */
+        emit('wiserHolidayEnded', { 'updated': new Date(), 'plan': ended, rooms })
+    }
+
+    /** Carry out whatever step of the plan is due, then wait for the next one */
+    const check = () => {
+        timer = null
+        return serial( async () => {
+            if ( plan === null ) return
+            const now = Date.now()
+            try {
+                // A holiday that was missed completely (e.g. the process was not running) still ends with the pre-heating
+                if ( now >= returnTime(plan) ) await finish()
+                else if ( plan.state === 'planned' && now >= Date.parse(plan.start) ) await activate()
+                retryAt = 0
+            } catch (err) {
+                retryAt = now + RETRY_DELAY
+                /** wiserError event - the controller could not be changed, tried again later
+                 * @event wiserError
+                 */
+                emit('wiserError', {
+                    'updated': new Date(),
+                    'error': new WiserError('[node-drayton-wiser:HolidayPlanner] Could not change the controller, will try again', {details: err}),
+                })
+            }
+        }).then( arm )
+    }
+
+    /** Wait for the next step of the plan */
+    const arm = () => {
+        if ( timer !== null ) clearTimeout(timer)
+        timer = null
+        if ( !started || plan === null ) return
+
+        let due = plan.state === 'planned' ? Date.parse(plan.start) : returnTime(plan)
+        if ( retryAt > 0 ) due = retryAt
+        timer = setTimeout(check, Math.min( Math.max(due - Date.now(), 0), MAX_WAIT ))
+    }
+
+    /** Plan a holiday, replacing any plan that has not started yet
+     * @param {Object} options Holiday
+     * @param {Date|number|string} options.start When to go into away mode. If it has passed, away mode starts straight away
+     * @param {Date|number|string} options.end When you get back
+     * @param {number} options.setback Away mode set point limit (°C)
+     * @param {Object} [options.preHeat] Optional. Rooms to warm up for when you get back
+     * @param {Array<string|number>} options.preHeat.rooms Room names or IDs
+     * @param {number} [options.preHeat.temp] Boost temperature (°C). Default 20
+     * @param {number} [options.preHeat.minutes] How long before the end to go back to normal mode and boost the rooms. Default 60
+     * @return {Promise<Object>} The plan (see getPlan). Rejects with a WiserValidationError for invalid options or if a holiday
+     *         is already in progress and a WiserNotFoundError if a pre-heat room does not exist
+     */
+    const setPlan = async ({start, end, setback, preHeat=null}={}) => {
+        const startTime = toTime(start, 'start')
+        const endTime = toTime(end, 'end')
+        if ( endTime <= Math.max(startTime, Date.now()) ) {
+            throw new WiserValidationError('[node-drayton-wiser:HolidayPlanner.plan] end must be after start and in the future')
+        }
+        if ( typeof setback !== 'number' || !isFinite(setback) || setback < TEMP_MINIMUM || setback > TEMP_MAXIMUM ) {
+            throw new WiserValidationError(`[node-drayton-wiser:HolidayPlanner.plan] setback must be ${TEMP_MINIMUM}-${TEMP_MAXIMUM}°C: --${setback}--`)
+        }
+
+        let heat = null
+        if ( preHeat !== null && preHeat !== undefined ) {
+            heat = {
+                rooms: preHeat.rooms,
+                temp: preHeat.temp === undefined ? BOOST_DEFAULT_TEMP : preHeat.temp,
+                minutes: preHeat.minutes === undefined ? PRE_HEAT_MINUTES : preHeat.minutes,
+            }
+            if ( !Array.isArray(heat.rooms) || heat.rooms.length < 1 ) {
+                throw new WiserValidationError('[node-drayton-wiser:HolidayPlanner.plan] preHeat.rooms must be a list of room names or IDs')
+            }
+            if ( typeof heat.temp !== 'number' || !isFinite(heat.temp) ) {
+                throw new WiserValidationError(`[node-drayton-wiser:HolidayPlanner.plan] preHeat.temp must be a number (°C): --${heat.temp}--`)
+            }
+            if ( typeof heat.minutes !== 'number' || !(heat.minutes > 0) || endTime - heat.minutes * 60 * 1000 <= startTime ) {
+                throw new WiserValidationError(`[node-drayton-wiser:HolidayPlanner.plan] preHeat.minutes must be a number of minutes shorter than the holiday: --${heat.minutes}--`)
+            }
+
+            await wiser.getFull()
+            const missing = heat.rooms.filter( roomIdOrName => !wiser.lookupRoom(roomIdOrName).found )
+            if ( missing.length > 0 ) {
+                throw new WiserNotFoundError(`[node-drayton-wiser:HolidayPlanner.plan] Invalid room id or name provided (${missing.join(', ')}).`)
+            }
+        }
+
+        await serial( async () => {
+            if ( plan !== null && plan.state === 'active' ) {
+                throw new WiserValidationError('[node-drayton-wiser:HolidayPlanner.plan] A holiday is in progress, cancel it first')
+            }
+            plan = {
+                start: new Date(startTime).toISOString(),
+                end: new Date(endTime).toISOString(),
+                setback,
+                preHeat: heat,
+                state: 'planned',
+                previousSetback: null,
+                created: new Date().toISOString(),
+            }
+            retryAt = 0
+            await save()
+        })
+        arm()
+        return copy()
+    }
+
+    /** Cancel the plan. If the holiday has started, the system goes back to normal mode and the old away limit straight away
+     * @fires wiserHolidayCancelled
+     * @return {Promise<Object|null>} The plan that was cancelled or null if there was none. Rejects with a WiserHubError
+     *         if the controller could not be changed (the plan is kept)
+     */
+    const cancel = () => {
+        return serial( async () => {
+            if ( plan === null ) return null
+            const cancelled = copy()
+            if ( cancelled.state === 'active' ) await restore(cancelled)
+
+            plan = null
+            retryAt = 0
+            arm()
+            await save()
+
+            /** wiserHolidayCancelled event. Emitted when a holiday plan is cancelled
+             * @event wiserHolidayCancelled
+             * @type {object}
+             * @property {Date} updated - JavaScript timestamp
+             * @property {Object} plan - The holiday plan that was cancelled
+             */
+            emit('wiserHolidayCancelled', { 'updated': new Date(), 'plan': cancelled })
+            return cancelled
+        })
+    }
+
+    /** Get the current plan
+     * @return {Object|null} `{start, end, setback, preHeat, state, previousSetback, created}` where state is 'planned' or 'active'
+     *         and previousSetback is the away limit (°C) to put back. null if there is no plan
+     */
+    const getPlan = () => {
+        return copy()
+    }
+
+    /** Follow the plan in the file (if any), carrying out any step that is already due
+     * @return {Promise<Object|null>} The plan, see getPlan
+     */
+    const start = async () => {
+        if ( started ) return copy()
+        started = true
+        await serial( async () => {
+            plan = await load()
+        })
+        await check()
+        return copy()
+    }
+
+    /** Stop following the plan. It stays in the file for the next start()
+     * @return {Promise<void>}
+     */
+    const stop = async () => {
+        started = false
+        arm()
+        await busy
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        plan: setPlan,
+        cancel,
+        getPlan,
+        getFile,
+    })
+
+} // ---- End of HolidayPlanner ---- //
+
+module.exports = HolidayPlanner
+
+//EOF
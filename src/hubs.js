@@ -0,0 +1,227 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const { EventEmitter } = require('events')
+const { OUTPUT_EVENTS } = require('./constants')
+const { WiserValidationError, WiserNotFoundError } = require('./errors')
+
+/** Manage several named Wiser controllers (hubs) from one process
+ * Each hub is a normal Wiser instance with its own ip, secret and settings. All of their output events are
+ * re-emitted on the manager's eventEmitter with a `hubId` so one set of listeners can handle every hub
+ * (wiserFullUpdate has it as a second argument rather than in the data).
+ * Use as `const hubs = require('node-drayton-wiser').HubManager()`
+ * @return {Object} Public interfaces
+ */
+const HubManager = function() {
+    /** Loaded here rather than at the top as index.js also loads this module */
+    const Wiser = require('./index')
+
+    /** Re-emits the output events of every hub */
+    const eventEmitter = new EventEmitter()
+
+    /** Registered hubs by hubId
+     * @type {Map<string, {wiser: Object, forwarders: Object<string, Function>, monitors: Set<string>}>}
+     */
+    const hubs = new Map()
+
+    /** Get a registered hub or throw a WiserNotFoundError
+     * @param {string} hubId Name of the hub
+     * @param {string} fnName Calling function for the error message
+     * @return {{wiser: Object, forwarders: Object<string, Function>, monitors: Set<string>}}
+     */
+    const getEntry = (hubId, fnName) => {
+        const entry = hubs.get(hubId)
+        if ( !entry ) throw new WiserNotFoundError(`[node-drayton-wiser:${fnName}] Unknown hub: ${hubId}. Known hubs: [${Array.from(hubs.keys()).join(', ')}]`)
+        return entry
+    }
+
+    /** Register a new hub
+     * @param {string} hubId Unique name for the hub, added to all of its events (e.g. 'house', 'annex')
+     * @param {Object} config Settings for the hub as for setConfig (ip and secret are required)
+     * @return {Object} The Wiser instance for the hub
+     */
+    const addHub = (hubId, config) => {
+        if ( typeof hubId !== 'string' || hubId === '' ) throw new WiserValidationError('[node-drayton-wiser:addHub] hubId must be a non-empty string')
+        if ( hubs.has(hubId) ) throw new WiserValidationError(`[node-drayton-wiser:addHub] Hub ${hubId} already exists, remove it first`)
+
+        const wiser = Wiser()
+        wiser.setConfig( Object.assign({}, config, { hubId }) )
+
+        /** Forward every output event. wiserFullUpdate has the hubId as a second argument */
+        const forwarders = {}
+        OUTPUT_EVENTS.forEach( eventName => {
+            forwarders[eventName] = function(...args) {
+                eventEmitter.emit(eventName, ...args)
+            }
+            wiser.eventEmitter.on(eventName, forwarders[eventName])
+        })
+
+        hubs.set(hubId, { wiser, forwarders, monitors: new Set() })
+        return wiser
+    }
+
+    /** Stop all monitors and timers for a hub and forget it
+     * @param {string} hubId Name of the hub
+     * @return {boolean} True if the hub was registered
+     */
+    const removeHub = (hubId) => {
+        const entry = hubs.get(hubId)
+        if ( !entry ) return false
+
+        entry.monitors.forEach( ref => entry.wiser.removeMonitor(ref) )
+        entry.wiser.setBoostCancelTime(null)
+        Object.keys(entry.forwarders).forEach( eventName => entry.wiser.eventEmitter.removeListener(eventName, entry.forwarders[eventName]) )
+        hubs.delete(hubId)
+        return true
+    }
+
+    /** Get the Wiser instance for a hub, use it for commands to a single hub
+     * @param {string} hubId Name of the hub
+     * @return {Object} Wiser instance
+     */
+    const getHub = (hubId) => {
+        return getEntry(hubId, 'getHub').wiser
+    }
+
+    /** @return {Array<string>} Names of the registered hubs */
+    const hubIds = () => {
+        return Array.from(hubs.keys())
+    }
+
+    /** Start a monitor with the same reference on every hub
+     * @param {string} [ref] Monitor reference. Optional, default 'wiser'
+     */
+    const monitor = (ref='wiser') => {
+        hubs.forEach( entry => {
+            entry.monitors.add(ref)
+            entry.wiser.monitor(ref)
+        })
+    }
+
+    /** Stop the monitor with this reference on every hub
+     * @param {string} [ref] Monitor reference. Optional, default 'wiser'
+     */
+    const removeMonitor = (ref='wiser') => {
+        hubs.forEach( entry => {
+            entry.monitors.delete(ref)
+            entry.wiser.removeMonitor(ref)
+        })
+    }
+
+    /** Run a Wiser function on every hub at the same time. One failing hub does not stop the others
+     * @param {string} fnName Name of the Wiser function (e.g. 'cancelOverrides')
+     * @param {...*} args Arguments for the function
+     * @return {Promise<{results: Object<string, *>, errors: Array<{hubId: string, error: Object}>}>} Results by hubId and any errors
+     */
+    const all = async (fnName, ...args) => {
+        if ( hubs.size > 0 && typeof hubs.values().next().value.wiser[fnName] !== 'function' ) {
+            return Promise.reject(new WiserValidationError(`[node-drayton-wiser:all] Unknown function: ${fnName}`))
+        }
+
+        const out = { results: {}, errors: [] }
+        await Promise.all( Array.from(hubs.keys()).map( async hubId => {
+            try {
+                out.results[hubId] = await hubs.get(hubId).wiser[fnName](...args)
+            } catch (err) {
+                out.errors.push({ hubId, error: err })
+            }
+        }))
+        return out
+    }
+
+    /** Get the full data of every hub
+     * @return {Promise<{results: Object<string, Object>, errors: Array<{hubId: string, error: Object}>}>} Full data by hubId and any errors
+     */
+    const getFull = () => {
+        return all('getFull')
+    }
+
+    /** Get the rooms of every hub as a single list
+     * @return {Promise<{rooms: Array<Object>, errors: Array<{hubId: string, error: Object}>}>} Copies of the controller
+     *         Room data with an added `hubId` and any errors
+     */
+    const getRooms = async () => {
+        const full = await getFull()
+        const rooms = []
+        hubIds().forEach( hubId => {
+            if ( !full.results[hubId] ) return
+            full.results[hubId].Room.forEach( room => rooms.push( Object.assign({ hubId }, room) ) )
+        })
+        return { rooms, errors: full.errors }
+    }
+
+    /** Set the mode of a room (by name) on every hub that has a room with that name. See the Wiser setRoomMode function
+     * @param {string} roomName Room name
+     * @param {string} mode Room mode
+     * @param {number} [boostTemp] Optional. Boost/manual temperature (°C)
+     * @param {number} [boostDuration] Optional. Boost duration (minutes)
+     * @return {Promise<{results: Object<string, *>, errors: Array<{hubId: string, error: Object}>}>} Results by hubId and any errors
+     */
+    const setRoomMode = async (roomName, mode, boostTemp, boostDuration) => {
+        const found = await getRooms()
+        const targets = found.rooms.filter( room => room.Name === roomName ).map( room => room.hubId )
+        if ( targets.length === 0 ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:setRoomMode] Room ${roomName} not found on any hub`, {details: found.errors}
+            ))
+        }
+
+        const out = { results: {}, errors: found.errors }
+        await Promise.all( targets.map( async hubId => {
+            try {
+                out.results[hubId] = await hubs.get(hubId).wiser.setRoomMode(roomName, mode, boostTemp, boostDuration)
+            } catch (err) {
+                out.errors.push({ hubId, error: err })
+            }
+        }))
+        return out
+    }
+
+    /** Return every room on every hub to its schedule. See the Wiser cancelOverrides function */
+    const cancelOverrides = () => {
+        return all('cancelOverrides')
+    }
+
+    /** Set the system mode (e.g. 'away', 'normal') on every hub. See the Wiser setSystemMode function
+     * @param {string} overrideMode System mode
+     */
+    const setSystemMode = (overrideMode) => {
+        return all('setSystemMode', overrideMode)
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        eventEmitter,
+        addHub,
+        removeHub,
+        getHub,
+        hubIds,
+        monitor,
+        removeMonitor,
+        all,
+        getFull,
+        getRooms,
+        setRoomMode,
+        cancelOverrides,
+        setSystemMode,
+    })
+
+} // ---- End of HubManager ---- //
+
+module.exports = HubManager
+
+//EOF
@@ -16,35 +16,36 @@
 'use strict'
 
 const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const { promisify } = require('util')
 const axios = require('axios').default /** @see https://github.com/axios/axios */
-//const { diff, addedDiff, deletedDiff, detailedDiff, updatedDiff } = require('deep-object-diff')
-const { updatedDiff } = require('deep-object-diff') /** @see https://www.npmjs.com/package/deep-object-diff#updateddiff */
 const { EventEmitter } = require('events')
-
-/** Minimum allowed setpoint temperature (°C) 
- * @type {number}
- */
-const TEMP_MINIMUM = 5
-/** Maximum allowed setpoint temperature (°C) 
- * @type {number}
- */
-const TEMP_MAXIMUM = 30
-/** Wiser "off" setpoint temperature (°C) 
- * @type {number}
- */
-const TEMP_OFF = -20
-/** Default setpoint temperature for room boost override (°C) 
- * @type {number}
- */
-const BOOST_DEFAULT_TEMP = 20
-/** Default duration for room boost override (minutes)
- * @type {number}
- */
-const BOOST_DEFAULT_DURATION = 30
-/** Default monitor loop interval (seconds)
- * @type {number}
- */
-const MONITOR_LOOP_INTERVAL = 60
+const diff = require('./diff')
+
+const {
+    TEMP_MINIMUM, TEMP_MAXIMUM, TEMP_OFF,
+    BOOST_DEFAULT_TEMP, BOOST_DEFAULT_DURATION,
+    HOT_WATER_ON,
+    MONITOR_LOOP_INTERVAL,
+    SCHEDULE_DAYS,
+} = require('./constants')
+const scheduleModel = require('./schedule')
+const sceneModel = require('./scene')
+const friendly = require('./friendly')
+const domain = require('./model')
+const Connection = require('./connection')
+const Logger = require('./logger')
+const RequestQueue = require('./queue')
+const {
+    WiserError, WiserConfigError, WiserValidationError, WiserNotFoundError, WiserHubError, WiserAuthError, WiserTimeoutError,
+    hubError,
+} = require('./errors')
+
+const readFile = promisify(fs.readFile)
+const writeFile = promisify(fs.writeFile)
+const readdir = promisify(fs.readdir)
+const mkdir = promisify(fs.mkdir)
 
 /** Closure to access a Drayton Wiser controller API
  * Use as `const Wiser = require('node-drayton-wiser'); const wiser = new Wiser({ip:process.env.WISER_IP,secret:process.env.WISER_SECRET})`
@@ -58,11 +59,12 @@ const Wiser = function() {
         network: '/data/network/', // Controller's network info including curr/max/min WiFi signal strength
         wifiRSSI: '/data/network/Station/RSSI/',
 
-        full: '/data/domain/',  // System, Cloud, HeatingChannel, Room, Device, Zigbee, UpgradeInfo, SmartValve, RoomStat, DeviceCapabilityMatrix, Schedule
+        full: '/data/domain/',  // System, Cloud, HeatingChannel, Room, HotWater, Device, Zigbee, UpgradeInfo, SmartValve, RoomStat, DeviceCapabilityMatrix, Schedule
 
         brandName: '/data/domain/System/BrandName/', // Used for quick check of valid connection, always returns 'WiserHeat'
         devices: '/data/domain/Device/',
         heating: '/data/domain/HeatingChannel/',
+        hotWater: '/data/domain/HotWater/', // Only on systems with a combi boiler or cylinder
         rooms: '/data/domain/Room/',
         roomStats: '/data/domain/RoomStat/',
         schedules: '/data/domain/Schedule',
@@ -77,6 +79,12 @@ const Wiser = function() {
         cancelAllOverrides: 5
     }
 
+    /** Room modes accepted by setRoomMode and setRooms */
+    const RoomModes = ['manual', 'set', 'boost', 'off', 'auto']
+
+    /** Hot water modes accepted by setHotWaterMode */
+    const HotWaterModes = ['on', 'off', 'auto', 'boost']
+
     const settings = {
         /** Interval between calls to get the full Controller data and calculate diffs
          * @type {number} Integer seconds
@@ -94,6 +102,62 @@ const Wiser = function() {
          * @type {string|null}
          */
         boostCancelTime: null,
+        /** If true, running monitors reset any room override above the max. allowed temperature (e.g. set from the app or a RoomStat)
+         * @type {boolean}
+         */
+        enforceMaxBoost: false,
+        /** Per-room max temperatures (°C), keyed by room ID or name. Overrides maxBoost for those rooms
+         * @type {Object<string, number>}
+         */
+        roomMaxBoost: {},
+        /** Entity properties ignored by monitors when looking for changes
+         * @type {Array<string>}
+         */
+        ignore: diff.IGNORE_PROPERTIES.slice(),
+        /** Name of this controller, added to every output event as `hubId`. Needed when listening to several hubs
+         * @type {string|null}
+         */
+        hubId: null,
+        /** Time allowed for each request to the controller (seconds)
+         * @type {number}
+         */
+        timeout: 10,
+        /** Number of times a request is retried if the controller cannot be reached (no response, timeout or 5xx)
+         * @type {number}
+         */
+        retries: 2,
+        /** Delay before the first retry (seconds), doubled for each retry after that (with some jitter)
+         * @type {number}
+         */
+        retryDelay: 0.5,
+        /** Longest delay between retries (seconds)
+         * @type {number}
+         */
+        retryMaxDelay: 8,
+        /** Number of failed requests in a row before the connection counts as lost
+         * @type {number}
+         */
+        maxFailures: 3,
+        /** Longest time between monitor polls while the connection is lost (seconds)
+         * @type {number}
+         */
+        maxPollInterval: 300,
+        /** Lowest level of message that is logged: debug, info, warn, error or silent (see setLogger)
+         * @type {string}
+         */
+        logLevel: 'info',
+        /** Most requests sent to the controller at the same time
+         * @type {number}
+         */
+        queueConcurrency: 1,
+        /** Shortest time between the start of one request to the controller and the next (seconds)
+         * @type {number}
+         */
+        queueSpacing: 0,
+        /** How long the data from getFull() is reused rather than asking the controller again (seconds). 0 to always ask
+         * @type {number}
+         */
+        cacheTtl: 0,
     }
 
     /** Default configuration for Axios promised-based http request handler
@@ -109,28 +173,104 @@ const Wiser = function() {
             'Content-Type': 'application/json;charset=UTF-8',
         },
         httpAgent: new http.Agent({ keepAlive: true }),
+        timeout: settings.timeout * 1000,
     }
 
-    /** Keep track of whether the last connection was OK 
-     * @type {boolean}
-     */
-    let connectionOK = false
+    /** Where messages go - see setLogger(). The SECRET is always redacted */
+    const log = Logger(settings, () => [axiosConfig.headers.SECRET])
+
+    /** Connection state shared by every request and monitor, with retries - see getConnection() */
+    const connection = Connection(settings, (eventName, data) => emit(eventName, data))
 
-    /** latest diff between new and previous full data used in monitor() */
-    let dataDiff = {}
+    /** Every request to the controller waits its turn here - see setQueueOptions() */
+    const queue = RequestQueue(settings)
+
+    /** latest changed entities between new and previous full data used in monitor() */
+    let dataDiff = []
     /** current full data - set in getFull() */
     let saved = undefined
+    /** When saved was last fetched (ms), 0 if it must not be reused - see settings.cacheTtl */
+    let fullTime = 0
+    /** getFull() request in progress, shared by every caller until it finishes */
+    let pendingFull = null
+    /** Counts requests for the full data so that only the latest one is reused */
+    let fullGeneration = 0
     /** previous full data - set in monitor() */
     let prev = undefined
     /** current device-to-room map - rebuilt from getFull() in doRoomMap() */
     let roomMap = {}
+    /** Domain model of the current full data - built when first needed by getModel()
+     * @type {domain.Model|null}
+     */
+    let model = null
+    /** previous device-to-room map - set in monitor(), needed to find the room of removed devices */
+    let prevRoomMap = {}
     /** Track started monitors */
     let wiserMonitorRefs = {}
+    /** Timer for the daily override cancel - see setBoostCancelTime() */
+    let boostCancelTimer = null
+    /** When the daily override cancel will next run
+     * @type {Date|null}
+     */
+    let boostCancelNext = null
+    /** Counts of controller requests - see getStats() */
+    const stats = {
+        /** Successful getFull() calls */
+        polls: 0,
+        /** Failed getFull() calls */
+        pollErrors: 0,
+        /** Changes sent to the controller */
+        commands: 0,
+        /** Changes the controller did not accept (or that could not be sent) */
+        commandErrors: 0,
+        /** Time of the last successful getFull()
+         * @type {Date|null}
+         */
+        lastPoll: null,
+    }
 
     //#endregion ---- Private Variables ---- //
 
     //#region ---- Private Functions ---- //
 
+    /** Send a change to the controller (counted in the stats, see getStats)
+     * @param {string} method HTTP method, 'patch' or 'post'
+     * @param {string} url Controller service path
+     * @param {Object} data Data to send
+     * @return {Promise<import('axios').AxiosResponse>} Controller response
+     */
+    const sendCommand = (method, url, data) => {
+        stats.commands++
+        // The controller data is about to change, so it must not be reused - before and after in case of a getFull() in between
+        invalidateFull()
+        // A POST creates something so it is not repeated
+        return connection.request( () => queue.run( () => axios[method](url, data, axiosConfig) ), method !== 'post' )
+            .then( res => {
+                invalidateFull()
+                return res
+            }, err => {
+                invalidateFull()
+                stats.commandErrors++
+                return Promise.reject(err)
+            })
+    }
+
+    /** Stop the current full data being reused by getFull() */
+    const invalidateFull = () => {
+        fullTime = 0
+        pendingFull = null
+        fullGeneration++
+    }
+
+    /** Emit an output event, adding the hubId (if set) so that listeners for several hubs know where it came from
+     * @param {string} eventName Name of the event
+     * @param {Object} data Event data, hubId is added to it
+     */
+    const emit = (eventName, data) => {
+        if ( settings.hubId !== null ) data.hubId = settings.hubId
+        eventEmitter.emit(eventName, data)
+    }
+
     /** Convert from °C to wiser temperature
      * @param {number} degC Value to convert in °C
      * @return {number} °C converted to wiser temperature (x10)
@@ -147,60 +287,490 @@ const Wiser = function() {
         return parseFloat((temp/10).toFixed(1))
     }
 
-    const wiserErrorResult = (error, service='') => {
-        return { error: {
-            'response_data': error.response.data,
-            'service': service,
-            'servicePath': error.config.url,
-            'status': error.response.status,
-            'statusText': error.response.statusText,
-            'responseUrl': error.request.res.responseUrl,
-            'axiosBaseUrl': axiosConfig.baseURL,
-        }}
+    /** Return the folder to use for schedule files (settings.folder or cwd) */
+    const getFolder = () => {
+        return settings.folder || process.cwd()
     }
 
-    //#endregion ---- Private Functions ---- //
+    /** Check that a schedule is in the controller's format
+     * @param {Object} schedule Schedule object, e.g. `{id: 1, Monday: {SetPoints: [{Time: 23400, DegreesC: 210}]}, ...}`
+     * @return {Array<string>} List of problems found, empty if the schedule is valid
+     */
+    const validateHubSchedule = (schedule) => {
+        const errors = []
 
-    const getRoom = (roomId) => {
-        //console.log('SAVED:', Object.keys(saved))
-        //console.log('SAVED #rooms:', saved.Room.length)
-        let rooms = []
-        rooms = saved.Room.filter( room => {
-            return room.id === roomId
+        if ( schedule === null || typeof schedule !== 'object' || Array.isArray(schedule) ) {
+            return ['Schedule must be an object']
+        }
+
+        const days = Object.keys(schedule).filter( key => key !== 'id' && key !== 'Type' )
+        if ( days.length < 1 ) errors.push('Schedule has no days')
+
+        days.forEach( day => {
+            if ( !SCHEDULE_DAYS.includes(day) ) {
+                errors.push(`Invalid day name: ${day}`)
+                return
+            }
+            const setPoints = schedule[day] && schedule[day].SetPoints
+            if ( !Array.isArray(setPoints) ) {
+                errors.push(`${day} has no SetPoints array`)
+                return
+            }
+            setPoints.forEach( (sp, i) => {
+                if ( !Number.isInteger(sp.Time) || sp.Time < 0 || sp.Time >= 86400 ) errors.push(`${day} set point ${i} has an invalid Time (${sp.Time})`)
+                if ( typeof sp.DegreesC !== 'number' || !isFinite(sp.DegreesC) ) errors.push(`${day} set point ${i} has an invalid DegreesC (${sp.DegreesC})`)
+            })
         })
-        if ( rooms.length < 1 ) {
-            console.warn(`[node-drayton-wiser:getRoom] Room ID ${roomId} not found.`)
-            return null
+
+        return errors
+    }
+
+    /** Return the names of the rooms using a schedule (from the latest saved data)
+     * @param {number} scheduleId Schedule ID
+     * @return {Array<string>} Room names
+     */
+    const scheduleRoomNames = (scheduleId) => {
+        if ( !saved || !saved.Room ) return []
+        return saved.Room.filter( room => room.ScheduleId === scheduleId ).map( room => room.Name )
+    }
+
+    /** Build the file name for a schedule file - `schedule-<id>-<room names>.json`
+     * @param {number} scheduleId Schedule ID
+     * @param {Array<string>} roomNames Names of rooms using the schedule (and 'HotWater' for the hot water schedule)
+     * @return {string} File name (no folder)
+     */
+    const scheduleFileName = (scheduleId, roomNames) => {
+        const names = roomNames.map( name => name.replace(/[^A-Za-z0-9_-]+/g, '_') ).join('-')
+        return `schedule-${scheduleId}${names ? '-' + names : ''}.json`
+    }
+
+    /** Longest time (ms) to wait in one go for the daily override cancel.
+     *  Waking up regularly keeps the timer accurate if the computer sleeps or the clock changes.
+     */
+    const BOOST_CANCEL_MAX_WAIT = 60 * 60 * 1000
+
+    /** (Re)start or stop the daily override cancel timer to match settings.boostCancelTime
+     * If the process starts after today's cancel time, the first cancel is tomorrow.
+     */
+    const scheduleBoostCancel = () => {
+        if ( boostCancelTimer !== null ) clearTimeout(boostCancelTimer)
+        boostCancelTimer = null
+        boostCancelNext = null
+
+        if ( settings.boostCancelTime === null ) return
+
+        boostCancelNext = scheduleModel.nextDailyTime(settings.boostCancelTime)
+
+        const wait = () => {
+            const due = boostCancelNext.getTime() - Date.now()
+            if ( due > 0 ) {
+                boostCancelTimer = setTimeout(wait, Math.min(due, BOOST_CANCEL_MAX_WAIT))
+                // The daily timer alone must not keep the process running
+                boostCancelTimer.unref()
+                return
+            }
+            // Work out the next run before this one so that a repeated local time (clocks going back) only runs once
+            scheduleBoostCancel()
+            cancelOverrides().catch( err => {
+                /** wiserError event - the daily override cancel failed
+                 * @event wiserError
+                 */
+                emit('wiserError', {'updated': new Date(), 'error': err} )
+            })
+        }
+        wait()
+    }
+
+    /** Return the max. allowed temperature for a room - from roomMaxBoost (by ID then name) or maxBoost
+     * @param {Object} room Room data
+     * @return {number} Max temperature (°C)
+     */
+    const maxBoostFor = (room) => {
+        if ( settings.roomMaxBoost[room.id] !== undefined ) return settings.roomMaxBoost[room.id]
+        if ( settings.roomMaxBoost[room.Name] !== undefined ) return settings.roomMaxBoost[room.Name]
+        return settings.maxBoost
+    }
+
+    /** Work out the patches that set the mode of a room - see setRoomMode
+     * @param {Object} room Room data
+     * @param {string} mode Room mode (manual|set|boost|off|auto)
+     * @param {number} boostTemp Temperature SetPoint (°C), limited to the room's allowed range
+     * @param {number} boostDuration Duration for boost mode (minutes)
+     * @param {number|string} roomIdOrName Room as given by the caller, for messages
+     * @param {boolean} [minimal] Leave out patches that change nothing in the room's current state. Optional, default false
+     * @return {Array<Object>} Data for each patch, to be sent in this order. Empty if minimal and nothing would change
+     * @throws {WiserValidationError} If the mode is invalid
+     */
+    const roomModePatches = (room, mode, boostTemp, boostDuration, roomIdOrName, minimal=false) => {
+        if ( typeof mode !== 'string' || !RoomModes.includes(mode.toLowerCase()) ) {
+            throw new WiserValidationError(
+                `[node-drayton-wiser:setRoomMode] Invalid mode provided (${mode}) for room: ${roomIdOrName}. Must be one of ['${RoomModes.join("','")}']`
+            )
+        }
+        mode = mode.toLowerCase()
+
+        /** Data to send to controller hub */
+        const patchData = {}
+        /** Data for each patch, sent in this order */
+        const patches = []
+
+        const hasOverride = room.OverrideType !== undefined && room.OverrideType !== 'None'
+        const isManual = room.Mode === 'Manual'
+
+        // Limit temperature requests (must be 5-30 °C or -200=off). Not used by off and auto
+        if ( boostTemp !== -20 && mode !== 'off' && mode !== 'auto' ) {
+            if ( (boostTemp < TEMP_MINIMUM) ) {
+                log.info({room: roomIdOrName, boostTemp}, `[node-drayton-wiser:setRoomMode] Requested temperature too low (${boostTemp}), setting to default minimum (${TEMP_MINIMUM}) for room: ${roomIdOrName}.`)
+                boostTemp = TEMP_MINIMUM
+            }
+            const maxBoost = maxBoostFor(room)
+            if ( boostTemp > maxBoost ) {
+                log.info({room: roomIdOrName, boostTemp}, `[node-drayton-wiser:setRoomMode] Requested temperature too high (${boostTemp}), setting to max. allowed (${maxBoost}) for room: ${roomIdOrName}.`)
+                boostTemp = maxBoost
+            }
+        }
+
+        switch (mode) {
+            case 'manual': {
+                // Use highest of boost temp or current sch setpoint. Sch will not reset
+
+                // Set to manual mode first otherwise next sch chg would override
+                if ( !minimal || !isManual ) patches.push({'Mode': 'Manual'})
+                
+                // setPoint is highest of boostTemp and the current room scheduled setpoint
+                let setPoint = toWiserTemp(boostTemp)
+                if ( room.ScheduledSetPoint > toWiserTemp(boostTemp) ) setPoint = room.ScheduledSetPoint
+
+                patchData.RequestOverride = {
+                    'Type': 'Manual',
+                    'SetPoint': setPoint,
+                }
+
+                break
+            }
+
+            case 'set': {
+                // Use boost temp and allow next schedule change to reset
+                
+                patchData.RequestOverride = {
+                    'Type': 'Manual',
+                    'SetPoint': toWiserTemp(boostTemp),
+                }
+
+                break
+            }
+
+            case 'boost': {
+                patchData.RequestOverride = {
+                    'Type': 'Manual',
+                    'DurationMinutes': boostDuration,
+                    'SetPoint': toWiserTemp(boostTemp),
+                    //'SetpointOrigin': 'FromBoost',
+                    'Originator': 'App',
+                }
+
+                break
+            }
+            
+            case 'off': {
+                // Set to manual mode first so as to prevent next schedule change overriding
+                if ( !minimal || !isManual ) patches.push({'Mode': 'Manual'})
+
+                patchData.RequestOverride = {
+                    'Type': 'Manual',
+                    'SetPoint': toWiserTemp(TEMP_OFF),
+                }
+
+                break
+            }
+            
+            case 'auto': {
+                patchData.Mode = 'Auto'
+
+                break
+            }
+        }
+
+        // If not boost mode, cancel any boost by setting override to none
+        if ( mode !== 'boost' && (!minimal || hasOverride) ) {
+            let cancelBoostPatchData = {
+                'RequestOverride': {
+                    'Type': 'None',
+                    'DurationMinutes': 0,
+                    'SetPoint': 0,
+                    'Originator': 'App',
+                }
+            }
+            // push to patches
+            patches.push(cancelBoostPatchData)
+        }
+
+        // push main request to patches - a room already in auto mode only needs the override cancelled
+        if ( !minimal || mode !== 'auto' || isManual ) patches.push(patchData)
+
+        return patches
+    }
+
+    /** Reset a room's override to its max. allowed temperature if it is higher (used by monitor if enforceMaxBoost is set)
+     * Boosts keep their remaining time, manual mode set points and other overrides are simply lowered.
+     * @param {string} ref Monitor reference
+     * @param {Object} room Latest room data
+     * @param {number} hubTime Controller's UnixTime for the room data
+     * @fires wiserOverrideClamped
+     */
+    const enforceRoomMaxBoost = async (ref, room, hubTime) => {
+        // Scheduled temperatures and off are left alone
+        if ( room.SetpointOrigin === 'FromSchedule' || room.SetpointOrigin === 'FromAwayMode' ) return
+
+        const hasOverride = room.OverrideType !== undefined && room.OverrideType !== 'None'
+        const requested = hasOverride ? room.OverrideSetpoint : room.CurrentSetPoint
+        const maxBoost = maxBoostFor(room)
+        if ( requested === undefined || requested <= toWiserTemp(maxBoost) ) return
+
+        const override = {
+            'Type': 'Manual',
+            'SetPoint': toWiserTemp(maxBoost),
+            'Originator': 'App',
         }
-        if ( rooms.length > 1 ) {
-            console.warn(`[node-drayton-wiser:getRoom] Room ID ${roomId} not unique! ${rooms.length} found.`)
+        if ( hasOverride && room.OverrideTimeoutUnixTime !== undefined ) {
+            override.DurationMinutes = Math.max( 1, Math.ceil( (room.OverrideTimeoutUnixTime - hubTime) / 60 ) )
+        }
+
+        try {
+            await sendCommand('patch', `${servicePaths['rooms']}${room.id}`, { 'RequestOverride': override })
+        } catch (err) {
+            emit('wiserError', {'monitorRef': ref, 'updated': new Date(), 'error': hubError(err, `[node-drayton-wiser:enforceMaxBoost] Send to controller failed (${room.Name}).`)} )
+            return
         }
-        // Only return the first entry
-        return rooms[0]
+
+        /** wiserOverrideClamped event. Emitted by a monitor when enforceMaxBoost is set and a room override above the max was reset
+         * @event wiserMonitor#wiserOverrideClamped
+         * @type {object}
+         * @property {string} monitorRef - Reference to specific instance of the monitor() fn
+         * @property {Date} updated - JavaScript timestamp of the change
+         * @property {number} roomId - Room ID
+         * @property {string} room - Room name
+         * @property {number} requested - The temperature that was requested (°C)
+         * @property {number} enforced - The temperature it was reset to (°C)
+         */
+        emit('wiserOverrideClamped', {
+            'monitorRef': ref,
+            'updated': new Date(),
+            'roomId': room.id,
+            'room': room.Name,
+            'requested': fromWiserTemp(requested),
+            'enforced': maxBoost,
+        })
     }
 
-    const getRoomByName = (roomName) => {
-        let rooms = []
-        rooms = saved.Room.filter( room => {
-            return room.Name === roomName
+    /** Is the room boosted? (a manual override with an end time) */
+    const isBoosted = (room) => room.OverrideType === 'Manual' && room.OverrideTimeoutUnixTime !== undefined
+    /** Is the room following its schedule? (auto mode and no override) */
+    const isOnSchedule = (room) => room.Mode === 'Auto' && (room.OverrideType === undefined || room.OverrideType === 'None')
+    /** Is the room turned off? */
+    const isRoomOff = (room) => room.CurrentSetPoint === toWiserTemp(TEMP_OFF)
+
+    /** Compare the previous and latest data for a room and emit higher-level events for override changes (used by monitor)
+     * All events include `{monitorRef, updated, roomId, room}` plus the properties listed for each. Temperatures are °C.
+     * @param {string} ref Monitor reference
+     * @param {Object} prevRoom Previous room data
+     * @param {Object} room Latest room data
+     * @param {number} hubTime Controller's UnixTime for the latest data
+     * @fires wiserMonitor#wiserBoostStarted - temp, endTime (Date), durationMinutes (remaining)
+     * @fires wiserMonitor#wiserBoostEnded - reason ('expired'|'cancelled'), temp (the boost temperature), currentSetPoint
+     * @fires wiserMonitor#wiserManualModeEntered - temp
+     * @fires wiserMonitor#wiserReturnedToSchedule - temp, scheduledSetPoint
+     * @fires wiserMonitor#wiserRoomOff - prevSetPoint
+     */
+    const emitRoomLifecycle = (ref, prevRoom, room, hubTime) => {
+        const base = () => ({
+            'monitorRef': ref,
+            'updated': new Date(),
+            'roomId': room.id,
+            'room': room.Name,
         })
-        if ( rooms.length < 1 ) {
-            console.warn(`[node-drayton-wiser:getRoom] Room name --${roomName}-- not found.`)
-            return null
+
+        if ( isBoosted(prevRoom) && !isBoosted(room) ) {
+            emit('wiserBoostEnded', Object.assign(base(), {
+                'reason': hubTime >= prevRoom.OverrideTimeoutUnixTime ? 'expired' : 'cancelled',
+                'temp': fromWiserTemp(prevRoom.OverrideSetpoint),
+                'currentSetPoint': fromWiserTemp(room.CurrentSetPoint),
+            }))
+        }
+
+        if ( isBoosted(room) && (!isBoosted(prevRoom) || room.OverrideTimeoutUnixTime !== prevRoom.OverrideTimeoutUnixTime) ) {
+            emit('wiserBoostStarted', Object.assign(base(), {
+                'temp': fromWiserTemp(room.OverrideSetpoint),
+                'endTime': new Date(room.OverrideTimeoutUnixTime * 1000),
+                'durationMinutes': Math.max( 0, Math.round( (room.OverrideTimeoutUnixTime - hubTime) / 60 ) ),
+            }))
+        }
+
+        if ( prevRoom.Mode !== 'Manual' && room.Mode === 'Manual' ) {
+            emit('wiserManualModeEntered', Object.assign(base(), {
+                'temp': fromWiserTemp(room.CurrentSetPoint),
+            }))
+        }
+
+        if ( !isOnSchedule(prevRoom) && isOnSchedule(room) ) {
+            emit('wiserReturnedToSchedule', Object.assign(base(), {
+                'temp': fromWiserTemp(room.CurrentSetPoint),
+                'scheduledSetPoint': fromWiserTemp(room.ScheduledSetPoint),
+            }))
+        }
+
+        if ( !isRoomOff(prevRoom) && isRoomOff(room) ) {
+            emit('wiserRoomOff', Object.assign(base(), {
+                'prevSetPoint': fromWiserTemp(prevRoom.CurrentSetPoint),
+            }))
         }
-        if ( rooms.length > 1 ) {
-            console.warn(`[node-drayton-wiser:getRoom] Room name --${roomName}-- not unique! ${rooms.length} found.`)
+    }
+
+    /** Compare the previous and latest hot water data and emit an event when the hot water turns on or off (used by monitor)
+     * @param {string} ref Monitor reference
+     * @param {Object} prevData Previous full data
+     * @param {Object} data Latest full data
+     * @fires wiserMonitor#wiserHotWaterOn
+     * @fires wiserMonitor#wiserHotWaterOff
+     */
+    const emitHotWaterChanges = (ref, prevData, data) => {
+        (data.HotWater || []).forEach( hw => {
+            const prevHw = (prevData.HotWater || []).find( h => h.id === hw.id )
+            if ( !prevHw || prevHw.WaterHeatingState === hw.WaterHeatingState ) return
+
+            const state = friendly.hotWater(hw)
+            /** wiserHotWaterOn and wiserHotWaterOff events. Emitted when a monitor sees the hot water turn on or off
+             * @event wiserMonitor#wiserHotWaterOn
+             * @type {object}
+             * @property {string} monitorRef - Reference to specific instance of the monitor() fn
+             * @property {Date} updated - JavaScript timestamp of the detection of the change
+             * @property {number} hotWaterId - HotWater ID
+             * @property {string} mode - Why it changed, 'auto' (the schedule or away mode), 'on', 'off' or 'boost' (see getHotWater)
+             * @property {string|null} until - End of a boost (ISO date)
+             */
+            emit(state.on ? 'wiserHotWaterOn' : 'wiserHotWaterOff', {
+                'monitorRef': ref,
+                'updated': new Date(),
+                'hotWaterId': hw.id,
+                'mode': state.mode,
+                'until': state.until,
+            })
+        })
+    }
+
+    /** Emit events for entities added to or removed from the top-level collections (used by monitor)
+     * @param {string} ref Monitor reference
+     * @param {Object} prevData Previous full data
+     * @param {Object} data Latest full data
+     * @fires wiserMonitor#wiserAdded
+     * @fires wiserMonitor#wiserRemoved
+     */
+    const emitAddedRemoved = (ref, prevData, data) => {
+        const found = diff.addedRemoved(prevData, data)
+
+        /** Build the event data, the room comes from the room map at the time the entity existed */
+        const eventData = (item, map) => {
+            const out = {
+                'monitorRef': ref,
+                'updated': new Date(),
+                'type': item.type,
+                'id': item.id,
+                'entity': item.entity,
+            }
+            if ( item.type === 'Room' ) {
+                out.roomId = item.id
+                out.room = item.entity.Name
+            } else if ( map[item.id] ) {
+                out.roomId = map[item.id].roomId
+                out.room = map[item.id].roomName
+            }
+            return out
         }
-        // Only return the first entry
-        return rooms[0]
+
+        /** wiserAdded event. Emitted when a monitor sees a new Room, Device, SmartValve, RoomStat, Schedule, SmartPlug or HotWater
+         * @event wiserMonitor#wiserAdded
+         * @type {object}
+         * @property {string} monitorRef - Reference to specific instance of the monitor() fn
+         * @property {Date} updated - JavaScript timestamp of the detection of the change
+         * @property {string} type - The collection (e.g. Device, Room, etc)
+         * @property {number} id - The ID of the new entity
+         * @property {Object} entity - The new entity's data
+         * @property {number} [roomId] - Room ID (Rooms and devices where the room is known)
+         * @property {string} [room] - Room name (Rooms and devices where the room is known)
+         */
+        found.added.forEach( item => emit('wiserAdded', eventData(item, roomMap)) )
+
+        /** wiserRemoved event. Emitted when a monitor sees a Room, Device, etc has gone. Data as for wiserAdded (entity is the last known data)
+         * @event wiserMonitor#wiserRemoved
+         * @type {object}
+         */
+        found.removed.forEach( item => emit('wiserRemoved', eventData(item, prevRoomMap)) )
+    }
+
+    //#endregion ---- Private Functions ---- //
+
+    /** Find a room by ID in the latest saved data
+     * @param {number} roomId Room ID
+     * @return {import('./model').Lookup} As lookupRoom. value is a Room from the domain model, its `raw` property has the controller data
+     */
+    const getRoom = (roomId) => {
+        const current = getModel()
+        if ( current === null ) return noData()
+        return domain.lookup('Room', roomId, current.rooms.filter( room => room.id === Number(roomId) ))
+    }
+
+    /** Find a room by name in the latest saved data
+     * @param {string} roomName Room name
+     * @return {import('./model').Lookup} As lookupRoom. value is a Room from the domain model, its `raw` property has the controller data
+     */
+    const getRoomByName = (roomName) => {
+        const current = getModel()
+        if ( current === null ) return noData()
+        return domain.lookup('Room', roomName, current.rooms.filter( room => room.name === roomName ))
+    }
+
+    /** Find a room by ID (numeric) or name from the latest saved data
+     * @param {number|string} roomIdOrName Room ID or Name
+     * @return {Object|null} Room data from the controller or null if not found
+     */
+    const findRoom = (roomIdOrName) => {
+        const result = lookupRoom(roomIdOrName)
+        return result.found ? result.value.raw : null
     }
 
+    /** Lookup result used when there is no controller data yet
+     * @return {import('./model').Lookup}
+     */
+    const noData = () => {
+        return { found: false, unique: false, value: null, error: 'No data from the controller yet, call getFull first' }
+    }
+
+    /** Get a RoomStat from the latest saved data
+     * @param {number} roomStatId RoomStat device ID
+     * @return {import('./model').Lookup} value is a RoomStat from the domain model (see getModel)
+     */
     const getRoomStat = (roomStatId) => {
-        
+        const current = getModel()
+        return current === null ? noData() : current.roomStat(roomStatId)
     }
 
-    const getTRV = (trvid) => {
-        
+    /** Get a radiator valve (iTRV) from the latest saved data
+     * @param {number} trvId SmartValve device ID
+     * @return {import('./model').Lookup} value is a SmartValve from the domain model (see getModel)
+     */
+    const getTRV = (trvId) => {
+        const current = getModel()
+        return current === null ? noData() : current.smartValve(trvId)
+    }
+
+    /** Find a room by ID or name in the latest saved data
+     * The result says why nothing (or more than one room) was found
+     * @param {number|string} roomIdOrName Room ID or Name
+     * @return {import('./model').Lookup} value is a Room from the domain model (see getModel)
+     */
+    const lookupRoom = (roomIdOrName) => {
+        const current = getModel()
+        return current === null ? noData() : current.room(roomIdOrName)
     }
 
     /** Return the refs for a given monitor name or return undefined if not found
@@ -247,24 +817,22 @@ const Wiser = function() {
     const eventEmitter = new EventEmitter()
 
     /** Test whether the given options are valid by making a quick connection
-     * @return {Promise} Resolves to true or false
+     * The result is also reflected in the connection state (see getConnection)
+     * @return {Promise<boolean>} Resolves to true if the controller answered, false otherwise
      */
     const testConnection =  () => {
         if (!axiosConfig.baseURL || !axiosConfig.headers.SECRET) {
-            throw Error ('[node-drayton-wiser] both IP and SECRET must be provided before testing the connection, call setConfig first')
+            throw new WiserConfigError('[node-drayton-wiser:testConnection] both IP and SECRET must be provided before testing the connection, call setConfig first')
         }
 
         // Make a request
-        const fin =  axios.get(servicePaths.brandName, axiosConfig)
+        const fin =  connection.request( () => queue.run( () => axios.get(servicePaths.brandName, axiosConfig) ) )
             .then(function (response) {
-                connectionOK = response.data === 'WiserHeat'
-                //console.log('Valid connection? ', connectionOK);
-                return connectionOK
+                return response.data === 'WiserHeat'
             })
             .catch(function (error) {
-                connectionOK = true
-                console.error(error)
-                return error
+                log.warn({service: 'brandName', err: error}, '[node-drayton-wiser:testConnection] The controller did not answer')
+                return false
             })
                 
         return fin
@@ -276,34 +844,153 @@ const Wiser = function() {
      * @param {string} config.ip IP address of Wiser controller
      * @param {string} config.secret API secret key for accessing the controller
      * @param {number} [config.interval] Optional. Scan interval in seconds. Defaults to 60s
+     * @param {string} [config.hubId] Optional. Name of this controller, added to every output event. Default none
      * --- The remainder can be set on initial settings or subsequently (see the setXxxx functions) ---
      * @param {string} [config.folder] Optional. Filing system folder to use for schedule files. Defaults to current working folder (cwd)
      * @param {number} [config.maxBoost] Optional. Max temperature (°C) allowed for boost/manual temperatures
      * @param {string|null} [config.boostCancelTime] Optional. Time at which all overrides will be cancelled (daily) "HH:mm" (24hr)
+     * @param {boolean} [config.enforceMaxBoost] Optional. Monitors reset overrides above the max. allowed temperature. Default false
+     * @param {Object<string, number>} [config.roomMaxBoost] Optional. Per-room max temperatures (°C) keyed by room ID or name
+     * @param {Array<string>} [config.ignore] Optional. Entity properties ignored by monitors when looking for changes
+     * @param {number} [config.timeout] Optional. Time allowed for each request (s). Default 10. See setConnectionOptions for the others
+     * @param {number} [config.retries] Optional. Default 2
+     * @param {number} [config.retryDelay] Optional. Default 0.5
+     * @param {number} [config.retryMaxDelay] Optional. Default 8
+     * @param {number} [config.maxFailures] Optional. Default 3
+     * @param {number} [config.maxPollInterval] Optional. Default 300
+     * @param {Object} [config.logger] Optional. pino-style logger for messages, see setLogger. Default the console
+     * @param {string} [config.logLevel] Optional. debug, info, warn, error or silent. Default info
+     * @param {number} [config.queueConcurrency] Optional. Default 1. See setQueueOptions
+     * @param {number} [config.queueSpacing] Optional. Default 0
+     * @param {number} [config.cacheTtl] Optional. Default 0
      */
-    const setConfig = ({ip, secret, interval=settings.interval, folder=undefined, maxBoost=undefined, boostCancelTime=undefined}) => {
-        //console.log({ip, secret, interval})
+    const setConfig = ({ip, secret, interval=settings.interval, folder=undefined, maxBoost=undefined, boostCancelTime=undefined, enforceMaxBoost=undefined, roomMaxBoost=undefined, ignore=undefined, hubId=undefined,
+        timeout=undefined, retries=undefined, retryDelay=undefined, retryMaxDelay=undefined, maxFailures=undefined, maxPollInterval=undefined,
+        logger=undefined, logLevel=undefined, queueConcurrency=undefined, queueSpacing=undefined, cacheTtl=undefined}) => {
+        // Set up logging first so that any problems below go to the right place
+        if ( logger !== undefined || logLevel !== undefined ) setLogger(logger, logLevel)
 
         // must both be provided
         if (!ip || !secret) {
-            //console.error('[node-drayton-wiser] both IP and SECRET must be provided')
-            console.log({ip, secret, interval})
-            throw Error ('[node-drayton-wiser] both IP and SECRET must be provided')
+            log.error({ip, secret, interval}, '[node-drayton-wiser:setConfig] both IP and SECRET must be provided')
+            throw new WiserConfigError('[node-drayton-wiser:setConfig] both IP and SECRET must be provided')
         }
 
         if (typeof interval === 'number' && isFinite(interval) ) settings.interval = interval
-        else console.warn('[node-drayton-wiser] interval config ignored, it must be a number')
+        else log.warn({interval}, '[node-drayton-wiser:setConfig] interval config ignored, it must be a number')
 
         axiosConfig.baseURL = `http://${ip}`
         axiosConfig.headers.SECRET = secret
 
+        if ( hubId !== undefined ) settings.hubId = hubId === null ? null : String(hubId)
+
         // Validate maxBoost & save to settings
         if ( folder ) setFolder(folder)
         if ( maxBoost ) setMaxBoost(maxBoost)
         if ( boostCancelTime ) setBoostCancelTime(boostCancelTime)
+        if ( enforceMaxBoost !== undefined ) setEnforceMaxBoost(enforceMaxBoost)
+        if ( roomMaxBoost ) {
+            Object.keys(roomMaxBoost).forEach( roomIdOrName => setRoomMaxBoost(roomIdOrName, roomMaxBoost[roomIdOrName]) )
+        }
+        if ( ignore ) setIgnore(ignore)
+        setConnectionOptions({timeout, retries, retryDelay, retryMaxDelay, maxFailures, maxPollInterval})
+        setQueueOptions({concurrency: queueConcurrency, spacing: queueSpacing, cacheTtl})
 
     } // --- End of setConfig --- //
 
+    /** Set where messages go and which are logged
+     * Messages are sent as `logger.warn(fields, message)` (the pino style) where fields has the structured data
+     * (e.g. room, service, monitorRef, hubId and err). Secrets are always redacted.
+     * @param {Object|null} [logger] Object with debug, info, warn and error functions (e.g. a pino logger). null for the console. Optional, not changed if undefined
+     * @param {('debug'|'info'|'warn'|'error'|'silent')} [level] Lowest level logged. Optional, not changed if undefined
+     * @return {{logLevel: string}} The level now in use
+     */
+    const setLogger = (logger=undefined, level=undefined) => {
+        if ( logger !== undefined && !log.setLogger(logger) ) {
+            log.warn('[node-drayton-wiser:setLogger] logger must have debug, info, warn and error functions. Ignored.')
+        }
+        if ( level !== undefined ) {
+            if ( Logger.LEVELS.includes(level) ) settings.logLevel = level
+            else log.warn({level}, `[node-drayton-wiser:setLogger] level must be one of [${Logger.LEVELS.join(', ')}]. Ignored. --${level}--`)
+        }
+        return { logLevel: settings.logLevel }
+    }
+
+    /** Set how requests to the controller are retried and when the connection counts as lost
+     * Invalid values are ignored (with a warning), missing ones are not changed.
+     * @param {Object} options Connection options
+     * @param {number} [options.timeout] Time allowed for each request (s)
+     * @param {number} [options.retries] Number of retries if the controller cannot be reached (no response, timeout or 5xx). 0 for none
+     * @param {number} [options.retryDelay] Delay before the first retry (s), doubled for each retry (with jitter)
+     * @param {number} [options.retryMaxDelay] Longest delay between retries (s)
+     * @param {number} [options.maxFailures] Failed requests in a row before the connection counts as lost
+     * @param {number} [options.maxPollInterval] Longest time between monitor polls while the connection is lost (s)
+     * @return {Object} The connection options now in use
+     */
+    const setConnectionOptions = (options={}) => {
+        const names = ['timeout', 'retries', 'retryDelay', 'retryMaxDelay', 'maxFailures', 'maxPollInterval']
+        names.forEach( name => {
+            const value = options[name]
+            if ( value === undefined ) return
+            const whole = name === 'retries' || name === 'maxFailures'
+            if ( typeof value !== 'number' || !isFinite(value) || value < 0 || (whole && !Number.isInteger(value)) || (name === 'maxFailures' && value < 1) ) {
+                log.warn({option: name, value}, `[node-drayton-wiser:setConnectionOptions] ${name} not a valid number. Ignored. --${value}--`)
+                return
+            }
+            settings[name] = value
+        })
+        axiosConfig.timeout = settings.timeout * 1000
+
+        const out = {}
+        names.forEach( name => { out[name] = settings[name] } )
+        return out
+    }
+
+    /** Set how requests to the controller are queued and how long the full data is reused
+     * Every request (including retries) waits its turn in one queue, so changes reach the controller in the order they were made.
+     * Invalid values are ignored (with a warning), missing ones are not changed.
+     * @param {Object} options Queue options
+     * @param {number} [options.concurrency] Most requests sent to the controller at the same time (whole number, at least 1)
+     * @param {number} [options.spacing] Shortest time between the start of one request and the next (s)
+     * @param {number} [options.cacheTtl] How long getFull() reuses the data it fetched (s). 0 to always ask the controller
+     * @return {{concurrency: number, spacing: number, cacheTtl: number}} The queue options now in use
+     */
+    const setQueueOptions = (options={}) => {
+        const names = { concurrency: 'queueConcurrency', spacing: 'queueSpacing', cacheTtl: 'cacheTtl' }
+        Object.keys(names).forEach( name => {
+            const value = options[name]
+            if ( value === undefined ) return
+            if ( typeof value !== 'number' || !isFinite(value) || value < 0 || (name === 'concurrency' && (!Number.isInteger(value) || value < 1)) ) {
+                log.warn({option: name, value}, `[node-drayton-wiser:setQueueOptions] ${name} not a valid number. Ignored. --${value}--`)
+                return
+            }
+            settings[names[name]] = value
+        })
+        if ( options.cacheTtl !== undefined ) invalidateFull()
+
+        return {
+            concurrency: settings.queueConcurrency,
+            spacing: settings.queueSpacing,
+            cacheTtl: settings.cacheTtl,
+        }
+    }
+
+    /** Get the state of the request queue
+     * @return {{waiting: number, active: number}} Requests waiting their turn and requests in progress
+     */
+    const getQueue = () => {
+        return queue.getState()
+    }
+
+    /** Get the state of the connection to the controller (shared by every request and monitor)
+     * @return {{state: string, since: Date, failures: number, lastError: Object|null, lastSuccess: Date|null, outageStart: Date|null}}
+     *         state is 'unknown' (nothing sent yet), 'connected', 'degraded' (needed retries or some requests failed)
+     *         or 'disconnected' (maxFailures requests in a row failed). since is when it entered that state
+     */
+    const getConnection = () => {
+        return connection.getState()
+    }
+
     const setFolder = (folder='') => {
         //TODO check for valid folder name
         if ( folder === '' ) folder = process.cwd()
@@ -316,19 +1003,76 @@ const Wiser = function() {
         if ( typeof maxBoost === 'number' && isFinite(maxBoost) ) {
             if ( maxBoost > TEMP_MAXIMUM ) {
                 maxBoost = TEMP_MAXIMUM
-                console.warn(`[node-drayton-wiser:setMaxBoost] maxBoost set too high, changed to TEMP_MAX (${TEMP_MAXIMUM}°C)`)
+                log.warn({maxBoost}, `[node-drayton-wiser:setMaxBoost] maxBoost set too high, changed to TEMP_MAX (${TEMP_MAXIMUM}°C)`)
             }
             settings.maxBoost = maxBoost
             return maxBoost
         } else {
-            console.warn(`[node-drayton-wiser:setMaxBoost] maxBoost not a valid number. Ignored. --${maxBoost}--`)
+            log.warn({maxBoost}, `[node-drayton-wiser:setMaxBoost] maxBoost not a valid number. Ignored. --${maxBoost}--`)
             return null
         }
     }
 
-    const setBoostCancelTime = (boostCancelTime=null) => {
-        if ( boostCancelTime === null ) {
-            settings.boostCancelTime = null
+    /** Set the max. temperature for a single room, overriding maxBoost for that room (may be higher or lower)
+     * @param {number|string} roomIdOrName Room ID or Name
+     * @param {number|null} maxBoost Max temperature (°C), null to go back to using maxBoost
+     * @return {number|null} The max temperature set or null if removed or invalid (and ignored)
+     */
+    const setRoomMaxBoost = (roomIdOrName, maxBoost) => {
+        if ( maxBoost === null || maxBoost === undefined ) {
+            delete settings.roomMaxBoost[roomIdOrName]
+            return null
+        }
+        if ( typeof maxBoost === 'number' && isFinite(maxBoost) ) {
+            if ( maxBoost > TEMP_MAXIMUM ) {
+                maxBoost = TEMP_MAXIMUM
+                log.warn({room: roomIdOrName, maxBoost}, `[node-drayton-wiser:setRoomMaxBoost] maxBoost for ${roomIdOrName} set too high, changed to TEMP_MAX (${TEMP_MAXIMUM}°C)`)
+            }
+            settings.roomMaxBoost[roomIdOrName] = maxBoost
+            return maxBoost
+        } else {
+            log.warn({room: roomIdOrName, maxBoost}, `[node-drayton-wiser:setRoomMaxBoost] maxBoost for ${roomIdOrName} not a valid number. Ignored. --${maxBoost}--`)
+            return null
+        }
+    }
+
+    /** Turn on/off enforcement of the max. temperatures by running monitors
+     * When on, any Room change seen by a monitor with a CurrentSetPoint or OverrideSetpoint above the room's max.
+     * (from setRoomMaxBoost or maxBoost) is reset to the max and a `wiserOverrideClamped` event is emitted.
+     * Scheduled set points are not changed.
+     * @param {boolean} [enforce] Optional, default true
+     * @return {boolean} The new setting
+     */
+    const setEnforceMaxBoost = (enforce=true) => {
+        settings.enforceMaxBoost = enforce === true
+        return settings.enforceMaxBoost
+    }
+
+    /** Set the entity properties that monitors ignore when looking for changes
+     * Changes to only these properties do not emit `wiserChange`. The data from getFull() is not changed.
+     * @param {Array<string>|null} [ignore] Property names, null to go back to the default list
+     * @return {Array<string>|null} The new list or null if invalid (and ignored)
+     */
+    const setIgnore = (ignore=null) => {
+        if ( ignore === null ) ignore = diff.IGNORE_PROPERTIES
+        if ( !Array.isArray(ignore) || !ignore.every( prop => typeof prop === 'string' ) ) {
+            log.warn({ignore}, `[node-drayton-wiser:setIgnore] ignore must be an array of property names. Ignored. --${ignore}--`)
+            return null
+        }
+        settings.ignore = ignore.slice()
+        return settings.ignore
+    }
+
+    /** Set (or clear) the time at which all room overrides are cancelled every day
+     * At that (local) time, every room in Manual mode or with an active override is returned to its schedule
+     * and a `wiserOverridesCancelled` event is emitted. Changing the time restarts the daily timer.
+     * @param {string|null} [boostCancelTime] "HH:mm" (24hr) or null to stop the daily cancel. Optional, default null
+     * @return {string|null|false} The time set, null if cleared or false if the time was invalid (and ignored)
+     */
+    const setBoostCancelTime = (boostCancelTime=null) => {
+        if ( boostCancelTime === null ) {
+            settings.boostCancelTime = null
+            scheduleBoostCancel()
             return null
         }
         
@@ -341,20 +1085,60 @@ const Wiser = function() {
         }
 
         if ( result === false ) {
-            console.warn(`[node-drayton-wiser:setBoostCancelTime] boostCancelTime not a valid time ("HH:mm"). Ignored. --${boostCancelTime}--`)
+            log.warn({boostCancelTime}, `[node-drayton-wiser:setBoostCancelTime] boostCancelTime not a valid time ("HH:mm"). Ignored. --${boostCancelTime}--`)
             return false
         } else {
             settings.boostCancelTime = result
+            scheduleBoostCancel()
             return result
         }
     }
 
-    /** Output debugging info
-     * @param {boolean} [doDebug] Output debugging info to console. Optional, default=false
+    /** When will the daily override cancel next run?
+     * @return {Date|null} Next run or null if no boostCancelTime is set
+     */
+    const getNextBoostCancel = () => {
+        return boostCancelNext
+    }
+
+    /** Get a copy of the current settings (changing it does not change the settings, use the setXxxx functions)
+     * @return {Object} Settings
+     */
+    const getSettings = () => {
+        return JSON.parse(JSON.stringify(settings))
+    }
+
+    /** Get the counts of controller requests made by this instance
+     * @return {{polls: number, pollErrors: number, commands: number, commandErrors: number, lastPoll: Date|null}}
+     *         Successful and failed getFull() calls (e.g. monitor polls), changes sent and changes that failed, time of the last successful poll
+     */
+    const getStats = () => {
+        return Object.assign({}, stats)
+    }
+
+    /** Get a copy of the current device-to-room map (from the latest getFull)
+     * @return {Object<number, {roomId: number, roomName: string, type: string}>} Room of each SmartValve, RoomStat and SmartPlug by device id
+     */
+    const getRoomMap = () => {
+        return JSON.parse(JSON.stringify(roomMap))
+    }
+
+    /** Get the domain model of the latest full data - rooms, valves, RoomStats, SmartPlugs, heating channels and the system
+     * with °C values and links between them (e.g. `room.valves`, `valve.room`). See src/model.js
+     * @return {domain.Model|null} The model or null if there is no data from the controller yet
+     */
+    const getModel = () => {
+        if ( saved === undefined ) return null
+        if ( model === null ) model = new domain.Model(saved, roomMap)
+        return model
+    }
+
+    /** Output debugging info (at info level so that it is shown by default). The SECRET is redacted
+     * @param {boolean} [doDebug] Output debugging info to the logger. Optional, default=false
      */
     const debug = (doDebug=false) => {
         if (doDebug) {
-            console.log('CONFIGURATION:', {settings,axiosConfig,servicePaths})
+            log.info({settings, axiosConfig, servicePaths}, '[node-drayton-wiser:debug] CONFIGURATION')
         }
     }
 
@@ -364,39 +1148,81 @@ const Wiser = function() {
         let out = {}
 
         if ( !ServiceNames.includes(service) ) {
-            return Promise.reject({
-                'error': `[node-drayton-wiser:get] Invalid service name: ${service}, must be one of: [${ServiceNames.join(', ')}]`
-            })
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:get] Invalid service name: ${service}, must be one of: [${ServiceNames.join(', ')}]`
+            ))
         }
 
         if (!axiosConfig.baseURL || !axiosConfig.headers.SECRET) {
-            return Promise.reject({
-                'error': '[node-drayton-wiser:get] both IP and SECRET must be provided before testing the connection, call setConfig first'
-            })
+            return Promise.reject(new WiserConfigError(
+                '[node-drayton-wiser:get] both IP and SECRET must be provided before testing the connection, call setConfig first'
+            ))
         }
 
         // Make a request
-        let result = await axios.get(servicePaths[service], axiosConfig)
+        let result
+        try {
+            result = await connection.request( () => queue.run( () => axios.get(servicePaths[service], axiosConfig) ) )
+        } catch (err) {
+            return Promise.reject(hubError(err, `[node-drayton-wiser:get] Get ${service} failed.`))
+        }
         out[service] = result.data
         return  out
     } // --- End of get() --- //
 
     /** Get the full set of data from the controller
-     * @fires wiserFullUpdate - Emits a reference to the full controller data after each call
-     * @return {Promise} Containing either a reference to the full data object or the error object
+     * Data fetched in the last `cacheTtl` seconds (see setQueueOptions) is reused rather than asking the controller again,
+     * and callers that ask while a request is in progress share it. Sending a change to the controller stops the data being reused.
+     * @fires wiserFullUpdate - Emits a reference to the full controller data each time it is fetched (not when it is reused)
+     * @param {Object} [options] Optional
+     * @param {boolean} [options.cache] Optional. false to always ask the controller. Default true
+     * @return {Promise<Object>} A reference to the full data object. Rejects with a WiserHubError (or WiserAuthError, WiserTimeoutError) if it fails
      */
-    const getFull = async () => {
+    const getFull = async ({cache=true}={}) => {
+        if (!axiosConfig.baseURL || !axiosConfig.headers.SECRET) {
+            return Promise.reject(new WiserConfigError(
+                '[node-drayton-wiser:getFull] both IP and SECRET must be provided, call setConfig first'
+            ))
+        }
+
+        if ( cache !== false ) {
+            if ( saved !== undefined && fullTime > 0 && Date.now() - fullTime < settings.cacheTtl * 1000 ) return saved
+            if ( pendingFull !== null ) return pendingFull
+        }
+
+        const request = fetchFull()
+        pendingFull = request
+        return request
+
+    } // ---- end of getFull ---- //
+
+    /** Ask the controller for the full set of data - see getFull()
+     * @fires wiserFullUpdate
+     * @return {Promise<Object>} A reference to the full data object
+     */
+    const fetchFull = async () => {
         let result
+        fullGeneration++
+        const generation = fullGeneration
 
         try {
-            result = await axios.get(servicePaths['full'], axiosConfig)
+            result = await connection.request( () => queue.run( () => axios.get(servicePaths['full'], axiosConfig) ) )
         } catch (error) {
-            console.error(error)
-            return {'error': error}
+            if ( generation === fullGeneration ) pendingFull = null
+            stats.pollErrors++
+            return Promise.reject(hubError(error, '[node-drayton-wiser:getFull] Get full data failed.'))
         }
+        stats.polls++
+        stats.lastPoll = new Date()
 
         // Update the saved data and the room/device map
         saved = result.data
+        model = null
+        // Only reuse it if nothing was changed or fetched since it was asked for
+        if ( generation === fullGeneration ) {
+            fullTime = Date.now()
+            pendingFull = null
+        }
 
         doRoomMap()
 
@@ -405,15 +1231,18 @@ const Wiser = function() {
          *
          * @event #wiserFullUpdate
          * @type {object} Full data object from the controller
+         * @param {string|null} hubId Second argument - the hubId from setConfig (the controller data is not changed)
          */
-        eventEmitter.emit('wiserFullUpdate', saved )
+        eventEmitter.emit('wiserFullUpdate', saved, settings.hubId )
 
         return saved
 
-    } // ---- end of getFull ---- //
+    } // ---- end of fetchFull ---- //
 
-    /** Set the system in to away mode
-        * @return {Promise} Containing data object or the error object
+    /** Set the system override mode (away, normal, boostAllRooms or cancelAllOverrides)
+        * @param {('away'|'normal'|'boostAllRooms'|'cancelAllOverrides')} overrideMode System mode
+        * @return {Promise<Object>} Containing the data object from the controller.
+        *         Rejects with a WiserValidationError for an unknown mode or a WiserHubError if the controller fails
     */
     const setSystemMode = async (overrideMode) => {
         let result
@@ -425,18 +1254,39 @@ const Wiser = function() {
             };
             
             try {
-                result = await axios.patch(servicePaths['system'], payload, axiosConfig);
+                result = await sendCommand('patch', servicePaths['system'], payload);
             } catch (error) {
-                console.error(error);
-                return {'error' : error};
+                return Promise.reject(hubError(error, '[node-drayton-wiser:setSystemMode] Send to controller failed.'))
             }
 
             return result.data;
         } else {
-            console.warn(`[node-drayton-wiser:setSystemMode] overrideMode not a valid . Ignored. --${overrideMode}--`)
-            return false;
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setSystemMode] Invalid mode provided (${overrideMode}). Must be one of [${Object.keys(SystemOverrideType).join(', ')}]`
+            ))
         };
     }
+
+    /** Set the away mode set point limit - while the system is in away mode, rooms are heated to no more than this
+     * @param {number} temp Temperature (°C, min=5, max=30) or -20 for off
+     * @return {Promise<Object>} Containing the data object from the controller.
+     *         Rejects with a WiserValidationError for an invalid temperature or a WiserHubError if the controller fails
+     */
+    const setAwaySetPoint = async (temp) => {
+        if ( typeof temp !== 'number' || !isFinite(temp) || (temp !== TEMP_OFF && (temp < TEMP_MINIMUM || temp > TEMP_MAXIMUM)) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setAwaySetPoint] Temperature must be ${TEMP_MINIMUM}-${TEMP_MAXIMUM}°C or ${TEMP_OFF} for off: --${temp}--`
+            ))
+        }
+
+        try {
+            const result = await sendCommand('patch', servicePaths['system'], { 'AwayModeSetPointLimit': toWiserTemp(temp) })
+            return result.data
+        } catch (error) {
+            return Promise.reject(hubError(error, '[node-drayton-wiser:setAwaySetPoint] Send to controller failed.'))
+        }
+    }
+
     /** Remove an existing monitor if it exists (does not error if it doesn't exist)
      * @param {string} ref Unique reference string that will be returned with the wiserMonitorRef event so that a specific monitor can be cancelled
      * @fires wiserMonitorRemoved - If the referenced monitor existed and has been successfully deleted
@@ -446,7 +1296,7 @@ const Wiser = function() {
         if (existRef !== undefined) {
             clearInterval(existRef)
             delete wiserMonitorRefs[ref]
-            eventEmitter.emit('wiserMonitorRemoved', {'monitorRef': ref} )
+            emit('wiserMonitorRemoved', {'monitorRef': ref} )
         }
     }
 
@@ -456,10 +1306,16 @@ const Wiser = function() {
      * @fires wiserGetFull#wiserPing - on every successful getFull()
      * @fires wiserGetFull#wiserChange - if anything changes
      * @fires wiserGetFull#wiserError - if getFull() errors
+     * @fires wiserMonitor#wiserOverrideClamped - if enforceMaxBoost is set and an override above the max. is reset
+     * @fires wiserMonitor#wiserBoostStarted - and wiserBoostEnded, wiserManualModeEntered, wiserReturnedToSchedule, wiserRoomOff (see emitRoomLifecycle)
+     * @fires wiserMonitor#wiserAdded - if a Room, Device, SmartValve, RoomStat, Schedule or SmartPlug is added
+     * @fires wiserMonitor#wiserRemoved - if one is removed
      */
     const monitor = (ref='wiser') => {
         /** Reference to the setInterval instance from monitor() so that it can be cancelled */
         let intervalFn = undefined
+        /** True while this monitor is waiting for the controller, so that slow requests (e.g. retries) do not pile up */
+        let polling = false
 
         // If the monitor already exists, cancel it so that it can be recreated
         removeMonitor(ref)
@@ -475,20 +1331,24 @@ const Wiser = function() {
                  * @property {string} monitorRef - Reference to specific instance of the monitor() fn
                  * @property {Date} updated - JavaScript timestamp of the detection of the change
                  */
-                eventEmitter.emit('wiserPing', {'monitorRef': ref, 'updated': new Date(), 'initialRun': true} )
-
-                /** We are not interested in the controllers timestamp changes */
-                delete res.System.UnixTime
-                delete res.System.LocalDateAndTime
+                emit('wiserPing', {'monitorRef': ref, 'updated': new Date(), 'initialRun': true} )
 
                 /** This is first run so just save a previous & current entry */
                 prev = res
-
+                prevRoomMap = roomMap
+            }, err => {
+                // The controller could not be reached, keep trying in the loop
+                log.warn({monitorRef: ref, service: 'full', err}, '[node-drayton-wiser:monitor] Get full data failed')
+                emit('wiserError', {'monitorRef': ref, 'service': 'full', 'updated': new Date(), 'error': err} )
+            })
+            .then( () => {
                 /** Set up repeating call to get the full data from the Wiser Controller
-                 * Runs every `interval` seconds
+                 * Runs every `interval` seconds. While the connection is lost, polls are skipped so that they get further apart
                  */
                 intervalFn = setInterval(() => {
-                    
+                    if ( polling || !connection.shouldPoll(settings.interval) ) return
+                    polling = true
+
                     /** 
                      * Get full data from the Wiser Controller
                      * @fires wiserGetFull#wiserPing
@@ -505,92 +1365,103 @@ const Wiser = function() {
                              * @property {string} monitorRef - Reference to specific instance of the monitor() fn
                              * @property {Date} updated - JavaScript timestamp of the detection of the change
                              */
-                            eventEmitter.emit('wiserPing', {'monitorRef': ref, 'updated': new Date()} )
-
-                            /** We are not interested in the controllers timestamp changes */
-                            delete res.System.UnixTime
-                            delete res.System.LocalDateAndTime
+                            emit('wiserPing', {'monitorRef': ref, 'updated': new Date()} )
+
+                            /** No data yet (the controller could not be reached at startup) so there is nothing to compare */
+                            if ( prev === undefined ) {
+                                prev = res
+                                prevRoomMap = roomMap
+                                return
+                            }
+
+                            /** Controller time is needed to work out remaining boost times */
+                            const hubTime = res.System.UnixTime
+
+                            /** What has changed? Entities are matched by id, ignored properties are left out */
+                            dataDiff = diff.changes(prev, res, {'ignore': settings.ignore})
+
+                            /** Emit each changed entity as an individual event */
+                            dataDiff.forEach( record => {
+                                const type = record.type
+
+                                /** Data for wiserChange event.
+                                 * @type {object}
+                                 * @property {string} monitorRef - Reference to specific instance of the monitor() fn
+                                 * @property {Date} updated - JavaScript timestamp of the detection of the change
+                                 * @property {string} type - The type of change (e.g. Device, Room, etc)
+                                 * @property {number} [idx] - The current index of the thing that has changed in the type array (not set for System, etc)
+                                 * @property {number} [id] - The ID of the thing that has changed (not set for System, etc)
+                                 * @property {Object} changes - The changed settings:values (removed settings have an undefined value)
+                                 * @property {Object} prev - The previous settings:values
+                                 * @property {string} [room] - Room name (only for Room changes or devices where the room is known)
+                                 */
+                                let changes = {
+                                    'monitorRef': ref,
+                                    'updated': new Date(), 
+                                    'type': type, 
+                                    'idx': record.idx,
+                                    'id': record.id, 
+                                    'changes': record.changes,
+                                    'prev': record.prev,
+                                }
+
+                                /** Add in room name if available */
+                                if (type === 'Room') changes.room = record.entity.Name
+                                else if ( record.id !== undefined && roomMap[ record.id ] ) changes.room = roomMap[ record.id ].roomName
+
+                                /** wiserChange event. Emitted after getting a full update from the controller when something has changed from the previous update.
+                                 * @event wiserMonitor#wiserChange
+                                 * @type {object}
+                                 * @property {Date} updated - JavaScript timestamp of the detection of the change
+                                 * @property {string} type - The type of change (e.g. Device, Room, etc)
+                                 * @property {number} [idx] - The current index of the thing that has changed in the type array
+                                 * @property {number} [id] - The ID of the thing that has changed
+                                 * @property {Object} changes - The changed settings:values
+                                 * @property {Object} prev - The previous settings:values
+                                 * @property {string} [room] - Room name (only for Room changes or devices where the room is known)
+                                 */
+                                emit('wiserChange', changes)
+
+                                /** Reset app/RoomStat overrides above the max if required */
+                                if ( settings.enforceMaxBoost && type === 'Room' && (record.changes.CurrentSetPoint !== undefined || record.changes.OverrideSetpoint !== undefined) ) {
+                                    enforceRoomMaxBoost(ref, record.entity, hubTime)
+                                }
+                            })
 
-                            /** What has changed?
-                             * @see https://www.npmjs.com/package/deep-object-diff#updateddiff
-                             */
-                            dataDiff = updatedDiff(prev, res)
-
-                            /** Deconstruct the differences and emit as individual events */
-                            Object.keys(dataDiff).forEach( type => {
-                                let item = dataDiff[type]
-                                Object.keys(item).forEach( i => {
-                                    let data = item[i]
-
-                                    delete data.ReceptionOfController
-                                    delete data.ReceptionOfDevice
-                                    delete data.PendingZigbeeMessageMask
-
-                                    if (Object.values(data).length > 0 ) {
-                                        /** Data for wiserChange event.
-                                         * @type {object}
-                                         * @property {string} monitorRef - Reference to specific instance of the monitor() fn
-                                         * @property {Date} updated - JavaScript timestamp of the detection of the change
-                                         * @property {string} type - The type of change (e.g. Device, Room, etc)
-                                         * @property {string|number} idx - The index of the thing that has changed in the type array
-                                         * @property {string|number} id - The ID of the thing that has changed
-                                         * @property {Object} changes - The changed settings:values
-                                         * @property {Object} prev - The previous settings:values
-                                         * @property {string} [room] - Room name (only for Room changes or devices where the room is known)
-                                         */
-                                        let changes = {
-                                            'monitorRef': ref,
-                                            'updated': new Date(), 
-                                            'type': type, 
-                                            'idx': i,
-                                            'id': res[type][i].id, 
-                                            'changes': data,
-                                        }
-
-                                        /** Add in the previous matching settings */
-                                        let prevData = {}
-                                        Object.keys(data).forEach( chgProp => {
-                                            prevData[chgProp] = prev[type][i][chgProp]
-                                        })
-                                        changes.prev = prevData
-
-                                        /** Add in room name if available */
-                                        if (type === 'Room') changes.room = res[type][i].Name
-                                        else if ( roomMap[ res[type][i].id ] ) changes.room = roomMap[ res[type][i].id ].roomName
-
-                                        /** wiserChange event. Emitted after getting a full update from the controller when something has changed from the previous update.
-                                         * @event wiserMonitor#wiserChange
-                                         * @type {object}
-                                         * @property {Date} updated - JavaScript timestamp of the detection of the change
-                                         * @property {string} type - The type of change (e.g. Device, Room, etc)
-                                         * @property {string|number} idx - The index of the thing that has changed in the type array
-                                         * @property {string|number} id - The ID of the thing that has changed
-                                         * @property {Object} changes - The changed settings:values
-                                         * @property {Object} prev - The previous settings:values
-                                         * @property {string} [room] - Room name (only for Room changes or devices where the room is known)
-                                         */
-                                        eventEmitter.emit('wiserChange', changes)
-                                    }
-                                })
+                            /** Interpret room changes as override lifecycle events (boost started/ended, etc) */
+                            res.Room.forEach( room => {
+                                const prevRoom = prev.Room.find( r => r.id === room.id )
+                                if ( prevRoom ) emitRoomLifecycle(ref, prevRoom, room, hubTime)
                             })
 
+                            /** Hot water turned on or off */
+                            emitHotWaterChanges(ref, prev, res)
+
+                            /** Report new and deleted rooms, devices, schedules, etc */
+                            emitAddedRemoved(ref, prev, res)
+
                             /** Save the data */
                             prev = res
+                            prevRoomMap = roomMap
 
                         }) // --- end of getFull.then --- //
                         .catch( err => {
-                            console.error(err)
+                            log.warn({monitorRef: ref, service: 'full', err}, '[node-drayton-wiser:monitor] Get full data failed')
                             /**
                              * wiserError event. Emitted if failed attempt at contacting the controller.
                              *
                              * @event wiserMonitor#wiserError
                              * @type {object}
                              * @property {string} monitorRef - Reference to specific instance of the monitor() fn
+                             * @property {string} service - 'full' - the poll of the controller failed
                              * @property {Date} updated - JavaScript timestamp of the detection of the change
                              * @property {Object} error - The returned error object
                              */
-                            eventEmitter.emit('wiserError', {'monitorRef': ref, 'updated': new Date(), 'error': err} )
+                            emit('wiserError', {'monitorRef': ref, 'service': 'full', 'updated': new Date(), 'error': err} )
                         }) // --- end of getFull.catch --- //
+                        .then( () => {
+                            polling = false
+                        })
 
                 }, settings.interval * 1000 ) // --- End of setInterval --- //
 
@@ -602,10 +1473,10 @@ const Wiser = function() {
                  * @property {string} monitorRef - Reference to specific instance of the monitor() fn
                  * @property {Timeout} timeoutRef - Reference to Timeout so that it can be cancelled
                  */
-                eventEmitter.emit('wiserMonitorRef', {'monitorRef': ref, 'timeoutRef': intervalFn} )
+                emit('wiserMonitorRef', {'monitorRef': ref, 'timeoutRef': intervalFn} )
             })
             .catch( err => {
-                console.error(err)
+                log.error({monitorRef: ref, err}, '[node-drayton-wiser:monitor] Monitor failed')
                 /**
                  * wiserError event. Emitted if failed attempt at contacting the controller.
                  *
@@ -614,7 +1485,7 @@ const Wiser = function() {
                  * @property {Date} updated - JavaScript timestamp of the detection of the change
                  * @property {Object} error - The returned error object
                  */
-                eventEmitter.emit('wiserError', {'updated': new Date(), 'error': err} )
+                emit('wiserError', {'updated': new Date(), 'error': err} )
             })
 
     } // --- End of monitor() --- //
@@ -630,7 +1501,8 @@ const Wiser = function() {
      * @param {('manual'|'set'|'boost'|'off'|'auto')} args.mode Room mode (manual|set|boost|off|auto)
      * @param {number} [args.boostTemp] Temperature SetPoint for boost mode (°C, min=5, max=30). Optional, default 20
      * @param {number} [args.boostDuration] Duration for boost mode (minutes). Optional, default 30min
-     * @return {Promise} 
+     * @return {Promise<Object>} Results of the changes sent. Rejects with a WiserValidationError for a missing or invalid room, mode or temperature,
+     *         a WiserNotFoundError if the room does not exist or a WiserHubError if the controller fails
      */
     const setRoomMode = async (roomIdOrName, mode, boostTemp=BOOST_DEFAULT_TEMP, boostDuration=BOOST_DEFAULT_DURATION) => {
 
@@ -650,164 +1522,837 @@ const Wiser = function() {
         }
 
         if ( roomIdOrName === undefined || roomIdOrName === '' || roomIdOrName === null ) {
-            return Promise.reject({
-                'error': `[noode-drayton-wiser:setRoomMode] Room ID or Name is invalid: --${roomIdOrName}--`
-            })
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRoomMode] Room ID or Name is invalid: --${roomIdOrName}--`
+            ))
         }
 
-        if ( mode === undefined || mode === '' || mode === null ) {
-            return Promise.reject({
-                'error': `[noode-drayton-wiser:setRoomMode] Mode is not provided for room: ${roomIdOrName}.`
-            })
+        if ( mode === undefined || mode === '' || mode === null || typeof mode !== 'string' ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRoomMode] Mode is not provided for room: ${roomIdOrName}.`
+            ))
         }
 
-        try {
-            let result = await getFull()
-        } catch (error) {
-            return Promise.reject({
-                'error': `[node-drayton-wiser:setRoomMode] Get Full failed.`,
-                'details': error, //wiserErrorResult(error, 'full'),
-            })
+        if ( boostTemp === null || boostTemp === '' || typeof boostTemp === 'boolean' || !isFinite(Number(boostTemp)) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRoomMode] Temperature is not a valid number (${boostTemp}) for room: ${roomIdOrName}.`
+            ))
         }
+        boostTemp = Number(boostTemp)
 
-        
-        /** Data to send to controller hub */
-        const patchData = {}
-        /** URLs for patches - Array since we might have 2 patches to send */
-        const patches = []
+        await getFull()
 
-        let room
+        const room = findRoom(roomIdOrName)
 
-        // If room name given, find the ID
-        if ( Number.isNaN( Number(roomIdOrName) ) ) {
-            room = getRoomByName(roomIdOrName)
-        } else {
-            room = getRoom(Number(roomIdOrName))
+        if ( room === undefined || room === null ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:setRoomMode] Invalid room id or name provided (${roomIdOrName}).`
+            ))
         }
 
-        if ( room === undefined || room === null ) {
-            return Promise.reject({
-                'error': `[node-drayton-wiser:setRoomMode] Invalid room id or name provided (${roomIdOrName}).`
-            })
+        const roomUrl = `${servicePaths['rooms']}${room.id}`
+
+        /** Data for each patch, sent in this order - Array since we might have up to 3 patches to send */
+        let patches
+        try {
+            patches = roomModePatches(room, mode, boostTemp, boostDuration, roomIdOrName)
+        } catch (err) {
+            return Promise.reject(err)
         }
 
-        let roomUrl = `${servicePaths['rooms']}${room.id}`
-        
-        // Limit temperature requests (must be 5-30 °C or -200=off)
-        if ( boostTemp !== -20 ) {
-            if ( (boostTemp < TEMP_MINIMUM) ) {
-                console.info(`[node-drayton-wiser:setRoomMode] Requested temperature too low (${boostTemp}), setting to default minimum (${TEMP_MINIMUM}) for room: ${roomIdOrName}.`)
-                boostTemp = TEMP_MINIMUM
-            }
-            if ( boostTemp > settings.maxBoost ) {
-                console.info(`[node-drayton-wiser:setRoomMode] Requested temperature too high (${boostTemp}), setting to max. allowed (${settings.maxBoost}) for room: ${roomIdOrName}.`)
-                boostTemp = settings.maxBoost
+        // Set mode - one patch at a time so the controller gets them in order (e.g. manual mode before the override)
+        try {
+            const res = []
+            for ( const data of patches ) {
+                res.push( await sendCommand('patch', roomUrl, data) )
             }
+            // console.log('# Results:', res.length)
+            // Only show the last result (the actual change)
+            // console.log('Final Result:', res[res.length-1].data, res[res.length-1].config.data)
+            return Promise.resolve({
+                'numResults': res.length,
+                'lastResult': res[res.length-1].data,
+                'lastConfigResult': res[res.length-1].config.data,
+            })
+        } catch (err) {
+            return Promise.reject(hubError(err, `[node-drayton-wiser:setRoomMode] Send to controller failed (${room.Name}).`))
         }
 
-        switch (mode.toLowerCase()) {
-            case 'manual': {
-                // Use highest of boost temp or current sch setpoint. Sch will not reset
+    }
 
-                // Set to manual mode first otherwise next sch chg would override
-                patches.push( axios.patch(roomUrl, {'Mode': 'Manual'}, axiosConfig) )
-                
-                // setPoint is highest of boostTemp and the current room scheduled setpoint
-                let setPoint = toWiserTemp(boostTemp)
-                if ( room.ScheduledSetPoint > toWiserTemp(boostTemp) ) setPoint = room.ScheduledSetPoint
+    /** Get the hot water state (systems with a combi boiler or cylinder)
+     * @return {Promise<{id: number, on: boolean, mode: string, until: string|null, scheduleId: number}|null>}
+     *         mode is 'auto' (following the schedule), 'on' or 'off' (manual), or 'boost' (on until the ISO date `until`).
+     *         null if the system has no hot water
+     */
+    const getHotWater = async () => {
+        const full = await getFull()
+        const hw = (full.HotWater || [])[0]
+        return hw === undefined ? null : friendly.hotWater(hw)
+    }
 
-                patchData.RequestOverride = {
-                    'Type': 'Manual',
-                    'SetPoint': setPoint,
-                }
+    /** Set the hot water mode
+     * On:     Turn off the schedule and turn the hot water on
+     * Off:    Turn off the schedule and turn the hot water off
+     * Auto:   Cancel any boost and return to the schedule
+     * Boost:  Turn the hot water on for durationMinutes, then back to the current mode
+     * @param {('on'|'off'|'auto'|'boost')} mode Hot water mode
+     * @param {number} [durationMinutes] Duration for boost mode (minutes). Optional, default 30min
+     * @return {Promise<Object>} Results of the changes sent, as setRoomMode. Rejects with a WiserValidationError for an invalid mode or duration,
+     *         a WiserNotFoundError if the system has no hot water or a WiserHubError if the controller fails
+     */
+    const setHotWaterMode = async (mode, durationMinutes=BOOST_DEFAULT_DURATION) => {
+        if ( typeof mode !== 'string' || !HotWaterModes.includes(mode.toLowerCase()) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setHotWaterMode] Invalid mode provided (${mode}). Must be one of ['${HotWaterModes.join("','")}']`
+            ))
+        }
+        mode = mode.toLowerCase()
 
-                break
-            }
+        if ( mode === 'boost' && (typeof durationMinutes !== 'number' || !(durationMinutes > 0)) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setHotWaterMode] Duration is not a valid number of minutes: --${durationMinutes}--`
+            ))
+        }
 
-            case 'set': {
-                // Use boost temp and allow next schedule change to reset
-                
-                patchData.RequestOverride = {
-                    'Type': 'Manual',
-                    'SetPoint': toWiserTemp(boostTemp),
-                }
+        const full = await getFull()
+        const hw = (full.HotWater || [])[0]
+        if ( hw === undefined ) {
+            return Promise.reject(new WiserNotFoundError('[node-drayton-wiser:setHotWaterMode] This system has no hot water.'))
+        }
 
+        /** Data for each patch, sent in this order */
+        const patches = []
+        switch (mode) {
+            case 'on':
+            case 'off': {
+                // Manual mode first otherwise the next schedule change would override
+                patches.push({'Mode': 'Manual'})
+                patches.push({'RequestOverride': {
+                    'Type': 'Manual',
+                    'SetPoint': toWiserTemp(mode === 'on' ? HOT_WATER_ON : TEMP_OFF),
+                }})
                 break
             }
 
             case 'boost': {
-                patchData.RequestOverride = {
+                patches.push({'RequestOverride': {
                     'Type': 'Manual',
-                    'DurationMinutes': boostDuration,
-                    'SetPoint': toWiserTemp(boostTemp),
-                    //'SetpointOrigin': 'FromBoost',
+                    'DurationMinutes': durationMinutes,
+                    'SetPoint': toWiserTemp(HOT_WATER_ON),
                     'Originator': 'App',
-                }
+                }})
+                break
+            }
 
+            case 'auto': {
+                patches.push({'RequestOverride': {
+                    'Type': 'None',
+                    'DurationMinutes': 0,
+                    'SetPoint': 0,
+                    'Originator': 'App',
+                }})
+                patches.push({'Mode': 'Auto'})
                 break
             }
-            
-            case 'off': {
-                // Set to manual mode first so as to prevent next schedule change overriding
-                patches.push( axios.patch(roomUrl, {'Mode': 'Manual'}, axiosConfig) )
+        }
 
-                patchData.RequestOverride = {
-                    'Type': 'Manual',
-                    'SetPoint': toWiserTemp(TEMP_OFF),
-                }
+        try {
+            const res = []
+            for ( const data of patches ) {
+                res.push( await sendCommand('patch', `${servicePaths['hotWater']}${hw.id}`, data) )
+            }
+            return {
+                'numResults': res.length,
+                'lastResult': res[res.length-1].data,
+                'lastConfigResult': res[res.length-1].config.data,
+            }
+        } catch (err) {
+            return Promise.reject(hubError(err, '[node-drayton-wiser:setHotWaterMode] Send to controller failed.'))
+        }
+    }
 
-                break
+    /** Get a schedule from the controller in the friendly format
+     * e.g. `{id: 8, type: 'Heating', weekdays: [{time: '08:00', temp: 20}, {time: '18:00', temp: 16}], weekends: [...]}`
+     * @param {number} scheduleId ID of the schedule
+     * @param {boolean} [compact] Use the `all`, `weekdays` and `weekends` shorthands where possible. Optional, default true
+     * @return {Promise<Object>} Schedule in friendly format
+     */
+    const getSchedule = async (scheduleId, compact=true) => {
+        const result = await saveSchedule(scheduleId, false)
+        return scheduleModel.fromHub(result.schedule, compact)
+    }
+
+    /** Check that a friendly format schedule is valid
+     * Rejects overlapping slots, too many slots per day and temperatures outside TEMP_MINIMUM-TEMP_MAXIMUM
+     * (TEMP_OFF is allowed) or above the maxBoost setting.
+     * @param {Object} friendly Schedule in friendly format
+     * @return {{valid: boolean, errors: Array<string>}} Result, errors lists every problem found
+     */
+    const validateSchedule = (friendly) => {
+        return scheduleModel.validate(friendly, { maxBoost: settings.maxBoost })
+    }
+
+    /** Save a schedule from the controller, either to a JSON file in the schedule folder or just return it
+     * Files are named `schedule-<id>-<room names>.json`, with `HotWater` added for the hot water schedule (see setFolder)
+     * @param {number} scheduleId ID of the schedule to save
+     * @param {boolean} [toFile] Write the schedule to a file. Optional, default true
+     * @return {Promise<{id: number, rooms: Array<string>, file: string|undefined, schedule: Object}>} The schedule and the file it was written to (if any)
+     */
+    const saveSchedule = async (scheduleId, toFile=true) => {
+        const results = await saveSchedules([Number(scheduleId)], toFile)
+        return results[0]
+    }
+
+    /** Save all of the schedules from the controller, either to JSON files in the schedule folder or just return them
+     * @param {boolean} [toFile] Write the schedules to files. Optional, default true
+     * @return {Promise<Array<{id: number, rooms: Array<string>, file: string|undefined, schedule: Object}>>} The schedules and the files they were written to (if any)
+     */
+    const saveAllSchedules = async (toFile=true) => {
+        return saveSchedules(undefined, toFile)
+    }
+
+    /** Common code for saveSchedule and saveAllSchedules
+     * @param {Array<number>|undefined} scheduleIds IDs of the schedules to save, undefined for all
+     * @param {boolean} toFile Write the schedules to files
+     * @return {Promise<Array<Object>>} The saved schedules
+     */
+    const saveSchedules = async (scheduleIds, toFile) => {
+        let schedules
+        try {
+            schedules = (await get('schedules')).schedules
+            // Room names are needed for the file names
+            if ( saved === undefined ) await getFull()
+        } catch (error) {
+            return Promise.reject(hubError(error, '[node-drayton-wiser:saveSchedule] Get schedules failed.'))
+        }
+
+        if ( scheduleIds !== undefined ) {
+            schedules = schedules.filter( sched => scheduleIds.includes(sched.id) )
+            if ( schedules.length < 1 ) {
+                return Promise.reject(new WiserNotFoundError(
+                    `[node-drayton-wiser:saveSchedule] Schedule ID ${scheduleIds.join(', ')} not found.`
+                ))
             }
-            
-            case 'auto': {
-                patchData.Mode = 'Auto'
+        }
 
-                break
+        const folder = getFolder()
+        if ( toFile ) await mkdir(folder, { recursive: true })
+
+        const out = []
+        for ( const sched of schedules ) {
+            const rooms = scheduleRoomNames(sched.id)
+            const hotWater = (saved.HotWater || []).some( hw => hw.ScheduleId === sched.id )
+            let file
+            if ( toFile ) {
+                file = path.join(folder, scheduleFileName(sched.id, hotWater ? rooms.concat(scheduleModel.HOT_WATER_TYPE) : rooms))
+                await writeFile(file, JSON.stringify(sched, null, 4))
             }
-        
-            default: {
-                return Promise.reject({
-                    'error': `[node-drayton-wiser:setRoomMode] Invalid mode provided (${mode}) for room: ${roomIdOrName}. Must be one of ['manual','set','boost','off','auto']`
-                })
-                break
+            out.push({ id: sched.id, rooms, file, schedule: sched })
+        }
+
+        return out
+    }
+
+    /** Load a schedule from a JSON file or object, validate it and send it to the controller
+     * @param {string|Object} fileOrSchedule File name (relative to the schedule folder) or schedule object in controller or friendly format
+     * @param {number} [scheduleId] ID of the schedule to replace. Optional, defaults to the id in the schedule
+     * @return {Promise<Object>} The updated schedule as returned by the controller
+     */
+    const loadSchedule = async (fileOrSchedule, scheduleId=undefined) => {
+        let sched = fileOrSchedule
+
+        if ( typeof fileOrSchedule === 'string' ) {
+            const file = path.resolve(getFolder(), fileOrSchedule)
+            try {
+                sched = JSON.parse( await readFile(file, 'utf8') )
+            } catch (error) {
+                return Promise.reject(new WiserError(
+                    `[node-drayton-wiser:loadSchedule] Could not read schedule file ${file}.`, {details: error}
+                ))
             }
         }
 
-        // If not boost mode, cancel any boost by setting override to none
-        if ( mode.toLowerCase() !== 'boost' ) {
-            let cancelBoostPatchData = {
-                'RequestOverride': {
-                    'Type': 'None',
-                    'DurationMinutes': 0,
-                    'SetPoint': 0,
-                    'Originator': 'App',
+        // Friendly format schedules are checked against the friendly rules then converted
+        if ( scheduleModel.isFriendly(sched) ) {
+            const check = validateSchedule(sched)
+            if ( !check.valid ) {
+                return Promise.reject(new WiserValidationError(
+                    `[node-drayton-wiser:loadSchedule] Invalid schedule (${scheduleId === undefined ? sched.id : scheduleId}): ${check.errors.join('; ')}`
+                ))
+            }
+            sched = scheduleModel.toHub(sched)
+        }
+
+        if ( scheduleId === undefined && sched !== null && typeof sched === 'object' ) scheduleId = sched.id
+        if ( !Number.isInteger(Number(scheduleId)) || scheduleId === null || scheduleId === '' ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:loadSchedule] Schedule ID is invalid: --${scheduleId}--`
+            ))
+        }
+
+        const errors = validateHubSchedule(sched)
+        if ( errors.length > 0 ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:loadSchedule] Invalid schedule (${scheduleId}): ${errors.join('; ')}`
+            ))
+        }
+
+        // Only the days are sent to the controller
+        const patchData = {}
+        SCHEDULE_DAYS.forEach( day => {
+            if ( sched[day] ) patchData[day] = sched[day]
+        })
+
+        try {
+            const result = await sendCommand('patch', `${servicePaths['schedules']}/${Number(scheduleId)}`, patchData)
+            return result.data
+        } catch (err) {
+            return Promise.reject(hubError(err, `[node-drayton-wiser:loadSchedule] Send to controller failed (${scheduleId}).`))
+        }
+    }
+
+    /** Load all schedule files from a folder (or an array of schedule objects) and send them to the controller
+     * Only files named `schedule-<id>*.json` are loaded (as written by saveAllSchedules)
+     * @param {string|Array<Object>} [folderOrSchedules] Folder to read or array of schedule objects. Optional, defaults to the schedule folder
+     * @return {Promise<Array<{id: number, file: string|undefined, result: Object|undefined, error: Object|undefined}>>} Outcome for each schedule
+     */
+    const loadAllSchedules = async (folderOrSchedules=getFolder()) => {
+        const out = []
+
+        if ( Array.isArray(folderOrSchedules) ) {
+            for ( const sched of folderOrSchedules ) {
+                try {
+                    out.push({ id: sched.id, result: await loadSchedule(sched) })
+                } catch (error) {
+                    out.push({ id: sched && sched.id, error })
                 }
             }
-            // push to patches
-            patches.push( axios.patch(roomUrl, cancelBoostPatchData, axiosConfig) )
+            return out
         }
 
-        // push main request to patches
-        patches.push( axios.patch(roomUrl, patchData, axiosConfig) )
+        let files
+        try {
+            files = (await readdir(folderOrSchedules)).filter( file => /^schedule-\d+.*\.json$/.test(file) ).sort()
+        } catch (error) {
+            return Promise.reject(new WiserError(
+                `[node-drayton-wiser:loadAllSchedules] Could not read folder ${folderOrSchedules}.`, {details: error}
+            ))
+        }
 
-        // Set mode
+        for ( const file of files ) {
+            const fullName = path.resolve(folderOrSchedules, file)
+            const id = Number(file.match(/^schedule-(\d+)/)[1])
+            try {
+                out.push({ id, file: fullName, result: await loadSchedule(fullName) })
+            } catch (error) {
+                out.push({ id, file: fullName, error })
+            }
+        }
+        return out
+    }
+
+    /** Name of the file in the schedule folder (see setFolder) holding the scenes and what the last applied scene replaced */
+    const SCENE_FILE = 'scenes.json'
+
+    /** Read the scene file
+     * @param {string} fnName Name of the calling function for the error message
+     * @return {Promise<{scenes: Object<string, Object>, previous: Object|null}>} Scenes by name and what the last applied scene replaced
+     */
+    const readScenes = async (fnName) => {
+        const file = path.join(getFolder(), SCENE_FILE)
+        let data
         try {
-            let res = await axios.all(patches)
-            // console.log('# Results:', res.length)
-            // Only show the last result (the actual change)
-            // console.log('Final Result:', res[res.length-1].data, res[res.length-1].config.data)
-            return Promise.resolve({
-                'numResults': res.length,
-                'lastResult': res[res.length-1].data,
-                'lastConfigResult': res[res.length-1].config.data,
-            })
+            data = JSON.parse( await readFile(file, 'utf8') )
+        } catch (error) {
+            if ( error.code === 'ENOENT' ) return { scenes: {}, previous: null }
+            return Promise.reject(new WiserError(
+                `[node-drayton-wiser:${fnName}] Could not read scene file ${file}.`, {details: error}
+            ))
+        }
+        return { scenes: data.scenes || {}, previous: data.previous || null }
+    }
+
+    /** Write the scene file
+     * @param {{scenes: Object<string, Object>, previous: Object|null}} data Scenes by name and what the last applied scene replaced
+     * @param {string} fnName Name of the calling function for the error message
+     * @return {Promise<string>} File written
+     */
+    const writeScenes = async (data, fnName) => {
+        const folder = getFolder()
+        const file = path.join(folder, SCENE_FILE)
+        try {
+            await mkdir(folder, { recursive: true })
+            await writeFile(file, JSON.stringify(data, null, 4))
+        } catch (error) {
+            return Promise.reject(new WiserError(
+                `[node-drayton-wiser:${fnName}] Could not write scene file ${file}.`, {details: error}
+            ))
+        }
+        return file
+    }
+
+    /** Check a scene name
+     * @param {*} name Scene name
+     * @param {string} fnName Name of the calling function for the error message
+     * @return {WiserValidationError|null} Error if the name is invalid
+     */
+    const badSceneName = (name, fnName) => {
+        if ( typeof name === 'string' && name.trim() !== '' ) return null
+        return new WiserValidationError(`[node-drayton-wiser:${fnName}] Scene name must be a non-empty string: --${name}--`)
+    }
+
+    /** Set the mode of each room in a scene plan, one room at a time. A room that fails does not stop the others
+     * @param {Array<{room: Object, mode: string, temp: number, duration: number}>} changes See sceneModel.plan
+     * @return {Promise<Array<{roomId: number, room: string, mode: string, ok: boolean, error: Object|undefined}>>} Result for each room
+     */
+    const applySceneChanges = async (changes) => {
+        const rooms = []
+        for ( const change of changes ) {
+            const result = { 'roomId': change.room.id, 'room': change.room.Name, 'mode': change.mode, 'ok': true }
+            try {
+                await setRoomMode(change.room.id, change.mode, change.temp, change.duration)
+            } catch (err) {
+                result.ok = false
+                result.error = err
+            }
+            rooms.push(result)
+        }
+        return rooms
+    }
+
+    /** Save the current state of every room (mode, override type, set point and time left on a boost) as a scene
+     * Refreshes the saved data first (see getFull). Scenes are stored in `scenes.json` in the schedule folder (see setFolder)
+     * @param {string} name Scene name, replaces any scene with the same name
+     * @return {Promise<Object>} The scene. Rejects with a WiserValidationError for an invalid name or a WiserHubError if getting the data fails
+     */
+    const saveScene = async (name) => {
+        const bad = badSceneName(name, 'saveScene')
+        if ( bad !== null ) return Promise.reject(bad)
+
+        const full = await refreshSaved('saveScene')
+
+        const scene = sceneModel.snapshot(full, name)
+        const data = await readScenes('saveScene')
+        data.scenes[name] = scene
+        await writeScenes(data, 'saveScene')
+        return scene
+    }
+
+    /** Define a scene, e.g. `defineScene('movie night', {rooms: {Lounge: {mode: 'boost', temp: 21, duration: 180}}, default: {mode: 'auto'}})`
+     * rooms is keyed by room name or ID, default (optional) is used for every other room. See src/scene.js
+     * @param {string} name Scene name, replaces any scene with the same name
+     * @param {{rooms: Object<string, {mode: string, temp: number, duration: number}>, default: Object}} definition Room modes
+     * @return {Promise<Object>} The scene as stored. Rejects with a WiserValidationError for an invalid name or scene
+     */
+    const defineScene = async (name, definition) => {
+        const bad = badSceneName(name, 'defineScene')
+        if ( bad !== null ) return Promise.reject(bad)
+
+        const check = sceneModel.validate(definition)
+        if ( !check.valid ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:defineScene] Invalid scene (${name}): ${check.errors.join('; ')}`
+            ))
+        }
+
+        const scene = { name, created: new Date().toISOString(), rooms: definition.rooms || {} }
+        if ( definition.default !== undefined ) scene.default = definition.default
+        const data = await readScenes('defineScene')
+        data.scenes[name] = scene
+        await writeScenes(data, 'defineScene')
+        return scene
+    }
+
+    /** Get the stored scenes
+     * @return {Promise<Object<string, Object>>} Scenes by name
+     */
+    const getScenes = async () => {
+        return (await readScenes('getScenes')).scenes
+    }
+
+    /** Remove a stored scene
+     * @param {string} name Scene name
+     * @return {Promise<boolean>} True if it was removed, false if there was no such scene
+     */
+    const deleteScene = async (name) => {
+        const data = await readScenes('deleteScene')
+        if ( !Object.prototype.hasOwnProperty.call(data.scenes, name) ) return false
+        delete data.scenes[name]
+        await writeScenes(data, 'deleteScene')
+        return true
+    }
+
+    /** Apply a stored scene, one room at a time using setRoomMode
+     * The state of the rooms it changes is recorded first (in the scene file) so that restoreScene can put them back.
+     * Only the last scene applied can be restored.
+     * @param {string} name Scene name
+     * @return {Promise<{name: string, updated: Date, ok: boolean, rooms: Array<Object>, previous: Object}>} ok is true if every room worked,
+     *         rooms has {roomId, room, mode, ok, error} for each room changed and previous is the state that was replaced.
+     *         Rejects with a WiserNotFoundError if there is no such scene or it lists a room that does not exist,
+     *         a WiserValidationError if the scene is invalid or a WiserHubError if getting the data fails
+     */
+    const applyScene = async (name) => {
+        const data = await readScenes('applyScene')
+        const scene = Object.prototype.hasOwnProperty.call(data.scenes, name) ? data.scenes[name] : undefined
+        if ( scene === undefined ) {
+            return Promise.reject(new WiserNotFoundError(`[node-drayton-wiser:applyScene] Scene ${name} not found.`))
+        }
+
+        const check = sceneModel.validate(scene)
+        if ( !check.valid ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:applyScene] Invalid scene (${name}): ${check.errors.join('; ')}`
+            ))
+        }
+
+        const full = await refreshSaved('applyScene')
+        const planned = sceneModel.plan(scene, full.Room || [])
+        if ( planned.errors.length > 0 ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:applyScene] Invalid scene (${name}): ${planned.errors.join('; ')}`
+            ))
+        }
+        if ( planned.missing.length > 0 ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:applyScene] Invalid room id or name provided (${planned.missing.join(', ')}).`
+            ))
+        }
+
+        // Recorded before anything is sent so that a scene that fails part way can still be undone
+        const previous = sceneModel.snapshot(full, `before ${name}`, planned.changes.map( change => change.room ))
+        previous.scene = name
+        data.previous = previous
+        await writeScenes(data, 'applyScene')
+
+        const rooms = await applySceneChanges(planned.changes)
+        return { name, 'updated': new Date(), 'ok': rooms.every( result => result.ok ), rooms, previous }
+    }
+
+    /** Put the rooms changed by the last applyScene back to the state they were in before it
+     * Rooms that have been removed from the controller since are skipped. If every room worked, there is nothing left to restore.
+     * @return {Promise<{name: string, updated: Date, ok: boolean, rooms: Array<Object>}>} As applyScene, name is the scene undone.
+     *         Rejects with a WiserNotFoundError if there is nothing to restore or a WiserHubError if getting the data fails
+     */
+    const restoreScene = async () => {
+        const data = await readScenes('restoreScene')
+        const previous = data.previous
+        if ( previous === null ) {
+            return Promise.reject(new WiserNotFoundError('[node-drayton-wiser:restoreScene] Nothing to restore, no scene has been applied.'))
+        }
+
+        const full = await refreshSaved('restoreScene')
+        const rooms = await applySceneChanges( sceneModel.plan(previous, full.Room || []).changes )
+        const ok = rooms.every( result => result.ok )
+        if ( ok ) {
+            data.previous = null
+            await writeScenes(data, 'restoreScene')
+        }
+        return { 'name': previous.scene, 'updated': new Date(), ok, rooms }
+    }
+
+    /** Refresh the saved data
+     * @param {string} fnName Name of the calling function for the error message
+     * @return {Promise<Object>} Full data from the controller. Rejects with a WiserHubError if that fails
+     */
+    const refreshSaved = (fnName) => {
+        return getFull().catch( error => Promise.reject(hubError(error, `[node-drayton-wiser:${fnName}] Get Full failed.`)) )
+    }
+
+    /** Find the rooms picked by a setRooms selector in the latest saved data
+     * @param {Array<number|string>|Function|string} selector List of room IDs or names, a function given the room data or 'all'
+     * @param {string} fnName Name of the calling function for the error message
+     * @return {Array<Object>} Room data, each room once
+     * @throws {WiserValidationError|WiserNotFoundError} If the selector is invalid or any listed room does not exist
+     */
+    const selectRooms = (selector, fnName) => {
+        const rooms = saved.Room || []
+        if ( selector === 'all' ) return rooms.slice()
+        if ( typeof selector === 'function' ) return rooms.filter( room => selector(room) )
+        if ( !Array.isArray(selector) || selector.length === 0 ) {
+            throw new WiserValidationError(`[node-drayton-wiser:${fnName}] Rooms must be a list of room ids or names, a function or 'all'`)
+        }
+
+        const out = []
+        const missing = []
+        selector.forEach( roomIdOrName => {
+            const room = roomIdOrName === null || roomIdOrName === '' ? undefined : findRoom(roomIdOrName)
+            if ( room === undefined || room === null ) missing.push(roomIdOrName)
+            else if ( !out.includes(room) ) out.push(room)
+        })
+        if ( missing.length > 0 ) {
+            throw new WiserNotFoundError(`[node-drayton-wiser:${fnName}] Invalid room id or name provided (${missing.join(', ')}).`)
+        }
+        return out
+    }
+
+    /** Send the patches for several rooms, one room at a time. A room that fails does not stop the others
+     * @param {Array<{room: Object, patches: Array<Object>}>} plans Room data and the patches for it (see roomModePatches)
+     * @param {boolean} dryRun Do not send anything
+     * @param {string} fnName Name of the calling function for the error messages
+     * @return {Promise<{updated: Date, dryRun: boolean, ok: boolean, rooms: Array<Object>}>} ok is true if every room worked.
+     *         rooms has {roomId, room, mode, overrideType, setPoint (°C), patches, sent, ok, error} for each room,
+     *         where mode, overrideType and setPoint are from before the change, patches is the data for each patch
+     *         and sent is how many were sent. error (a WiserHubError) is only there if ok is false
+     */
+    const applyRoomPatches = async (plans, dryRun, fnName) => {
+        const rooms = []
+        for ( const plan of plans ) {
+            const room = plan.room
+            const hasOverride = room.OverrideType !== undefined && room.OverrideType !== 'None'
+            const result = {
+                'roomId': room.id,
+                'room': room.Name,
+                'mode': room.Mode,
+                'overrideType': hasOverride ? room.OverrideType : 'None',
+                'setPoint': fromWiserTemp(room.CurrentSetPoint),
+                'patches': plan.patches,
+                'sent': 0,
+                'ok': true,
+            }
+            if ( !dryRun ) {
+                try {
+                    for ( const data of plan.patches ) {
+                        await sendCommand('patch', `${servicePaths['rooms']}${room.id}`, data)
+                        result.sent++
+                    }
+                } catch (err) {
+                    result.ok = false
+                    result.error = hubError(err, `[node-drayton-wiser:${fnName}] Send to controller failed (${room.Name}).`)
+                }
+            }
+            rooms.push(result)
+        }
+
+        return { 'updated': new Date(), dryRun, 'ok': rooms.every( result => result.ok ), rooms }
+    }
+
+    /** Check that a schedule ID exists in the latest saved data
+     * @param {number} scheduleId Schedule ID
+     * @return {Object|undefined} The schedule or undefined if not found
+     */
+    const findSchedule = (scheduleId) => {
+        return (saved.Schedule || []).find( sched => sched.id === Number(scheduleId) )
+    }
+
+    /** Assign an existing schedule to a room
+     * @param {number|string} roomIdOrName Room ID or Name (see lookupRoom)
+     * @param {number} scheduleId ID of the schedule to use
+     * @return {Promise<Object>} The updated room as returned by the controller
+     */
+    const assignSchedule = async (roomIdOrName, scheduleId) => {
+        await refreshSaved('assignSchedule')
+
+        const room = findRoom(roomIdOrName)
+        if ( room === null ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:assignSchedule] Invalid room id or name provided (${roomIdOrName}).`
+            ))
+        }
+        if ( findSchedule(scheduleId) === undefined ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:assignSchedule] Schedule ID ${scheduleId} not found.`
+            ))
+        }
+
+        try {
+            const result = await sendCommand('patch', `${servicePaths['rooms']}${room.id}`, { 'ScheduleId': Number(scheduleId) })
+            return result.data
+        } catch (err) {
+            return Promise.reject(hubError(err, `[node-drayton-wiser:assignSchedule] Send to controller failed (${room.Name}).`))
+        }
+    }
+
+    /** Copy one room's schedule onto other rooms
+     * The time slots are copied into each target room's own schedule so the rooms can still be changed independently.
+     * All of the rooms and their schedules are checked before anything is sent.
+     * @param {number|string} fromRoomIdOrName Room ID or Name to copy from
+     * @param {Array<number|string>} toRoomIdsOrNames Room IDs or Names to copy to
+     * @return {Promise<Array<{roomId: number, room: string, scheduleId: number, result: Object}>>} Updated schedule for each target room
+     */
+    const copySchedule = async (fromRoomIdOrName, toRoomIdsOrNames) => {
+        await refreshSaved('copySchedule')
+
+        if ( !Array.isArray(toRoomIdsOrNames) ) toRoomIdsOrNames = [toRoomIdsOrNames]
+
+        const fromRoom = findRoom(fromRoomIdOrName)
+        if ( fromRoom === null ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:copySchedule] Invalid room id or name provided (${fromRoomIdOrName}).`
+            ))
+        }
+        const fromSchedule = findSchedule(fromRoom.ScheduleId)
+        if ( fromSchedule === undefined ) {
+            return Promise.reject(new WiserNotFoundError(
+                `[node-drayton-wiser:copySchedule] Room ${fromRoom.Name} has no schedule to copy.`
+            ))
+        }
+
+        const targets = []
+        for ( const roomIdOrName of toRoomIdsOrNames ) {
+            const room = findRoom(roomIdOrName)
+            if ( room === null ) {
+                return Promise.reject(new WiserNotFoundError(
+                    `[node-drayton-wiser:copySchedule] Invalid room id or name provided (${roomIdOrName}).`
+                ))
+            }
+            if ( findSchedule(room.ScheduleId) === undefined ) {
+                return Promise.reject(new WiserNotFoundError(
+                    `[node-drayton-wiser:copySchedule] Room ${room.Name} has no schedule to copy to, use createSchedule instead.`
+                ))
+            }
+            targets.push(room)
+        }
+
+        const out = []
+        for ( const room of targets ) {
+            // Rooms sharing the source schedule already have it
+            if ( room.ScheduleId === fromSchedule.id ) continue
+            const result = await loadSchedule(fromSchedule, room.ScheduleId)
+            out.push({ roomId: room.id, room: room.Name, scheduleId: room.ScheduleId, result })
+        }
+        return out
+    }
+
+    /** Create a new schedule on the controller from a friendly format schedule and optionally assign it to rooms
+     * @param {Object} friendly Schedule in friendly format (any id is ignored, the controller allocates a new one)
+     * @param {Array<number|string>} [roomIdsOrNames] Room IDs or Names to assign the new schedule to. Optional
+     * @return {Promise<Object>} The new schedule as returned by the controller (includes the new id)
+     */
+    const createSchedule = async (friendly, roomIdsOrNames=[]) => {
+        const check = validateSchedule(friendly)
+        if ( !check.valid ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:createSchedule] Invalid schedule: ${check.errors.join('; ')}`
+            ))
+        }
+
+        if ( !Array.isArray(roomIdsOrNames) ) roomIdsOrNames = [roomIdsOrNames]
+        if ( roomIdsOrNames.length > 0 ) {
+            await refreshSaved('createSchedule')
+            const missing = roomIdsOrNames.filter( roomIdOrName => findRoom(roomIdOrName) === null )
+            if ( missing.length > 0 ) {
+                return Promise.reject(new WiserNotFoundError(
+                    `[node-drayton-wiser:createSchedule] Invalid room id or name provided (${missing.join(', ')}).`
+                ))
+            }
+        }
+
+        const hubSchedule = scheduleModel.toHub(friendly)
+        delete hubSchedule.id
+
+        let created
+        try {
+            created = (await sendCommand('post', `${servicePaths['schedules']}/`, hubSchedule)).data
         } catch (err) {
-            return Promise.reject({
-                'error': `[node-drayton-wiser:setRoomMode] Send to controller failed.`,
-                'details': err, //wiserErrorResult(err, 'patches'),
+            return Promise.reject(hubError(err, '[node-drayton-wiser:createSchedule] Send to controller failed.'))
+        }
+
+        for ( const roomIdOrName of roomIdsOrNames ) {
+            await assignSchedule(roomIdOrName, created.id)
+        }
+
+        return created
+    }
+
+    /** Set the mode of several rooms - see setRoomMode for the modes
+     * Everything is checked before anything is sent, and only the patches that change something are sent
+     * (e.g. a room already in manual mode is not sent the manual mode patch again). Rooms are changed one at a time.
+     * @param {Array<number|string>|Function|string} selector List of room IDs or names, a function given the room data
+     *        that returns true for the rooms to change, or 'all'
+     * @param {('manual'|'set'|'boost'|'off'|'auto')} mode Room mode
+     * @param {number} [boostTemp] Temperature SetPoint (°C, limited to each room's max. allowed). Optional, default 20
+     * @param {number} [boostDuration] Duration for boost mode (minutes). Optional, default 30min
+     * @param {Object} [options] Optional
+     * @param {boolean} [options.dryRun] Report what would be sent without sending anything. Optional, default false
+     * @return {Promise<Object>} Report for each room, see applyRoomPatches. Rejects with a WiserValidationError for an invalid selector,
+     *         mode, temperature or duration, a WiserNotFoundError if any listed room does not exist or a WiserHubError if getting the data fails
+     */
+    const setRooms = async (selector, mode, boostTemp=BOOST_DEFAULT_TEMP, boostDuration=BOOST_DEFAULT_DURATION, {dryRun=false}={}) => {
+        if ( typeof mode !== 'string' || !RoomModes.includes(mode.toLowerCase()) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRooms] Invalid mode provided (${mode}). Must be one of ['${RoomModes.join("','")}']`
+            ))
+        }
+        if ( boostTemp === null || boostTemp === '' || typeof boostTemp === 'boolean' || !isFinite(Number(boostTemp)) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRooms] Temperature is not a valid number (${boostTemp}).`
+            ))
+        }
+        if ( boostDuration === null || boostDuration === '' || typeof boostDuration === 'boolean' || !(Number(boostDuration) > 0) ) {
+            return Promise.reject(new WiserValidationError(
+                `[node-drayton-wiser:setRooms] Duration is not a valid number of minutes (${boostDuration}).`
+            ))
+        }
+
+        await refreshSaved('setRooms')
+
+        let plans
+        try {
+            plans = selectRooms(selector, 'setRooms').map( room => {
+                return { room, patches: roomModePatches(room, mode, Number(boostTemp), Number(boostDuration), room.Name, true) }
             })
+        } catch (err) {
+            return Promise.reject(err)
         }
 
+        return applyRoomPatches(plans, dryRun === true, 'setRooms')
+    }
+
+    /** Return every room in Manual mode or with an active override (boost, etc) to its schedule
+     * Only the patches needed are sent: cancel the override and/or set auto mode.
+     * @param {Object} [options] Optional
+     * @param {boolean} [options.dryRun] Report what would be sent without sending anything. Optional, default false
+     * @return {Promise<Object>} Report for each room that was reset, see applyRoomPatches. Rejects with a WiserHubError if getting the data fails
+     */
+    const resetAllRooms = async ({dryRun=false}={}) => {
+        const full = await refreshSaved('resetAllRooms')
+
+        const plans = (full.Room || [])
+            .map( room => {
+                return { room, patches: roomModePatches(room, 'auto', BOOST_DEFAULT_TEMP, BOOST_DEFAULT_DURATION, room.Name, true) }
+            })
+            .filter( plan => plan.patches.length > 0 )
+
+        return applyRoomPatches(plans, dryRun === true, 'resetAllRooms')
+    }
+
+    /** Return every room in Manual mode or with an active override (boost, etc) to its schedule
+     * This is what the daily boostCancelTime timer runs but it can be called at any time. See also resetAllRooms.
+     * @fires wiserOverridesCancelled - Lists the rooms that were reset
+     * @return {Promise<{updated: Date, rooms: Array<Object>, errors: Array<Object>}>} The rooms reset and any failures
+     */
+    const cancelOverrides = async () => {
+        const report = await resetAllRooms()
+
+        const rooms = []
+        const errors = []
+        report.rooms.forEach( result => {
+            const reset = {
+                'roomId': result.roomId,
+                'room': result.room,
+                'mode': result.mode,
+                'overrideType': result.overrideType,
+                'setPoint': result.setPoint,
+            }
+            if ( result.ok ) {
+                rooms.push(reset)
+            } else {
+                reset.error = result.error
+                errors.push(reset)
+            }
+        })
+
+        /** wiserOverridesCancelled event. Emitted when overrides are cancelled by cancelOverrides() (e.g. from the daily boostCancelTime timer)
+         * @event wiserOverridesCancelled
+         * @type {object}
+         * @property {Date} updated - JavaScript timestamp of the cancel
+         * @property {Array<Object>} rooms - Rooms returned to their schedule {roomId, room, mode, overrideType, setPoint (°C)}
+         * @property {Array<Object>} errors - Rooms that could not be reset, as for rooms plus the error
+         */
+        const out = { 'updated': report.updated, rooms, errors }
+        emit('wiserOverridesCancelled', out)
+        return out
     }
 
     //#endregion ---- Public Functions ---- //
@@ -832,6 +2377,10 @@ const Wiser = function() {
     return ({
         // Public interfaces
         setConfig,
+        getSettings,
+        getStats,
+        getRoomMap,
+        getModel,
         debug,
         testConnection,
         get,
@@ -842,15 +2391,73 @@ const Wiser = function() {
         getRoom,
         getRoomByName,
         getRoomStat,
+        getTRV,
+        lookupRoom,
         setRoomMode,
         setMaxBoost,
+        setRoomMaxBoost,
+        setIgnore,
+        setConnectionOptions,
+        getConnection,
+        setQueueOptions,
+        getQueue,
+        setLogger,
+        setEnforceMaxBoost,
         setBoostCancelTime,
+        getNextBoostCancel,
+        cancelOverrides,
+        resetAllRooms,
+        setRooms,
+        saveScene,
+        defineScene,
+        getScenes,
+        deleteScene,
+        applyScene,
+        restoreScene,
         setFolder,
         setSystemMode,
+        setAwaySetPoint,
+        getHotWater,
+        setHotWaterMode,
+        getSchedule,
+        validateSchedule,
+        scheduleToFriendly: scheduleModel.fromHub,
+        scheduleFromFriendly: scheduleModel.toHub,
+        saveSchedule,
+        saveAllSchedules,
+        loadSchedule,
+        loadAllSchedules,
+        assignSchedule,
+        copySchedule,
+        createSchedule,
     }) // --- End of closure --- //
 
 } // ---- End of class ---- //
 
 module.exports = Wiser
+/** Manage several named hubs from one process */
+module.exports.HubManager = require('./hubs')
+/** Publish to and take commands from an MQTT broker (needs the mqtt package) */
+module.exports.MqttBridge = require('./mqtt-bridge')
+/** Serve Prometheus metrics over HTTP */
+module.exports.MetricsExporter = require('./metrics')
+/** Local REST API over HTTP with its own token */
+module.exports.RestGateway = require('./gateway')
+/** Record room readings to local files and query them */
+module.exports.HistoryRecorder = require('./history')
+/** Heating reports (boiler on-time, demand share, warm-up rates) and the wiserAnomaly event */
+module.exports.Analytics = require('./analytics')
+/** Away mode for a holiday, started and ended on time with optional pre-heating */
+module.exports.HolidayPlanner = require('./holiday')
+/** Domain model classes (Room, SmartValve, RoomStat, ...) as returned by getModel */
+module.exports.domain = require('./model')
+/** Error classes - every public function rejects (or throws) with one of these, see the README */
+module.exports.WiserError = WiserError
+module.exports.WiserConfigError = WiserConfigError
+module.exports.WiserValidationError = WiserValidationError
+module.exports.WiserNotFoundError = WiserNotFoundError
+module.exports.WiserHubError = WiserHubError
+module.exports.WiserAuthError = WiserAuthError
+module.exports.WiserTimeoutError = WiserTimeoutError
 
 //EOF
\ No newline at end of file
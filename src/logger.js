@@ -0,0 +1,192 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Logging for a Wiser instance
+ *
+ * Messages go to a pino-style logger - an object with debug, info, warn and error functions called as
+ * `logger.warn(fields, message)` - or to the console if none is given. A winston logger is called as
+ * `logger.warn(message, fields)` instead. `fields` holds the structured data (e.g. room, service, monitorRef, hubId, err).
+ *
+ * Secrets are always redacted: any field named like secret, token, password or authorization (e.g. headers.SECRET), and the
+ * controller's SECRET wherever it appears in a message or string field. Errors are reduced to their
+ * name, message, code and the request details rather than the whole axios error.
+ */
+
+/** Log levels, lowest first. 'silent' turns logging off */
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+
+/** Replaces anything secret */
+const REDACTED = '[REDACTED]'
+
+/** Field names that are always redacted */
+const SECRET_FIELDS = /secret|token|password|authori[sz]ation/i
+
+/** Objects deeper than this are not logged */
+const MAX_DEPTH = 5
+
+/** Default logger, writes to the console. Fields are only shown if there are any */
+const consoleLogger = {}
+LEVELS.slice(0, -1).forEach( level => {
+    consoleLogger[level] = (fields, message) => {
+        if ( Object.keys(fields).length > 0 ) console[level](message, fields)
+        else console[level](message)
+    }
+})
+
+/** Remove secrets from a string
+ * @param {string} text Text
+ * @param {Array<string>} secrets Values to remove
+ * @return {string} Text with the secrets replaced
+ */
+const redactString = (text, secrets) => {
+    return secrets.reduce( (out, secret) => out.split(secret).join(REDACTED), text )
+}
+
+/** The parts of an error worth logging (a whole axios error includes the request, the response and the SECRET header)
+ * @param {Error|Object} err Error
+ * @return {{name: string, message: string, code: string|undefined, status: number|null|undefined, method: string|undefined, path: string|undefined}}
+ */
+const errorFields = (err) => {
+    const config = err.config || {}
+    const out = {
+        name: err.name,
+        message: err.message,
+    }
+    if ( err.code !== undefined ) out.code = err.code
+    if ( err.status !== undefined ) out.status = err.status
+    else if ( err.response ) out.status = err.response.status
+    if ( err.method !== undefined || config.method ) out.method = err.method || config.method.toUpperCase()
+    if ( err.path !== undefined || config.url ) out.path = err.path || config.url
+    return out
+}
+
+/** Copy a value with the secrets removed
+ * Only arrays and plain objects are copied, other objects (e.g. an http.Agent) are shown as `[ClassName]`
+ * @param {*} value Value to copy
+ * @param {Array<string>} secrets Values to remove from strings
+ * @param {number} [depth] Current depth. Optional, default 0
+ * @return {*} Copy that is safe to log
+ */
+const redact = (value, secrets, depth=0) => {
+    if ( typeof value === 'string' ) return redactString(value, secrets)
+    if ( value === null || typeof value !== 'object' ) return value
+    if ( value instanceof Date ) return value
+    if ( value instanceof Error || value.isAxiosError ) return redact(errorFields(value), secrets, depth)
+    if ( depth >= MAX_DEPTH ) return Array.isArray(value) ? '[Array]' : '[Object]'
+    if ( Array.isArray(value) ) return value.map( item => redact(item, secrets, depth + 1) )
+
+    const proto = Object.getPrototypeOf(value)
+    if ( proto !== Object.prototype && proto !== null ) return `[${value.constructor ? value.constructor.name : 'Object'}]`
+
+    const out = {}
+    Object.keys(value).forEach( key => {
+        out[key] = SECRET_FIELDS.test(key) && value[key] !== undefined && value[key] !== null ? REDACTED : redact(value[key], secrets, depth + 1)
+    })
+    return out
+}
+
+/** Check a logger has the functions needed
+ * @param {*} logger Logger
+ * @return {boolean} True if it has debug, info, warn and error functions
+ */
+const isLogger = (logger) => {
+    return logger !== null && typeof logger === 'object' && LEVELS.slice(0, -1).every( level => typeof logger[level] === 'function' )
+}
+
+/** Check for a winston logger, which takes the message first. Pino loggers have no transports
+ * @param {Object} logger Logger
+ * @return {boolean} True if it looks like a winston logger
+ */
+const isWinston = (logger) => {
+    return logger.transports !== undefined && typeof logger.add === 'function'
+}
+
+/** Call a winston logger with the message first
+ * @param {Object} winston winston logger
+ * @return {Object} Logger called pino-style
+ */
+const fromWinston = (winston) => {
+    const out = {}
+    LEVELS.slice(0, -1).forEach( level => {
+        out[level] = (fields, message) => winston[level](message, fields)
+    })
+    return out
+}
+
+/** Logger for one Wiser instance
+ * @param {Object} settings Settings of the Wiser instance, read on every message so changes apply straight away. Uses logLevel and hubId
+ * @param {Function} getSecrets Returns the values to redact (e.g. the controller SECRET)
+ * @return {Object} Public interfaces
+ */
+const Logger = function(settings, getSecrets) {
+
+    /** Where messages are sent */
+    let logger = consoleLogger
+
+    /** Send a message to the logger
+     * @param {string} level Message level
+     * @param {Object|string} fields Structured data, or the message if there is none
+     * @param {string} [message] Message
+     */
+    const write = (level, fields, message) => {
+        if ( LEVELS.indexOf(level) < LEVELS.indexOf(settings.logLevel) ) return
+        if ( typeof fields === 'string' ) {
+            message = fields
+            fields = {}
+        }
+
+        const secrets = getSecrets().filter( secret => typeof secret === 'string' && secret !== '' )
+        const out = redact(fields || {}, secrets)
+        if ( settings.hubId && out.hubId === undefined ) out.hubId = settings.hubId
+
+        try {
+            logger[level](out, redactString(String(message), secrets))
+        } catch (err) {
+            // A broken logger must not break the caller
+        }
+    }
+
+    /** Use a different logger
+     * @param {Object|null} newLogger pino-style or winston logger (debug, info, warn and error functions), null for the console
+     * @return {boolean} True if it was changed
+     */
+    const setLogger = (newLogger) => {
+        if ( newLogger === null ) {
+            logger = consoleLogger
+            return true
+        }
+        if ( !isLogger(newLogger) ) return false
+        logger = isWinston(newLogger) ? fromWinston(newLogger) : newLogger
+        return true
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        debug: (fields, message) => write('debug', fields, message),
+        info: (fields, message) => write('info', fields, message),
+        warn: (fields, message) => write('warn', fields, message),
+        error: (fields, message) => write('error', fields, message),
+        setLogger,
+    })
+
+} // ---- End of Logger ---- //
+
+module.exports = Logger
+module.exports.LEVELS = LEVELS
+module.exports.redact = redact
+
+//EOF
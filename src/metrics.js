@@ -0,0 +1,262 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const http = require('http')
+const { toDegC, list } = require('./friendly')
+const { WiserError } = require('./errors')
+
+/** Device signal strength properties and the `direction` label used for them */
+const RECEPTION = [ ['ReceptionOfDevice', 'device'], ['ReceptionOfController', 'controller'] ]
+
+/** Escape a label value for the Prometheus text format
+ * @param {*} value Label value
+ * @return {string} Escaped value
+ */
+const escapeLabel = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+/** Collects the samples of the metrics and formats them in the Prometheus text format
+ * @param {Object<string, string>} commonLabels Labels added to every sample (e.g. the hub)
+ * @return {{add: Function, text: Function}}
+ */
+const collector = (commonLabels) => {
+    /** Metrics in the order they were first added
+     * @type {Map<string, {type: string, help: string, samples: Array<string>}>}
+     */
+    const metrics = new Map()
+
+    /** Add a sample
+     * @param {string} name Metric name
+     * @param {string} type 'gauge' or 'counter'
+     * @param {string} help Description of the metric
+     * @param {Object<string, *>} labels Sample labels
+     * @param {number|boolean|null|undefined} value Sample value, nothing is added for null/undefined
+     */
+    const add = (name, type, help, labels, value) => {
+        if ( !metrics.has(name) ) metrics.set(name, { type, help, samples: [] })
+        if ( value === null || value === undefined || (typeof value === 'number' && !isFinite(value)) ) return
+
+        const all = Object.assign({}, commonLabels, labels)
+        const labelText = Object.keys(all).map( label => `${label}="${escapeLabel(all[label])}"` ).join(',')
+        metrics.get(name).samples.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`)
+    }
+
+    /** @return {string} All of the metrics in the Prometheus text format */
+    const text = () => {
+        let out = ''
+        metrics.forEach( (metric, name) => {
+            out += `# HELP ${name} ${metric.help}\n# TYPE ${name} ${metric.type}\n`
+            metric.samples.forEach( sample => { out += `${sample}\n` } )
+        })
+        return out
+    }
+
+    return { add, text }
+}
+
+/** Work out the metrics from the full controller data and the request counts
+ * @param {Object|null} full Full controller data (null if there is none yet)
+ * @param {Object<number, {roomId: number, roomName: string, type: string}>} roomMap Device-to-room map
+ * @param {Object} stats Request counts from getStats()
+ * @param {string|null} hubId Name of the hub, added as a `hub` label if set
+ * @param {boolean} up Whether the latest request to the controller worked
+ * @return {string} Metrics in the Prometheus text format
+ */
+const render = (full, roomMap, stats, hubId, up) => {
+    const m = collector( hubId ? { hub: hubId } : {} )
+    const roomName = (deviceId) => roomMap[deviceId] ? roomMap[deviceId].roomName : ''
+
+    m.add('wiser_up', 'gauge', 'Whether the latest request to the controller worked (1) or not (0)', {}, full && up ? 1 : 0)
+
+    if ( full ) {
+        const roomStats = {}
+        list(full.RoomStat).forEach( stat => { roomStats[stat.id] = stat } )
+
+        list(full.Room).forEach( room => {
+            const labels = { room: room.Name, room_id: room.id }
+            m.add('wiser_room_temperature_celsius', 'gauge', 'Room temperature (°C)', labels, toDegC(room.CalculatedTemperature))
+            m.add('wiser_room_setpoint_celsius', 'gauge', 'Room set point (°C), -20 is off', labels, toDegC(room.CurrentSetPoint))
+            m.add('wiser_room_scheduled_setpoint_celsius', 'gauge', 'Room set point from the schedule (°C)', labels, toDegC(room.ScheduledSetPoint))
+            m.add('wiser_room_demand_percent', 'gauge', 'Room heat demand (%)', labels, room.PercentageDemand)
+            m.add('wiser_room_override', 'gauge', 'Whether the room has an active override (boost or manual)', labels,
+                room.OverrideType && room.OverrideType !== 'None' ? 1 : 0)
+            m.add('wiser_room_manual_mode', 'gauge', 'Whether the room is in manual mode', labels, room.Mode === 'Manual' ? 1 : 0)
+            const stat = roomStats[room.RoomStatId]
+            if ( stat ) m.add('wiser_room_humidity_percent', 'gauge', 'Room humidity from the RoomStat (%)', labels, stat.MeasuredHumidity)
+        })
+
+        list(full.SmartValve).forEach( valve => {
+            const labels = { room: roomName(valve.id), device_id: valve.id }
+            m.add('wiser_valve_demand_percent', 'gauge', 'Radiator valve (iTRV) opening (%)', labels, valve.PercentageDemand)
+            m.add('wiser_valve_temperature_celsius', 'gauge', 'Temperature measured by the radiator valve (°C)', labels, toDegC(valve.MeasuredTemperature))
+        })
+
+        list(full.HeatingChannel).forEach( channel => {
+            const labels = { channel: channel.Name || channel.id }
+            m.add('wiser_heating_relay_on', 'gauge', 'Whether the heating relay is on', labels, channel.HeatingRelayState === 'On' ? 1 : 0)
+            m.add('wiser_heating_demand_percent', 'gauge', 'Heating channel demand (%)', labels, channel.PercentageDemand)
+        })
+
+        list(full.Device).forEach( dev => {
+            const labels = { room: roomName(dev.id), device_id: dev.id, type: dev.ProductType }
+            // Signal strength of the device as seen by the controller and of the controller as seen by the device
+            RECEPTION.forEach( ([prop, direction]) => {
+                if ( !dev[prop] ) return
+                const dirLabels = Object.assign({ direction }, labels)
+                m.add('wiser_device_signal_rssi_dbm', 'gauge', 'Zigbee signal strength (dBm), direction=device is the device as seen by the controller', dirLabels, dev[prop].Rssi)
+                m.add('wiser_device_signal_lqi', 'gauge', 'Zigbee link quality, direction=device is the device as seen by the controller', dirLabels, dev[prop].Lqi)
+            })
+            if ( dev.BatteryVoltage !== undefined ) {
+                m.add('wiser_device_battery_volts', 'gauge', 'Battery voltage (V)', labels, dev.BatteryVoltage / 10)
+            }
+            if ( dev.BatteryLevel !== undefined ) {
+                m.add('wiser_device_battery_level', 'gauge', 'Battery level reported by the device, the level is in the label', Object.assign({ level: dev.BatteryLevel }, labels), 1)
+            }
+        })
+    }
+
+    m.add('wiser_hub_polls_total', 'counter', 'Successful requests for the full controller data', {}, stats.polls)
+    m.add('wiser_hub_poll_errors_total', 'counter', 'Failed requests for the full controller data', {}, stats.pollErrors)
+    m.add('wiser_hub_commands_total', 'counter', 'Changes sent to the controller', {}, stats.commands)
+    m.add('wiser_hub_command_errors_total', 'counter', 'Changes the controller did not accept or that could not be sent', {}, stats.commandErrors)
+    m.add('wiser_hub_last_poll_timestamp_seconds', 'gauge', 'Time of the last successful request for the full controller data', {},
+        stats.lastPoll ? stats.lastPoll.getTime() / 1000 : null)
+
+    return m.text()
+}
+
+/** Serve Prometheus metrics for a Wiser instance over HTTP
+ * The metrics come from the latest full controller data (e.g. from a running monitor) and the instance's request counts.
+ * Use as `const metrics = require('node-drayton-wiser').MetricsExporter(wiser, {port: 9787}); await metrics.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} [options] Optional settings
+ * @param {number} [options.port] Port to listen on, 0 for any free port. Default 9787
+ * @param {string} [options.host] Address to listen on. Default all addresses
+ * @param {string} [options.path] URL path of the metrics. Default '/metrics'
+ * @param {boolean} [options.monitor] Start (and stop) a monitor on the Wiser instance. Default false
+ * @param {string} [options.monitorRef] Reference of that monitor. Default 'metrics'
+ * @return {Object} Public interfaces
+ */
+const MetricsExporter = function(wiser, {
+    port = 9787,
+    host = undefined,
+    path = '/metrics',
+    monitor = false,
+    monitorRef = 'metrics',
+}={}) {
+
+    /** Latest full controller data, from wiserFullUpdate */
+    let latest = null
+    /** hubId that came with the latest full data (wiserFullUpdate has it as a second argument) */
+    let latestHubId = null
+    /** Whether the latest poll of the controller worked, from wiserFullUpdate and the wiserError of a failed poll (e.g. from a monitor) */
+    let up = false
+    /** HTTP server, set by start() */
+    let server = null
+
+    const onFullUpdate = (full, hubId) => {
+        if ( !full || !Array.isArray(full.Room) ) return
+        latest = full
+        latestHubId = hubId === undefined ? null : hubId
+        up = true
+    }
+    /** Only a failed poll means the hub cannot be reached, a failed command does not
+     * @param {Object} data wiserError event data
+     */
+    const onError = (data) => {
+        if ( !data || data.service !== 'full' ) return
+        up = false
+    }
+
+    /** Get the metrics text
+     * If no controller data has been seen yet, it is requested first.
+     * @return {Promise<string>} Metrics in the Prometheus text format
+     */
+    const getMetrics = async () => {
+        // If the controller cannot be reached the metrics still show that it is down
+        if ( latest === null ) await wiser.getFull().catch( () => { up = false } )
+        return render(latest, wiser.getRoomMap(), wiser.getStats(), latestHubId || wiser.getSettings().hubId, up)
+    }
+
+    /** Handle an HTTP request */
+    const onRequest = (req, res) => {
+        if ( req.method !== 'GET' || req.url.split('?')[0] !== path ) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' })
+            res.end('Not found\n')
+            return
+        }
+        getMetrics()
+            .then( text => {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+                res.end(text)
+            })
+            .catch( err => {
+                res.writeHead(500, { 'Content-Type': 'text/plain' })
+                res.end(`${err && err.message ? err.message : err}\n`)
+            })
+    }
+
+    /** Start serving the metrics
+     * @return {Promise<number>} The port being listened on
+     */
+    const start = () => {
+        if ( server !== null ) return Promise.resolve(server.address().port)
+
+        wiser.eventEmitter.on('wiserFullUpdate', onFullUpdate)
+        wiser.eventEmitter.on('wiserError', onError)
+        server = http.createServer(onRequest)
+        return new Promise( (resolve, reject) => {
+            server.once('error', err => {
+                wiser.eventEmitter.removeListener('wiserFullUpdate', onFullUpdate)
+                wiser.eventEmitter.removeListener('wiserError', onError)
+                server = null
+                reject(new WiserError(`[node-drayton-wiser:MetricsExporter.start] Could not listen on port ${port}`, {details: err}))
+            })
+            server.listen(port, host, () => {
+                if ( monitor ) wiser.monitor(monitorRef)
+                resolve(server.address().port)
+            })
+        })
+    }
+
+    /** Stop serving the metrics
+     * @return {Promise<void>}
+     */
+    const stop = () => {
+        if ( server === null ) return Promise.resolve()
+
+        if ( monitor ) wiser.removeMonitor(monitorRef)
+        wiser.eventEmitter.removeListener('wiserFullUpdate', onFullUpdate)
+        wiser.eventEmitter.removeListener('wiserError', onError)
+        const s = server
+        server = null
+        return new Promise( resolve => s.close( () => resolve() ) )
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        getMetrics,
+    })
+
+} // ---- End of MetricsExporter ---- //
+
+module.exports = MetricsExporter
+
+//EOF
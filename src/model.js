@@ -0,0 +1,293 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Domain model built from the full controller data
+ *
+ * Rooms, radiator valves (SmartValve), RoomStats, SmartPlugs, heating channels and the system as objects with °C values
+ * and links between them (e.g. `room.valves`, `room.roomStat`, `valve.room`). The links follow the device-to-room map
+ * (see getRoomMap) and are getters so the objects can still be turned into JSON.
+ * Every object also has a `raw` property (not enumerable) with the controller data it was built from.
+ *
+ * Lookups (e.g. `model.room('Office')`) return a Lookup: `{found, unique, value, error}`.
+ */
+
+const friendly = require('./friendly')
+
+/** Result of a lookup by id or name
+ * @typedef {Object} Lookup
+ * @property {boolean} found True if at least one match was found
+ * @property {boolean} unique True if exactly one match was found
+ * @property {Object|null} value The (first) match or null if there wasn't one
+ * @property {string|null} error Why the lookup did not find a unique match (null if it did)
+ */
+
+/** Build a Lookup from the matches
+ * @param {string} kind What was looked for, used in the error (e.g. 'Room')
+ * @param {number|string} key The id or name looked for
+ * @param {Array<Object>} matches Everything that matched
+ * @return {Lookup} Lookup result
+ */
+const lookup = (kind, key, matches) => {
+    let error = null
+    if ( matches.length < 1 ) error = `${kind} ${key} not found`
+    else if ( matches.length > 1 ) error = `${kind} ${key} not unique, ${matches.length} found`
+    return {
+        found: matches.length > 0,
+        unique: matches.length === 1,
+        value: matches.length > 0 ? matches[0] : null,
+        error,
+    }
+}
+
+/** Find by id (anything that looks like a number) or name
+ * @param {Array<Object>} items Model objects with id and name
+ * @param {number|string} idOrName Id or name
+ * @return {Array<Object>} Matches
+ */
+const matchIdOrName = (items, idOrName) => {
+    if ( typeof idOrName === 'number' || ( typeof idOrName === 'string' && idOrName.trim() !== '' && !Number.isNaN(Number(idOrName)) ) ) {
+        return items.filter( item => item.id === Number(idOrName) )
+    }
+    return items.filter( item => item.name === idOrName )
+}
+
+/** The Model each object belongs to, used by the links
+ * @type {WeakMap<Object, Model>}
+ */
+const owners = new WeakMap()
+
+/** Add the controller data as a non-enumerable property and remember the model
+ * @param {Object} entity Model object
+ * @param {Object} raw Controller data
+ * @param {Model} model The model the object belongs to
+ */
+const attach = (entity, raw, model) => {
+    Object.defineProperty(entity, 'raw', { value: raw })
+    owners.set(entity, model)
+}
+
+/** Properties shared by all devices (from the Device collection) */
+const deviceProps = (id, model) => {
+    const dev = friendly.list(model.raw.Device).find( d => d.id === id )
+    if ( dev === undefined ) return {}
+    const info = friendly.device(dev, model.raw)
+    return {
+        type: info.type,
+        model: info.model,
+        firmware: info.firmware,
+        signal: info.signal,
+        rssi: info.rssi,
+        battery: info.battery,
+    }
+}
+
+/** A room (heating zone) */
+class Room {
+    /**
+     * @param {Object} raw Room from the controller
+     * @param {Model} model The model the room belongs to
+     */
+    constructor(raw, model) {
+        attach(this, raw, model)
+        Object.assign(this, friendly.room(raw, model.raw))
+    }
+    /** @return {Array<SmartValve>} Radiator valves in the room */
+    get valves() {
+        return owners.get(this).smartValves.filter( valve => valve.roomId === this.id )
+    }
+    /** @return {RoomStat|null} The room's RoomStat (if it has one) */
+    get roomStat() {
+        return owners.get(this).roomStats.find( stat => stat.roomId === this.id ) || null
+    }
+    /** @return {Array<SmartPlug>} SmartPlugs in the room */
+    get plugs() {
+        return owners.get(this).smartPlugs.filter( plug => plug.roomId === this.id )
+    }
+    /** @return {HeatingChannel|null} Heating channel that heats the room */
+    get heatingChannel() {
+        return owners.get(this).heatingChannels.find( channel => channel.roomIds.includes(this.id) ) || null
+    }
+}
+
+/** Common code for devices that belong to a room */
+class RoomDevice {
+    /**
+     * @param {Object} raw Controller data
+     * @param {Model} model The model the device belongs to
+     */
+    constructor(raw, model) {
+        attach(this, raw, model)
+        const inRoom = model.roomMap[raw.id]
+        this.id = raw.id
+        this.roomId = inRoom ? inRoom.roomId : null
+    }
+    /** @return {Room|null} Room the device is in */
+    get room() {
+        return owners.get(this).rooms.find( room => room.id === this.roomId ) || null
+    }
+}
+
+/** A radiator valve (iTRV) */
+class SmartValve extends RoomDevice {
+    /**
+     * @param {Object} raw SmartValve from the controller
+     * @param {Model} model The model the valve belongs to
+     */
+    constructor(raw, model) {
+        super(raw, model)
+        this.temperature = friendly.toDegC(raw.MeasuredTemperature)
+        this.setPoint = friendly.toDegC(raw.SetPoint)
+        this.demand = raw.PercentageDemand
+        this.windowOpen = raw.WindowState === undefined ? undefined : raw.WindowState === 'Open'
+        Object.assign(this, deviceProps(raw.id, model))
+    }
+}
+
+/** A RoomStat (room thermostat with humidity sensor) */
+class RoomStat extends RoomDevice {
+    /**
+     * @param {Object} raw RoomStat from the controller
+     * @param {Model} model The model the RoomStat belongs to
+     */
+    constructor(raw, model) {
+        super(raw, model)
+        this.temperature = friendly.toDegC(raw.MeasuredTemperature)
+        this.setPoint = friendly.toDegC(raw.SetPoint)
+        this.humidity = raw.MeasuredHumidity
+        Object.assign(this, deviceProps(raw.id, model))
+    }
+}
+
+/** A SmartPlug */
+class SmartPlug extends RoomDevice {
+    /**
+     * @param {Object} raw SmartPlug from the controller
+     * @param {Model} model The model the plug belongs to
+     */
+    constructor(raw, model) {
+        super(raw, model)
+        this.name = raw.Name
+        this.on = raw.OutputState === undefined ? undefined : raw.OutputState === 'On'
+        this.mode = raw.Mode
+        Object.assign(this, deviceProps(raw.id, model))
+    }
+}
+
+/** A heating channel (boiler relay) */
+class HeatingChannel {
+    /**
+     * @param {Object} raw HeatingChannel from the controller
+     * @param {Model} model The model the channel belongs to
+     */
+    constructor(raw, model) {
+        attach(this, raw, model)
+        this.id = raw.id
+        this.name = raw.Name
+        this.demand = raw.PercentageDemand
+        this.relayOn = raw.HeatingRelayState === 'On'
+        this.roomIds = raw.RoomIds || []
+    }
+    /** @return {Array<Room>} Rooms heated by the channel */
+    get rooms() {
+        return owners.get(this).rooms.filter( room => this.roomIds.includes(room.id) )
+    }
+}
+
+/** The controller itself */
+class System {
+    /**
+     * @param {Object} raw System from the controller
+     * @param {Model} model The model the system belongs to
+     */
+    constructor(raw, model) {
+        attach(this, raw, model)
+        Object.assign(this, friendly.system(model.raw))
+    }
+}
+
+/** Everything from one lot of full controller data */
+class Model {
+    /**
+     * @param {Object} full Full controller data from getFull
+     * @param {Object<number, {roomId: number, roomName: string, type: string}>} roomMap Device-to-room map (see getRoomMap)
+     */
+    constructor(full, roomMap) {
+        Object.defineProperty(this, 'raw', { value: full })
+        Object.defineProperty(this, 'roomMap', { value: roomMap || {} })
+        /** @type {Array<Room>} */
+        this.rooms = friendly.list(full.Room).map( room => new Room(room, this) )
+        /** @type {Array<SmartValve>} */
+        this.smartValves = friendly.list(full.SmartValve).map( valve => new SmartValve(valve, this) )
+        /** @type {Array<RoomStat>} */
+        this.roomStats = friendly.list(full.RoomStat).map( stat => new RoomStat(stat, this) )
+        /** @type {Array<SmartPlug>} */
+        this.smartPlugs = friendly.list(full.SmartPlug).map( plug => new SmartPlug(plug, this) )
+        /** @type {Array<HeatingChannel>} */
+        this.heatingChannels = friendly.list(full.HeatingChannel).map( channel => new HeatingChannel(channel, this) )
+        /** @type {System} */
+        this.system = new System(full.System || {}, this)
+    }
+
+    /** Find a room by id or name
+     * @param {number|string} idOrName Room id or name
+     * @return {Lookup} value is a Room
+     */
+    room(idOrName) {
+        return lookup('Room', idOrName, matchIdOrName(this.rooms, idOrName))
+    }
+    /** Find a radiator valve by id
+     * @param {number} id Device id
+     * @return {Lookup} value is a SmartValve
+     */
+    smartValve(id) {
+        return lookup('SmartValve', id, this.smartValves.filter( valve => valve.id === Number(id) ))
+    }
+    /** Find a RoomStat by id
+     * @param {number} id Device id
+     * @return {Lookup} value is a RoomStat
+     */
+    roomStat(id) {
+        return lookup('RoomStat', id, this.roomStats.filter( stat => stat.id === Number(id) ))
+    }
+    /** Find a SmartPlug by id or name
+     * @param {number|string} idOrName Device id or plug name
+     * @return {Lookup} value is a SmartPlug
+     */
+    smartPlug(idOrName) {
+        return lookup('SmartPlug', idOrName, matchIdOrName(this.smartPlugs, idOrName))
+    }
+    /** Find a heating channel by id or name
+     * @param {number|string} idOrName Channel id or name
+     * @return {Lookup} value is a HeatingChannel
+     */
+    heatingChannel(idOrName) {
+        return lookup('HeatingChannel', idOrName, matchIdOrName(this.heatingChannels, idOrName))
+    }
+}
+
+module.exports = {
+    Model,
+    Room,
+    SmartValve,
+    RoomStat,
+    SmartPlug,
+    HeatingChannel,
+    System,
+    lookup,
+}
+
+//EOF
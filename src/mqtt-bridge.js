@@ -0,0 +1,419 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const { TEMP_MINIMUM, TEMP_OFF, BOOST_DEFAULT_TEMP, BOOST_DEFAULT_DURATION } = require('./constants')
+const { toDegC } = require('./friendly')
+const { byId } = require('./diff')
+const { WiserError, WiserConfigError, WiserValidationError } = require('./errors')
+
+/** Home Assistant climate modes: auto = Wiser Auto mode, heat = Manual mode, off = Manual mode set to off */
+const HA_MODES = ['auto', 'heat', 'off']
+
+/** Make a room name safe for use in a topic, e.g. "Living Room" -> "living_room"
+ * @param {string} name Room name
+ * @return {string} Topic level
+ */
+const slug = (name) => {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+}
+
+/** Command that fails with an error, used for bad command messages
+ * @param {string} message Error message
+ * @return {Function} Function returning a Promise rejected with a WiserValidationError
+ */
+const badCommand = (message) => {
+    return () => Promise.reject(new WiserValidationError(`[node-drayton-wiser:MqttBridge] ${message}`))
+}
+
+/** Bridge between a Wiser instance and an MQTT broker, with Home Assistant discovery
+ * Publishes retained per-room and per-device state topics from each full update (e.g. from a running monitor),
+ * subscribes to command topics that map onto setRoomMode and setSystemMode and reports availability with a last-will message.
+ * Needs the `mqtt` package to be installed (`npm install mqtt`).
+ * Use as `const bridge = require('node-drayton-wiser').MqttBridge(wiser, {url: 'mqtt://localhost'}); await bridge.start()`
+ * @param {Object} wiser A Wiser instance that has been configured with setConfig
+ * @param {Object} [options] Optional settings
+ * @param {string} [options.url] Broker URL. Default 'mqtt://localhost:1883'
+ * @param {Object} [options.mqttOptions] Extra options for mqtt.connect (e.g. username, password). Default none
+ * @param {string} [options.baseTopic] First level of every topic. Default 'wiser'
+ * @param {boolean} [options.discovery] Publish Home Assistant discovery configs. Default true
+ * @param {string} [options.discoveryPrefix] Home Assistant discovery prefix. Default 'homeassistant'
+ * @param {string} [options.nodeId] Unique name for the hub in Home Assistant. Default 'wiser'
+ * @param {boolean} [options.monitor] Start (and stop) a monitor on the Wiser instance. Default true
+ * @param {string} [options.monitorRef] Reference of that monitor. Default 'mqtt'
+ * @param {number} [options.boostTemp] Temperature (°C) for the Home Assistant boost preset. Default BOOST_DEFAULT_TEMP
+ * @param {number} [options.boostDuration] Duration (minutes) for the Home Assistant boost preset. Default BOOST_DEFAULT_DURATION
+ * @return {Object} Public interfaces
+ */
+const MqttBridge = function(wiser, {
+    url = 'mqtt://localhost:1883',
+    mqttOptions = {},
+    baseTopic = 'wiser',
+    discovery = true,
+    discoveryPrefix = 'homeassistant',
+    nodeId = 'wiser',
+    monitor = true,
+    monitorRef = 'mqtt',
+    boostTemp = BOOST_DEFAULT_TEMP,
+    boostDuration = BOOST_DEFAULT_DURATION,
+}={}) {
+
+    /** MQTT client, set by start() */
+    let client = null
+    /** Last payload published to each retained topic so that unchanged values are not re-sent on every update
+     * @type {Map<string, string>}
+     */
+    const published = new Map()
+    /** Rooms by topic level from the latest update
+     * @type {Object<string, Object>}
+     */
+    let roomsBySlug = {}
+    /** Discovery config topics already published, by room id
+     * @type {Map<number, string>}
+     */
+    const announced = new Map()
+    /** Latest availability published - 'online' or 'offline' */
+    let availability = null
+
+    const statusTopic = `${baseTopic}/status`
+
+    //#region ---- Publishing ---- //
+
+    /** Publish a retained value if it has changed since it was last published
+     * @param {string} topic Full topic
+     * @param {*} value Value, objects are sent as JSON. null/undefined are sent as an empty string
+     */
+    const publish = (topic, value) => {
+        if ( client === null ) return
+        let payload = value
+        if ( value === null || value === undefined ) payload = ''
+        else if ( typeof value === 'object' ) payload = JSON.stringify(value)
+        else payload = String(value)
+
+        if ( published.get(topic) === payload ) return
+        published.set(topic, payload)
+        client.publish(topic, payload, { retain: true, qos: 1 })
+    }
+
+    /** Home Assistant mode for a room
+     * @param {Object} room Room from the controller
+     * @return {string} One of HA_MODES
+     */
+    const haMode = (room) => {
+        if ( room.CurrentSetPoint === TEMP_OFF * 10 && room.Mode === 'Manual' ) return 'off'
+        if ( room.Mode === 'Manual' ) return 'heat'
+        return 'auto'
+    }
+
+    /** Publish the Home Assistant discovery config for a room
+     * @param {Object} room Room from the controller
+     * @param {Object} full Full controller data
+     */
+    const announce = (room, full) => {
+        const roomTopic = `${baseTopic}/room/${slug(room.Name)}`
+        const configTopic = `${discoveryPrefix}/climate/${nodeId}/room_${room.id}/config`
+        const config = {
+            name: room.Name,
+            unique_id: `${nodeId}_room_${room.id}`,
+            availability_topic: statusTopic,
+            current_temperature_topic: `${roomTopic}/temperature`,
+            temperature_state_topic: `${roomTopic}/setpoint`,
+            temperature_command_topic: `${roomTopic}/set/setpoint`,
+            mode_state_topic: `${roomTopic}/mode`,
+            mode_command_topic: `${roomTopic}/set/mode`,
+            modes: HA_MODES,
+            preset_modes: ['boost'],
+            preset_mode_state_topic: `${roomTopic}/preset`,
+            preset_mode_command_topic: `${roomTopic}/set/preset`,
+            min_temp: TEMP_MINIMUM,
+            max_temp: wiser.getSettings().maxBoost,
+            temp_step: 0.5,
+            temperature_unit: 'C',
+            device: {
+                identifiers: [nodeId],
+                name: `Wiser ${nodeId}`,
+                manufacturer: 'Drayton',
+                model: full.System && full.System.BrandName ? full.System.BrandName : 'Wiser',
+            },
+        }
+        if ( room.RoomStatId !== undefined ) config.current_humidity_topic = `${roomTopic}/humidity`
+
+        // Only re-sent if it changes (e.g. the room is renamed)
+        announced.set(room.id, configTopic)
+        publish(configTopic, config)
+    }
+
+    /** Remove the Home Assistant entity for a room that no longer exists
+     * @param {number} roomId Room id
+     */
+    const unannounce = (roomId) => {
+        const configTopic = announced.get(roomId)
+        if ( configTopic === undefined ) return
+        announced.delete(roomId)
+        publish(configTopic, '')
+    }
+
+    /** Publish the state topics for the full controller data. Listens to wiserFullUpdate
+     * @param {Object} full Full controller data
+     */
+    const onFullUpdate = (full) => {
+        if ( !full || !Array.isArray(full.Room) ) return
+
+        const devices = byId(full.Device)
+        const valves = byId(full.SmartValve)
+        const roomStats = byId(full.RoomStat)
+
+        const bySlug = {}
+        full.Room.forEach( room => {
+            const roomSlug = slug(room.Name)
+            bySlug[roomSlug] = room
+            const roomTopic = `${baseTopic}/room/${roomSlug}`
+
+            publish(`${roomTopic}/temperature`, toDegC(room.CalculatedTemperature))
+            publish(`${roomTopic}/setpoint`, toDegC(room.CurrentSetPoint))
+            publish(`${roomTopic}/mode`, haMode(room))
+            publish(`${roomTopic}/preset`, room.SetpointOrigin === 'FromBoost' ? 'boost' : 'none')
+            publish(`${roomTopic}/demand`, room.PercentageDemand)
+            if ( roomStats.has(room.RoomStatId) ) publish(`${roomTopic}/humidity`, roomStats.get(room.RoomStatId).MeasuredHumidity)
+
+            if ( discovery ) announce(room, full)
+        })
+        roomsBySlug = bySlug
+
+        // Rooms that have gone
+        if ( discovery ) {
+            Array.from(announced.keys()).forEach( roomId => {
+                if ( !full.Room.some( room => room.id === roomId ) ) unannounce(roomId)
+            })
+        }
+
+        devices.forEach( (dev, id) => {
+            const devTopic = `${baseTopic}/device/${id}`
+            if ( dev.BatteryVoltage !== undefined ) publish(`${devTopic}/battery`, dev.BatteryVoltage / 10)
+            if ( dev.BatteryLevel !== undefined ) publish(`${devTopic}/battery_level`, dev.BatteryLevel)
+            if ( valves.has(id) ) publish(`${devTopic}/demand`, valves.get(id).PercentageDemand)
+        })
+
+        publish(`${baseTopic}/system/mode`, full.System && full.System.OverrideType === 'Away' ? 'away' : 'normal')
+    }
+
+    /** Publish the availability
+     * @param {string} state 'online' or 'offline'
+     */
+    const setAvailability = (state) => {
+        if ( availability === state ) return
+        availability = state
+        published.delete(statusTopic)
+        publish(statusTopic, state)
+    }
+    const onPing = () => setAvailability('online')
+    /** Only a failed poll means the hub cannot be reached, a failed command does not
+     * @param {Object} data wiserError event data
+     */
+    const onError = (data) => {
+        if ( data && data.service === 'full' ) setAvailability('offline')
+    }
+
+    /** Report a failed command. Not retained
+     * @param {string} topic Command topic
+     * @param {Object} err Error from the Wiser function
+     */
+    const commandError = (topic, err) => {
+        if ( client === null ) return
+        const error = err && err.error ? err.error : String(err)
+        client.publish(`${baseTopic}/error`, JSON.stringify({ topic, error: typeof error === 'string' ? error : String(error) }))
+    }
+
+    /** Report a broker error once connected. The client keeps trying to reconnect
+     * @param {Error} err Error from the MQTT client
+     */
+    const onClientError = (err) => {
+        /** wiserError event - the MQTT client had an error
+         * @event wiserError
+         */
+        wiser.eventEmitter.emit('wiserError', {
+            'updated': new Date(),
+            'error': new WiserError(`[node-drayton-wiser:MqttBridge] MQTT client error (${url})`, {details: err}),
+        })
+    }
+
+    //#endregion ---- Publishing ---- //
+
+    //#region ---- Commands ---- //
+
+    /** Handle a message on a command topic
+     * @param {string} topic Topic
+     * @param {Buffer} message Payload
+     */
+    const onMessage = (topic, message) => {
+        const payload = message.toString().trim()
+        const levels = topic.slice(baseTopic.length + 1).split('/')
+
+        const command = toCommand(levels, payload)
+        if ( command === null ) return
+
+        command()
+            // Publish the new state straight away rather than waiting for the next monitor update
+            .then( () => wiser.getFull() )
+            .catch( err => commandError(topic, err) )
+    }
+
+    /** Work out the Wiser call for a command topic
+     * @param {Array<string>} levels Topic levels after the base topic
+     * @param {string} payload Message payload
+     * @return {Function|null} Function that runs the command and returns a Promise (rejected for a bad command), null if the topic is not a command
+     */
+    const toCommand = (levels, payload) => {
+        // wiser/system/set  away|normal|boostAllRooms|cancelAllOverrides
+        if ( levels[0] === 'system' && levels[1] === 'set' && levels.length === 2 ) {
+            return () => wiser.setSystemMode(payload)
+        }
+
+        if ( levels[0] !== 'room' || levels[2] !== 'set' || levels.length > 4 ) return null
+
+        const room = roomsBySlug[levels[1]]
+        if ( room === undefined ) return badCommand(`Unknown room: ${levels[1]}`)
+
+        const temp = Number(payload)
+        switch ( levels[3] ) {
+            // wiser/room/<room>/set  {"mode": "boost", "temp": 21, "duration": 30} - as setRoomMode
+            case undefined: {
+                let opts
+                try {
+                    opts = JSON.parse(payload)
+                } catch (err) {
+                    return badCommand(`Payload must be JSON: ${payload}`)
+                }
+                return () => wiser.setRoomMode(room.id, opts.mode, opts.temp, opts.duration)
+            }
+
+            // wiser/room/<room>/set/mode  auto|heat|off (Home Assistant) or any setRoomMode mode
+            case 'mode': {
+                if ( payload === 'heat' ) {
+                    const current = toDegC(room.CurrentSetPoint)
+                    return () => wiser.setRoomMode(room.id, 'manual', current !== null && current > TEMP_OFF ? current : boostTemp)
+                }
+                return () => wiser.setRoomMode(room.id, payload, boostTemp, boostDuration)
+            }
+
+            // wiser/room/<room>/set/setpoint  21.5 - manual rooms keep manual mode, otherwise until the next schedule change
+            case 'setpoint': {
+                if ( !isFinite(temp) || payload === '' ) return badCommand(`Set point must be a number: ${payload}`)
+                return () => wiser.setRoomMode(room.id, room.Mode === 'Manual' ? 'manual' : 'set', temp)
+            }
+
+            // wiser/room/<room>/set/preset  boost|none
+            case 'preset': {
+                if ( payload === 'boost' ) return () => wiser.setRoomMode(room.id, 'boost', boostTemp, boostDuration)
+                return () => wiser.setRoomMode(room.id, 'auto')
+            }
+
+            default:
+                return null
+        }
+    }
+
+    //#endregion ---- Commands ---- //
+
+    /** Connect to the broker, subscribe to the command topics and start publishing
+     * @return {Promise<Object>} The MQTT client once connected
+     */
+    const start = async () => {
+        if ( client !== null ) return client
+
+        let mqtt
+        try {
+            mqtt = require('mqtt')
+        } catch (err) {
+            return Promise.reject(new WiserConfigError(
+                '[node-drayton-wiser:MqttBridge.start] The mqtt package is needed for the MQTT bridge, install it with `npm install mqtt`', {details: err}
+            ))
+        }
+
+        const connectOptions = Object.assign({}, mqttOptions, {
+            will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 },
+        })
+
+        try {
+            client = await new Promise( (resolve, reject) => {
+                const c = mqtt.connect(url, connectOptions)
+                const onConnectError = (err) => {
+                    c.end(true)
+                    reject(err)
+                }
+                c.once('connect', () => {
+                    c.removeListener('error', onConnectError)
+                    resolve(c)
+                })
+                c.once('error', onConnectError)
+            })
+        } catch (err) {
+            return Promise.reject(new WiserError(`[node-drayton-wiser:MqttBridge.start] Could not connect to ${url}`, {details: err}))
+        }
+
+        client.on('message', onMessage)
+        client.on('error', onClientError)
+        // After a reconnect the broker will have sent the last will, so send the availability again
+        client.on('connect', () => {
+            const state = availability
+            availability = null
+            if ( state !== null ) setAvailability(state)
+        })
+        client.subscribe([`${baseTopic}/room/+/set`, `${baseTopic}/room/+/set/+`, `${baseTopic}/system/set`], { qos: 1 })
+
+        wiser.eventEmitter.on('wiserFullUpdate', onFullUpdate)
+        wiser.eventEmitter.on('wiserPing', onPing)
+        wiser.eventEmitter.on('wiserError', onError)
+
+        if ( monitor ) wiser.monitor(monitorRef)
+        return client
+    }
+
+    /** Stop publishing, mark the hub offline and disconnect
+     * @return {Promise<void>}
+     */
+    const stop = async () => {
+        if ( client === null ) return
+
+        if ( monitor ) wiser.removeMonitor(monitorRef)
+        wiser.eventEmitter.removeListener('wiserFullUpdate', onFullUpdate)
+        wiser.eventEmitter.removeListener('wiserPing', onPing)
+        wiser.eventEmitter.removeListener('wiserError', onError)
+
+        setAvailability('offline')
+        const c = client
+        client = null
+        published.clear()
+        announced.clear()
+        availability = null
+        await new Promise( resolve => c.end(false, {}, resolve) )
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        /** @return {Object|null} The MQTT client (null if not started) */
+        getClient: () => client,
+    })
+
+} // ---- End of MqttBridge ---- //
+
+MqttBridge.slug = slug
+
+module.exports = MqttBridge
+
+//EOF
@@ -0,0 +1,96 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Request queue for one controller
+ * Every request to the controller waits its turn so that the controller is never sent more than `queueConcurrency`
+ * requests at once, and requests are started at least `queueSpacing` seconds apart. Requests start in the order they were queued.
+ */
+
+/** Queue of requests to a controller
+ * @param {Object} settings Settings of the Wiser instance, read as needed so changes apply straight away.
+ *        Uses queueConcurrency and queueSpacing (s)
+ * @return {Object} Public interfaces
+ */
+const RequestQueue = function(settings) {
+
+    /** Requests waiting to start
+     * @type {Array<{fn: Function, resolve: Function, reject: Function}>}
+     */
+    const waiting = []
+    /** Number of requests in progress */
+    let active = 0
+    /** When the last request started (ms) */
+    let lastStart = 0
+    /** Timer waiting for the spacing between requests */
+    let timer = null
+
+    /** Start as many waiting requests as allowed */
+    const next = () => {
+        if ( timer !== null ) return
+        while ( waiting.length > 0 && active < settings.queueConcurrency ) {
+            const wait = lastStart + settings.queueSpacing * 1000 - Date.now()
+            if ( wait > 0 ) {
+                timer = setTimeout(() => {
+                    timer = null
+                    next()
+                }, wait)
+                return
+            }
+
+            const job = waiting.shift()
+            active++
+            lastStart = Date.now()
+            const done = (settle) => (value) => {
+                active--
+                settle(value)
+                next()
+            }
+            Promise.resolve()
+                .then(job.fn)
+                .then(done(job.resolve), done(job.reject))
+        }
+    }
+
+    /** Run a request when it is its turn
+     * @param {Function} fn Makes the request, returns a Promise
+     * @return {Promise<*>} Result of the request
+     */
+    const run = (fn) => {
+        return new Promise( (resolve, reject) => {
+            waiting.push({ fn, resolve, reject })
+            next()
+        })
+    }
+
+    /** Get the state of the queue
+     * @return {{waiting: number, active: number}} Requests waiting to start and in progress
+     */
+    const getState = () => {
+        return { waiting: waiting.length, active }
+    }
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        run,
+        getState,
+    })
+
+} // ---- End of RequestQueue ---- //
+
+module.exports = RequestQueue
+
+//EOF
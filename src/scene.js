@@ -0,0 +1,179 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Scenes - a named state for some or all rooms, applied with setRoomMode
+ *
+ * `{name: 'movie night', rooms: {Lounge: {mode: 'boost', temp: 21, duration: 180}}, default: {mode: 'auto'}}`
+ *
+ * `rooms` is keyed by room name or ID. `default` (optional) is used for every room not listed, rooms that are
+ * in neither are left alone. Each entry has a `mode` (as setRoomMode), `temp` (°C, for manual, set and boost)
+ * and `duration` (minutes, for boost).
+ *
+ * Snapshots of the current state also record each room's `room` name, `overrideType` and `setPoint` (°C),
+ * and `duration` is the time left on a boost.
+ */
+
+const { TEMP_OFF, BOOST_DEFAULT_TEMP, BOOST_DEFAULT_DURATION } = require('./constants')
+const { toDegC } = require('./friendly')
+
+/** Room modes a scene can use (as setRoomMode) */
+const MODES = ['manual', 'set', 'boost', 'off', 'auto']
+
+/** Modes that use a temperature */
+const TEMP_MODES = ['manual', 'set', 'boost']
+
+/** The scene entry that would put a room back into its current state
+ * @param {Object} room Room from the controller
+ * @param {number} unixTime Controller time (seconds), used for the time left on a boost
+ * @return {{room: string, mode: string, temp: number|undefined, duration: number|undefined, overrideType: string, setPoint: number|null}}
+ */
+const roomState = (room, unixTime) => {
+    const hasOverride = room.OverrideType !== undefined && room.OverrideType !== 'None'
+    const remaining = hasOverride && room.OverrideTimeoutUnixTime ? Math.ceil( (room.OverrideTimeoutUnixTime - unixTime) / 60 ) : 0
+
+    const out = { room: room.Name, mode: 'auto' }
+    /** Leave out a temperature the controller did not give, so that the default is used when the scene is applied */
+    const setTemp = (temp) => {
+        const degC = toDegC(temp)
+        if ( degC !== null ) out.temp = degC
+    }
+    if ( remaining > 0 ) {
+        out.mode = 'boost'
+        setTemp(room.OverrideSetpoint)
+        out.duration = remaining
+    } else if ( room.Mode === 'Manual' ) {
+        if ( room.CurrentSetPoint === TEMP_OFF * 10 ) {
+            out.mode = 'off'
+        } else {
+            out.mode = 'manual'
+            setTemp(room.CurrentSetPoint)
+        }
+    } else if ( hasOverride ) {
+        out.mode = 'set'
+        setTemp(room.OverrideSetpoint)
+    }
+    out.overrideType = hasOverride ? room.OverrideType : 'None'
+    out.setPoint = toDegC(room.CurrentSetPoint)
+    return out
+}
+
+/** Snapshot the current state of rooms as a scene, keyed by room ID
+ * @param {Object} full Full controller data
+ * @param {string} name Scene name
+ * @param {Array<Object>} [rooms] Rooms from the controller to include. Optional, default every room
+ * @return {{name: string, created: string, rooms: Object<string, Object>}} Scene
+ */
+const snapshot = (full, name, rooms=undefined) => {
+    const unixTime = full.System && full.System.UnixTime ? full.System.UnixTime : Math.floor(Date.now() / 1000)
+    const out = { name, created: new Date().toISOString(), rooms: {} }
+    const list = rooms || full.Room || []
+    list.forEach( room => {
+        out.rooms[room.id] = roomState(room, unixTime)
+    })
+    return out
+}
+
+/** Check a scene entry
+ * @param {*} entry Scene entry
+ * @param {string} label Where the entry is, for the error messages
+ * @return {Array<string>} List of problems found
+ */
+const validateEntry = (entry, label) => {
+    if ( entry === null || typeof entry !== 'object' || Array.isArray(entry) ) return [`${label} must be an object with a mode`]
+
+    const errors = []
+    const mode = typeof entry.mode === 'string' ? entry.mode.toLowerCase() : entry.mode
+    if ( !MODES.includes(mode) ) {
+        errors.push(`${label} has an invalid mode (${entry.mode}), must be one of: [${MODES.join(', ')}]`)
+    }
+    if ( TEMP_MODES.includes(mode) && entry.temp !== undefined && (typeof entry.temp !== 'number' || !isFinite(entry.temp)) ) {
+        errors.push(`${label} has an invalid temp (${entry.temp}), must be a number (°C)`)
+    }
+    if ( mode === 'boost' && entry.duration !== undefined && (typeof entry.duration !== 'number' || !(entry.duration > 0)) ) {
+        errors.push(`${label} has an invalid duration (${entry.duration}), must be a number of minutes`)
+    }
+    return errors
+}
+
+/** Check that a scene is valid (not whether its rooms exist, see plan)
+ * @param {Object} scene Scene
+ * @return {{valid: boolean, errors: Array<string>}} Result, errors lists every problem found
+ */
+const validate = (scene) => {
+    if ( scene === null || typeof scene !== 'object' || Array.isArray(scene) ) {
+        return { valid: false, errors: ['Scene must be an object'] }
+    }
+
+    const errors = []
+    const rooms = scene.rooms === undefined ? {} : scene.rooms
+    if ( rooms === null || typeof rooms !== 'object' || Array.isArray(rooms) ) {
+        errors.push('rooms must be an object keyed by room name or ID')
+    } else {
+        Object.keys(rooms).forEach( key => {
+            errors.push.apply( errors, validateEntry(rooms[key], `Room ${key}`) )
+        })
+        if ( Object.keys(rooms).length < 1 && scene.default === undefined ) errors.push('Scene has no rooms and no default')
+    }
+    if ( scene.default !== undefined ) errors.push.apply( errors, validateEntry(scene.default, 'default') )
+
+    return { valid: errors.length === 0, errors }
+}
+
+/** Work out the setRoomMode calls for a (valid) scene
+ * @param {Object} scene Scene
+ * @param {Array<Object>} rooms Rooms from the controller
+ * @return {{changes: Array<{room: Object, mode: string, temp: number, duration: number}>, missing: Array<string>, errors: Array<string>}}
+ *         One change per room in controller order, room keys that match no room and rooms listed more than once
+ */
+const plan = (scene, rooms) => {
+    const entries = scene.rooms || {}
+    const byRoom = new Map()
+    const missing = []
+    const errors = []
+
+    Object.keys(entries).forEach( key => {
+        // Keys that look like a number are room IDs, as setRoomMode
+        const room = Number.isNaN(Number(key)) ? rooms.find( r => r.Name === key ) : rooms.find( r => r.id === Number(key) )
+        if ( room === undefined ) missing.push(key)
+        else if ( byRoom.has(room) ) errors.push(`Room ${room.Name} is listed more than once`)
+        else byRoom.set(room, entries[key])
+    })
+
+    const changes = []
+    rooms.forEach( room => {
+        const entry = byRoom.has(room) ? byRoom.get(room) : scene.default
+        if ( entry === undefined ) return
+        changes.push({
+            room,
+            mode: entry.mode.toLowerCase(),
+            temp: entry.temp === undefined ? BOOST_DEFAULT_TEMP : entry.temp,
+            duration: entry.duration === undefined ? BOOST_DEFAULT_DURATION : entry.duration,
+        })
+    })
+
+    return { changes, missing, errors }
+}
+
+module.exports = {
+    MODES,
+    roomState,
+    snapshot,
+    validate,
+    plan,
+}
+
+//EOF
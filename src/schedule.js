@@ -0,0 +1,274 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Conversion between the controller's schedule format and a friendlier one
+ *
+ * Controller format (times are seconds from midnight, temperatures are °C x 10):
+ *   `{id: 8, Type: 'Heating', Monday: {SetPoints: [{Time: 28800, DegreesC: 200}, ...]}, ...}`
+ * Friendly format (times are "HH:mm", temperatures are °C):
+ *   `{id: 8, type: 'Heating', weekdays: [{time: '08:00', temp: 20}, ...], weekends: [...]}`
+ *
+ * Friendly day keys are `monday` ... `sunday` plus the shorthands `weekdays`, `weekends` and `all` (always lower case,
+ * capitalised day names are the controller format).
+ * Shorthands are applied first so a named day always wins (e.g. `weekdays` + a different `friday`).
+ *
+ * Hot water schedules have `type: 'HotWater'` and their slots are 'on' or 'off' rather than a temperature
+ * (HOT_WATER_ON and TEMP_OFF on the controller): `{id: 1000, type: 'HotWater', all: [{time: '06:00', temp: 'on'}, ...]}`
+ */
+
+const { TEMP_MINIMUM, TEMP_MAXIMUM, TEMP_OFF, HOT_WATER_ON, SCHEDULE_DAYS, SCHEDULE_MAX_SLOTS } = require('./constants')
+
+/** Schedule type used by hot water schedules */
+const HOT_WATER_TYPE = 'HotWater'
+
+/** Shorthand day keys and the controller days they expand to */
+const SHORTHANDS = {
+    all: SCHEDULE_DAYS,
+    weekdays: SCHEDULE_DAYS.slice(0, 5),
+    weekends: SCHEDULE_DAYS.slice(5),
+}
+
+/** Every friendly day key, shorthands first (the order they are applied in) */
+const FRIENDLY_DAYS = Object.keys(SHORTHANDS).concat( SCHEDULE_DAYS.map( day => day.toLowerCase() ) )
+
+/** Convert "HH:mm" (or "HH:mm:ss") to seconds from midnight
+ * @param {string} time Time of day (24hr)
+ * @return {number} Seconds from midnight or NaN if not a valid time
+ */
+const parseTime = (time) => {
+    const m = typeof time === 'string' ? time.match(/^\s*([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?\s*$/) : null
+    if ( !m ) return NaN
+    return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] || 0)
+}
+
+/** Convert seconds from midnight to "HH:mm" ("HH:mm:ss" if there are any seconds so that nothing is lost)
+ * @param {number} secs Seconds from midnight
+ * @return {string} Time of day (24hr)
+ */
+const formatTime = (secs) => {
+    const pad = n => String(n).padStart(2, '0')
+    const out = `${pad(Math.floor(secs / 3600))}:${pad(Math.floor(secs % 3600 / 60))}`
+    return secs % 60 === 0 ? out : `${out}:${pad(secs % 60)}`
+}
+
+/** Return the next time (after `from`) that a daily local time of day occurs
+ * Uses local time so daylight saving changes are handled: a time that does not exist on the day the clocks go
+ * forward happens as soon as the clocks have changed, a time that happens twice when the clocks go back only counts once.
+ * @param {string} time Time of day "HH:mm" (24hr)
+ * @param {Date} [from] Start from this time. Optional, default now
+ * @return {Date|null} Next occurrence or null if time is invalid
+ */
+const nextDailyTime = (time, from=new Date()) => {
+    const secs = parseTime(time)
+    if ( Number.isNaN(secs) ) return null
+
+    const h = Math.floor(secs / 3600)
+    const m = Math.floor(secs % 3600 / 60)
+    for ( let day = 0; day < 3; day++ ) {
+        const next = new Date(from.getFullYear(), from.getMonth(), from.getDate() + day, h, m)
+        if ( next > from ) return next
+    }
+    return null
+}
+
+/** Convert a friendly temperature (°C, 'off' or, for hot water, 'on') to °C
+ * @param {number|string} temp Temperature
+ * @param {boolean} [hotWater] True for a hot water schedule. Optional, default false
+ * @return {number} °C (TEMP_OFF for 'off', HOT_WATER_ON for 'on')
+ */
+const slotTemp = (temp, hotWater=false) => {
+    const name = typeof temp === 'string' ? temp.toLowerCase() : undefined
+    if ( name === 'off' ) return TEMP_OFF
+    if ( hotWater && name === 'on' ) return HOT_WATER_ON
+    return temp
+}
+
+/** Is this a hot water schedule? Either its type says so or it uses the hot water "on" set point
+ * @param {Object} hubSchedule Schedule in controller format
+ * @return {boolean} True for a hot water schedule
+ */
+const isHotWater = (hubSchedule) => {
+    if ( hubSchedule.Type !== undefined ) return hubSchedule.Type === HOT_WATER_TYPE
+    return SCHEDULE_DAYS.some( day => {
+        return hubSchedule[day] && Array.isArray(hubSchedule[day].SetPoints) && hubSchedule[day].SetPoints.some( sp => sp.DegreesC === HOT_WATER_ON * 10 )
+    })
+}
+
+/** Is this a schedule in the friendly format?
+ * @param {Object} sched Schedule object
+ * @return {boolean} True if any of the keys is a friendly day key
+ */
+const isFriendly = (sched) => {
+    if ( sched === null || typeof sched !== 'object' ) return false
+    return Object.keys(sched).some( key => FRIENDLY_DAYS.includes(key) )
+}
+
+/** Expand a friendly schedule's day keys (including shorthands) to controller day names
+ * @param {Object} friendly Friendly schedule
+ * @return {Object<string, Array<{time: string, temp: number|string}>>} Slots by controller day name (only days given)
+ */
+const expandDays = (friendly) => {
+    const out = {}
+    FRIENDLY_DAYS.forEach( fday => {
+        if ( friendly[fday] === undefined ) return
+        const days = SHORTHANDS[fday] || [ SCHEDULE_DAYS.find( day => day.toLowerCase() === fday ) ]
+        days.forEach( day => { out[day] = friendly[fday] } )
+    })
+    return out
+}
+
+/** Convert a schedule from the controller format to the friendly format
+ * @param {Object} hubSchedule Schedule in controller format
+ * @param {boolean} [compact] Use the `all`, `weekdays` and `weekends` shorthands where the days are the same. Optional, default false
+ * @return {Object} Schedule in friendly format
+ */
+const fromHub = (hubSchedule, compact=false) => {
+    const out = {}
+    const hotWater = isHotWater(hubSchedule)
+    if ( hubSchedule.id !== undefined ) out.id = hubSchedule.id
+    if ( hotWater ) out.type = HOT_WATER_TYPE
+    else if ( hubSchedule.Type !== undefined ) out.type = hubSchedule.Type
+
+    const days = {}
+    SCHEDULE_DAYS.forEach( day => {
+        if ( !hubSchedule[day] || !Array.isArray(hubSchedule[day].SetPoints) ) return
+        days[day] = hubSchedule[day].SetPoints
+            .slice()
+            .sort( (a, b) => a.Time - b.Time )
+            .map( sp => ({ time: formatTime(sp.Time), temp: hotWater ? (sp.DegreesC > 0 ? 'on' : 'off') : sp.DegreesC / 10 }) )
+    })
+
+    /** Are all of the listed days present and the same? */
+    const same = list => list.every( day => days[day] !== undefined && JSON.stringify(days[day]) === JSON.stringify(days[list[0]]) )
+
+    let remaining = Object.keys(days)
+    if ( compact ) {
+        ['all', 'weekdays', 'weekends'].forEach( shorthand => {
+            const list = SHORTHANDS[shorthand]
+            if ( list.every( day => remaining.includes(day) ) && same(list) ) {
+                out[shorthand] = days[list[0]]
+                remaining = remaining.filter( day => !list.includes(day) )
+            }
+        })
+    }
+    remaining.forEach( day => { out[day.toLowerCase()] = days[day] } )
+
+    return out
+}
+
+/** Convert a schedule from the friendly format to the controller format
+ * Call validate() first, invalid slots are not checked here.
+ * @param {Object} friendly Schedule in friendly format
+ * @return {Object} Schedule in controller format (only the days given are included)
+ */
+const toHub = (friendly) => {
+    const out = {}
+    if ( friendly.id !== undefined ) out.id = friendly.id
+    out.Type = friendly.type || 'Heating'
+
+    const hotWater = out.Type === HOT_WATER_TYPE
+    const days = expandDays(friendly)
+    SCHEDULE_DAYS.forEach( day => {
+        if ( days[day] === undefined ) return
+        out[day] = {
+            SetPoints: days[day]
+                .map( slot => ({ Time: parseTime(slot.time), DegreesC: Math.round(slotTemp(slot.temp, hotWater) * 10) }) )
+                .sort( (a, b) => a.Time - b.Time ),
+        }
+    })
+
+    return out
+}
+
+/** Check that a friendly schedule is valid. Hot water slots must be 'on' or 'off'
+ * @param {Object} friendly Schedule in friendly format
+ * @param {Object} [options] Optional limits
+ * @param {number} [options.maxBoost] Max temperature (°C) allowed. Default TEMP_MAXIMUM
+ * @param {number} [options.maxSlots] Max slots per day. Default SCHEDULE_MAX_SLOTS
+ * @return {{valid: boolean, errors: Array<string>}} Result, errors lists every problem found
+ */
+const validate = (friendly, {maxBoost=TEMP_MAXIMUM, maxSlots=SCHEDULE_MAX_SLOTS} = {}) => {
+    const errors = []
+
+    if ( friendly === null || typeof friendly !== 'object' || Array.isArray(friendly) ) {
+        return { valid: false, errors: ['Schedule must be an object'] }
+    }
+
+    const hotWater = friendly.type === HOT_WATER_TYPE
+    const dayKeys = Object.keys(friendly).filter( key => key !== 'id' && key !== 'type' )
+    if ( dayKeys.length < 1 ) errors.push('Schedule has no days')
+
+    dayKeys.forEach( key => {
+        if ( !FRIENDLY_DAYS.includes(key) ) {
+            errors.push(`Invalid day name: ${key}, must be one of: [${FRIENDLY_DAYS.join(', ')}]`)
+            return
+        }
+
+        const slots = friendly[key]
+        if ( !Array.isArray(slots) ) {
+            errors.push(`${key} must be an array of {time, temp} slots`)
+            return
+        }
+        if ( slots.length > maxSlots ) errors.push(`${key} has ${slots.length} slots, the maximum is ${maxSlots}`)
+
+        const seen = {}
+        slots.forEach( (slot, i) => {
+            const secs = parseTime(slot && slot.time)
+            if ( Number.isNaN(secs) ) {
+                errors.push(`${key} slot ${i} has an invalid time (${slot && slot.time}), must be "HH:mm"`)
+            } else if ( seen[secs] !== undefined ) {
+                errors.push(`${key} slot ${i} overlaps slot ${seen[secs]} (both at ${formatTime(secs)})`)
+            } else {
+                seen[secs] = i
+            }
+
+            const temp = slotTemp(slot && slot.temp, hotWater)
+            if ( hotWater ) {
+                if ( temp !== HOT_WATER_ON && temp !== TEMP_OFF ) errors.push(`${key} slot ${i} must be 'on' or 'off' (${slot && slot.temp})`)
+            } else if ( typeof temp !== 'number' || !isFinite(temp) ) {
+                errors.push(`${key} slot ${i} has an invalid temperature (${slot && slot.temp})`)
+            } else if ( temp !== TEMP_OFF ) {
+                if ( temp < TEMP_MINIMUM || temp > TEMP_MAXIMUM ) {
+                    errors.push(`${key} slot ${i} temperature ${temp}°C is outside ${TEMP_MINIMUM}-${TEMP_MAXIMUM}°C`)
+                } else if ( temp > maxBoost ) {
+                    errors.push(`${key} slot ${i} temperature ${temp}°C is above the max. allowed (${maxBoost}°C)`)
+                }
+                if ( Math.round(temp * 10) !== Number((temp * 10).toFixed(6)) ) {
+                    errors.push(`${key} slot ${i} temperature ${temp}°C has more than 1 decimal place`)
+                }
+            }
+        })
+    })
+
+    return { valid: errors.length === 0, errors }
+}
+
+module.exports = {
+    FRIENDLY_DAYS,
+    HOT_WATER_TYPE,
+    parseTime,
+    formatTime,
+    nextDailyTime,
+    isFriendly,
+    isHotWater,
+    expandDays,
+    fromHub,
+    toHub,
+    validate,
+}
+
+//EOF
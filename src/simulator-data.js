@@ -0,0 +1,214 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+/** Default data for the hub simulator (see simulator.js)
+ * Based on the shape of the data returned by a real controller. Temperatures are wiser temperatures (°C x 10),
+ * schedule times are seconds from midnight. Computed values (set points, demand, timestamps) are
+ * recalculated by the simulator so the values here are only starting points.
+ */
+
+/** Build a schedule that is the same for every day of the week
+ * @param {number} id Schedule ID
+ * @param {Array<Array<number>>} setPoints Array of [seconds from midnight, wiser temperature] pairs
+ * @param {string} [type] Schedule type. Optional, default 'Heating'
+ * @return {Object} Schedule entry in controller format
+ */
+const everyDay = (id, setPoints, type='Heating') => {
+    const schedule = { id: id, Type: type }
+    ;['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'].forEach( day => {
+        schedule[day] = {
+            SetPoints: setPoints.map( sp => ({ Time: sp[0], DegreesC: sp[1] }) ),
+        }
+    })
+    return schedule
+}
+
+/** Build a device entry
+ * @param {number} id Device ID
+ * @param {string} productType iTRV, RoomStat or Controller
+ * @return {Object} Device entry in controller format
+ */
+const device = (id, productType) => {
+    const dev = {
+        id: id,
+        NodeId: 1000 + id,
+        ProductType: productType,
+        ProductIdentifier: productType,
+        ActiveFirmwareVersion: '0201000000',
+        ModelIdentifier: productType === 'iTRV' ? 'iTRV' : productType,
+        DeviceLockEnabled: false,
+        DisplayedSignalStrength: 'Good',
+        ReceptionOfController: { Rssi: -60, Lqi: 140 },
+        ReceptionOfDevice: { Rssi: -58, Lqi: 148 },
+        PendingZigbeeMessageMask: 0,
+    }
+    if ( productType !== 'Controller' ) {
+        dev.BatteryVoltage = 30
+        dev.BatteryLevel = 'Normal'
+    }
+    return dev
+}
+
+/** Return a fresh copy of the default simulator data
+ * @return {{domain: Object, network: Object}} Domain (/data/domain/) and network (/data/network/) data
+ */
+const defaultData = () => {
+    const rooms = [
+        { id: 1, Name: 'Lounge', ScheduleId: 1, RoomStatId: 20, SmartValveIds: [10, 11], CalculatedTemperature: 195 },
+        { id: 2, Name: 'Kitchen', ScheduleId: 2, SmartValveIds: [12], CalculatedTemperature: 188 },
+        { id: 3, Name: 'Bedroom', ScheduleId: 3, SmartValveIds: [13], CalculatedTemperature: 172 },
+        { id: 4, Name: 'Bathroom', ScheduleId: 4, SmartValveIds: [14], CalculatedTemperature: 201 },
+        { id: 8, Name: 'Office', ScheduleId: 8, SmartValveIds: [15], CalculatedTemperature: 183 },
+    ].map( room => Object.assign({
+        ManualSetPoint: 200,
+        HeatingRate: 1200,
+        Mode: 'Auto',
+        DemandType: 'Modulating',
+        WindowDetectionActive: false,
+        ControlSequenceOfOperation: 'HeatingOnly',
+        HeatingType: 'HydronicRadiator',
+        CurrentSetPoint: 200,
+        ScheduledSetPoint: 200,
+        DisplayedSetPoint: 200,
+        SetpointOrigin: 'FromSchedule',
+        PercentageDemand: 0,
+        ControlOutputState: 'Off',
+        AwayModeSuppressed: false,
+    }, room) )
+
+    return {
+        domain: {
+            System: {
+                UnixTime: 0,
+                LocalDateAndTime: {},
+                BrandName: 'WiserHeat',
+                ActiveSystemVersion: '3.8.8-simulator',
+                ZigbeeModuleVersion: '0x0000',
+                HeatingButtonOverrideState: 'Off',
+                HotWaterButtonOverrideState: 'Off',
+                AwayModeAffectsHotWater: true,
+                AwayModeSetPointLimit: 150,
+                ValveProtectionEnabled: false,
+                EcoModeEnabled: false,
+                ComfortModeEnabled: false,
+                PairingStatus: 'Idle',
+                FotaEnabled: true,
+                TimeZoneOffset: 0,
+                Timezone: 'UTC',
+            },
+            Cloud: {
+                WiserApiHost: 'api-nl.wiserair.com',
+                BootStrapApiHost: 'bootstrap.gl.struxurewarecloud.com',
+                DetailedPublishing: false,
+                EnableFullLogging: false,
+            },
+            HeatingChannel: [
+                {
+                    id: 1,
+                    Name: 'Channel-1',
+                    RoomIds: rooms.map( room => room.id ),
+                    PercentageDemand: 0,
+                    DemandOnOffOutput: 'Off',
+                    HeatingRelayState: 'Off',
+                    IsSmartValvePreventingDemand: false,
+                },
+            ],
+            Room: rooms,
+            HotWater: [
+                {
+                    id: 2,
+                    ScheduleId: 1000,
+                    Mode: 'Auto',
+                    WaterHeatingState: 'Off',
+                    HotWaterRelayState: 'Off',
+                    HotWaterDescription: 'FromSchedule',
+                },
+            ],
+            Device: [
+                device(0, 'Controller'),
+                device(10, 'iTRV'),
+                device(11, 'iTRV'),
+                device(12, 'iTRV'),
+                device(13, 'iTRV'),
+                device(14, 'iTRV'),
+                device(15, 'iTRV'),
+                device(20, 'RoomStat'),
+            ],
+            Zigbee: {
+                NetworkChannel: 11,
+                ModuleVersion: '0x0000',
+                JPANCount: 0,
+            },
+            UpgradeInfo: [],
+            SmartValve: [10, 11, 12, 13, 14, 15].map( id => ({
+                id: id,
+                SetpointOrigin: 'FromSchedule',
+                MountingOrientation: 'Vertical',
+                SetPoint: 200,
+                MeasuredTemperature: 190,
+                PercentageDemand: 0,
+                WindowState: 'Closed',
+                ExternalRoomStatTemperature: 0,
+            }) ),
+            RoomStat: [
+                {
+                    id: 20,
+                    SetPoint: 200,
+                    MeasuredTemperature: 195,
+                    MeasuredHumidity: 52,
+                },
+            ],
+            DeviceCapabilityMatrix: {
+                Roomstat: true,
+                ITRV: true,
+                SmartPlug: true,
+                UFH: false,
+                UFHFloorTempSensor: false,
+                UFHDewSensor: false,
+                HACT: false,
+                LACT: false,
+            },
+            Schedule: [
+                // 06:30 21°C, 09:00 18°C, 17:00 21°C, 22:30 16°C
+                everyDay(1, [[23400, 210], [32400, 180], [61200, 210], [81000, 160]]),
+                everyDay(2, [[23400, 200], [32400, 170], [61200, 200], [81000, 150]]),
+                // 07:00 19°C, 22:00 15°C
+                everyDay(3, [[25200, 190], [79200, 150]]),
+                // 06:00 22°C, 08:30 16°C, 19:00 22°C, 21:30 16°C
+                everyDay(4, [[21600, 220], [30600, 160], [68400, 220], [77400, 160]]),
+                // 08:00 20°C, 18:00 16°C
+                everyDay(8, [[28800, 200], [64800, 160]]),
+                // Hot water on (1100) 06:00-08:30 and 17:00-22:00
+                everyDay(1000, [[21600, 1100], [30600, -200], [61200, 1100], [79200, -200]], 'HotWater'),
+            ],
+        },
+        network: {
+            Station: {
+                Enabled: true,
+                SSID: 'simulator',
+                Status: 'Connected',
+                DhcpStatus: { Status: 'Finished', IPv4Address: '127.0.0.1' },
+                RSSI: { Current: -55, Min: -70, Max: -40 },
+            },
+            mDNS: { Hostname: 'WiserHeatSIM' },
+        },
+    }
+}
+
+module.exports = defaultData
+
+//EOF
@@ -0,0 +1,694 @@
+/*
+  Copyright (c) 2020 Julian Knight (Totally Information)
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+'use strict'
+
+const http = require('http')
+const defaultData = require('./simulator-data')
+
+/** Days of the week in the order used by JavaScript's Date.getDay() */
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+/** Month names as used in System.LocalDateAndTime */
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+/** Wiser "off" setpoint temperature (wiser temperature, °C x 10) */
+const WISER_OFF = -200
+/** Increase applied to every room by the boostAllRooms system override (wiser temperature, °C x 10) */
+const BOOST_ALL_INCREASE = 20
+/** Default duration of the boostAllRooms system override (minutes) */
+const BOOST_ALL_DURATION = 30
+/** System RequestOverride types understood by the simulator */
+const SYSTEM_OVERRIDE_NORMAL = 0
+const SYSTEM_OVERRIDE_AWAY = 2
+const SYSTEM_OVERRIDE_BOOST_ALL = 4
+const SYSTEM_OVERRIDE_CANCEL_ALL = 5
+
+/** Closure for a local stand-in for a Drayton Wiser controller hub
+ * Serves `/data/domain/` and `/data/network/` (and everything below them), checks the `SECRET` header
+ * and applies PATCH requests to Rooms, HotWater, Schedules and the System in the same way as the real hub.
+ * New schedules can be created with a POST to `/data/domain/Schedule/`.
+ * Use as `const sim = require('node-drayton-wiser/src/simulator')({secret:'abc'}); sim.start().then( port => {...})`
+ * @param {Object} [options] Optional settings
+ * @param {string} [options.secret] SECRET header value the simulator will accept. Default 'simulator'
+ * @param {number} [options.port] TCP port to listen on. Default 0 (any free port)
+ * @param {string} [options.host] Address to listen on. Default '127.0.0.1'
+ * @param {{domain: Object, network: Object}} [options.data] Starting data. Default is a small five room house
+ * @return {Object} Public interfaces
+ */
+const Simulator = function({secret='simulator', port=0, host='127.0.0.1', data=undefined} = {}) {
+    //#region ---- Private Variables ---- //
+
+    /** Current hub data, modified by PATCH requests */
+    const state = data ? JSON.parse(JSON.stringify(data)) : defaultData()
+
+    /** Offset (ms) added to the real clock - see advance() */
+    let clockOffset = 0
+
+    /** Expiry times (unix seconds) of manual overrides that end at the next schedule change, by room id */
+    const nextChangeExpiry = {}
+    /** As nextChangeExpiry, by hot water id */
+    const hotWaterChangeExpiry = {}
+
+    /** Fault injection rules - see fault() */
+    let faults = []
+
+    /** Count of requests received by method */
+    const requestCounts = { GET: 0, PATCH: 0, total: 0 }
+
+    /** The http server once started */
+    let server = null
+    /** Open sockets so that stop() does not wait for keep-alive connections */
+    const sockets = new Set()
+    /** Requests held open by a timeout fault */
+    const heldResponses = new Set()
+
+    //#endregion ---- Private Variables ---- //
+
+    //#region ---- Private Functions ---- //
+
+    /** Current simulator time in ms */
+    const now = () => Date.now() + clockOffset
+
+    /** Current simulator time in unix seconds */
+    const nowUnix = () => Math.floor(now() / 1000)
+
+    /** Return the scheduled set point for a room (or hot water) at the current simulator time
+     * @param {Object} room Room or HotWater entry
+     * @return {number|undefined} Wiser temperature or undefined if the room has no schedule
+     */
+    const scheduledSetPoint = (room) => {
+        const schedule = (state.domain.Schedule || []).find( sch => sch.id === room.ScheduleId )
+        if ( !schedule ) return undefined
+
+        const date = new Date(now())
+        const secs = date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds()
+
+        // Today's last set point before now, otherwise the last set point of the previous days
+        for ( let back = 0; back < 7; back++ ) {
+            const day = schedule[ DAYS[ (date.getDay() + 7 - back) % 7 ] ]
+            const setPoints = (day && day.SetPoints) ? day.SetPoints.slice().sort( (a, b) => a.Time - b.Time ) : []
+            const past = back === 0 ? setPoints.filter( sp => sp.Time <= secs ) : setPoints
+            if ( past.length > 0 ) return past[past.length - 1].DegreesC
+        }
+        return undefined
+    }
+
+    /** Return the unix time of the next schedule change for a room (or hot water)
+     * @param {Object} room Room or HotWater entry
+     * @return {number|undefined} Unix seconds or undefined if the room has no schedule
+     */
+    const nextScheduleChange = (room) => {
+        const schedule = (state.domain.Schedule || []).find( sch => sch.id === room.ScheduleId )
+        if ( !schedule ) return undefined
+
+        const date = new Date(now())
+        const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+        const secs = Math.floor( (now() - midnight) / 1000 )
+
+        for ( let fwd = 0; fwd < 8; fwd++ ) {
+            const day = schedule[ DAYS[ (date.getDay() + fwd) % 7 ] ]
+            const setPoints = (day && day.SetPoints) ? day.SetPoints.slice().sort( (a, b) => a.Time - b.Time ) : []
+            const next = fwd === 0 ? setPoints.find( sp => sp.Time > secs ) : setPoints[0]
+            if ( next ) {
+                const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() + fwd).getTime()
+                return Math.floor(dayStart / 1000) + next.Time
+            }
+        }
+        return undefined
+    }
+
+    /** Remove any override from a room */
+    const clearOverride = (room) => {
+        delete room.OverrideType
+        delete room.OverrideSetpoint
+        delete room.OverrideTimeoutUnixTime
+        delete nextChangeExpiry[room.id]
+    }
+
+    /** Remove any override from a hot water channel */
+    const clearHotWaterOverride = (hw) => {
+        delete hw.OverrideType
+        delete hw.OverrideSetpoint
+        delete hw.OverrideTimeoutUnixTime
+        delete hotWaterChangeExpiry[hw.id]
+    }
+
+    /** Recalculate the computed values of the rooms, valves, roomstats, heating channels and system */
+    const recalculate = () => {
+        const d = state.domain
+        const unixNow = nowUnix()
+
+        ;(d.Room || []).forEach( room => {
+            // Boosts and manual overrides expire
+            if ( room.OverrideTimeoutUnixTime !== undefined && room.OverrideTimeoutUnixTime <= unixNow ) clearOverride(room)
+            if ( nextChangeExpiry[room.id] !== undefined && nextChangeExpiry[room.id] <= unixNow ) clearOverride(room)
+
+            const sch = scheduledSetPoint(room)
+            if ( sch !== undefined ) room.ScheduledSetPoint = sch
+
+            if ( room.OverrideType === 'Manual' ) {
+                room.CurrentSetPoint = room.OverrideSetpoint
+                room.SetpointOrigin = room.OverrideTimeoutUnixTime !== undefined ? 'FromBoost' : 'FromManualOverride'
+            } else if ( room.Mode === 'Manual' ) {
+                room.CurrentSetPoint = room.ManualSetPoint
+                room.SetpointOrigin = 'FromManualMode'
+            } else {
+                room.CurrentSetPoint = room.ScheduledSetPoint
+                room.SetpointOrigin = 'FromSchedule'
+            }
+
+            // Away mode limits everything apart from overrides and rooms that suppress it
+            if ( d.System.OverrideType === 'Away' && room.OverrideType !== 'Manual' && !room.AwayModeSuppressed ) {
+                if ( room.CurrentSetPoint > d.System.AwayModeSetPointLimit ) {
+                    room.CurrentSetPoint = d.System.AwayModeSetPointLimit
+                    room.SetpointOrigin = 'FromAwayMode'
+                }
+            }
+
+            room.DisplayedSetPoint = room.CurrentSetPoint
+            room.PercentageDemand = (room.CurrentSetPoint !== WISER_OFF && room.CalculatedTemperature < room.CurrentSetPoint) ? 100 : 0
+            room.ControlOutputState = room.PercentageDemand > 0 ? 'On' : 'Off'
+
+            ;(room.SmartValveIds || []).forEach( trvId => {
+                const trv = (d.SmartValve || []).find( v => v.id === trvId )
+                if ( trv ) {
+                    trv.SetPoint = room.CurrentSetPoint
+                    trv.SetpointOrigin = room.SetpointOrigin
+                    trv.PercentageDemand = room.PercentageDemand
+                }
+            })
+
+            if ( room.RoomStatId !== undefined ) {
+                const stat = (d.RoomStat || []).find( rs => rs.id === room.RoomStatId )
+                if ( stat ) stat.SetPoint = room.CurrentSetPoint
+            }
+        })
+
+        ;(d.HotWater || []).forEach( hw => {
+            if ( hw.OverrideTimeoutUnixTime !== undefined && hw.OverrideTimeoutUnixTime <= unixNow ) clearHotWaterOverride(hw)
+            if ( hotWaterChangeExpiry[hw.id] !== undefined && hotWaterChangeExpiry[hw.id] <= unixNow ) clearHotWaterOverride(hw)
+
+            // Overrides win, manual mode without one is off. Away mode turns the schedule off if it affects hot water
+            let on
+            if ( hw.OverrideType === 'Manual' ) {
+                on = hw.OverrideSetpoint > 0
+                hw.HotWaterDescription = hw.OverrideTimeoutUnixTime !== undefined ? 'FromBoost' : 'FromManualOverride'
+            } else if ( hw.Mode === 'Manual' ) {
+                on = false
+                hw.HotWaterDescription = 'FromManualMode'
+            } else if ( d.System.OverrideType === 'Away' && d.System.AwayModeAffectsHotWater ) {
+                on = false
+                hw.HotWaterDescription = 'FromAwayMode'
+            } else {
+                on = scheduledSetPoint(hw) > 0
+                hw.HotWaterDescription = 'FromSchedule'
+            }
+            hw.WaterHeatingState = on ? 'On' : 'Off'
+            hw.HotWaterRelayState = hw.WaterHeatingState
+        })
+
+        ;(d.HeatingChannel || []).forEach( channel => {
+            const rooms = (d.Room || []).filter( room => (channel.RoomIds || []).includes(room.id) )
+            channel.PercentageDemand = rooms.reduce( (max, room) => Math.max(max, room.PercentageDemand), 0 )
+            channel.DemandOnOffOutput = channel.PercentageDemand > 0 ? 'On' : 'Off'
+            channel.HeatingRelayState = channel.DemandOnOffOutput
+        })
+
+        const date = new Date(now())
+        d.System.UnixTime = unixNow
+        d.System.LocalDateAndTime = {
+            Year: date.getFullYear(),
+            Month: MONTHS[date.getMonth()],
+            Date: date.getDate(),
+            Day: DAYS[date.getDay()],
+            Time: date.getHours() * 100 + date.getMinutes(),
+        }
+    }
+
+    /** Apply a Room RequestOverride in the same way as the hub
+     * @param {Object} room Room entry
+     * @param {Object} override RequestOverride from the PATCH payload
+     */
+    const applyRoomOverride = (room, override) => {
+        if ( override.Type === 'Manual' ) {
+            const duration = Number(override.DurationMinutes) || 0
+            if ( duration > 0 ) {
+                // Boost - runs for the given duration regardless of mode
+                clearOverride(room)
+                room.OverrideType = 'Manual'
+                room.OverrideSetpoint = override.SetPoint
+                room.OverrideTimeoutUnixTime = nowUnix() + duration * 60
+            } else if ( room.Mode === 'Manual' ) {
+                // In manual mode, an override without a duration simply changes the manual set point
+                clearOverride(room)
+                room.ManualSetPoint = override.SetPoint
+            } else {
+                // In auto mode, an override without a duration lasts until the next schedule change
+                clearOverride(room)
+                room.OverrideType = 'Manual'
+                room.OverrideSetpoint = override.SetPoint
+                const expiry = nextScheduleChange(room)
+                if ( expiry !== undefined ) nextChangeExpiry[room.id] = expiry
+            }
+        } else {
+            // 'None' (or anything else) cancels the override
+            clearOverride(room)
+        }
+    }
+
+    /** Apply a PATCH to a Room
+     * @param {Object} room Room entry
+     * @param {Object} payload PATCH payload
+     * @return {string|null} Error message or null if OK
+     */
+    const patchRoom = (room, payload) => {
+        if ( payload.ScheduleId !== undefined && !(state.domain.Schedule || []).some( sch => sch.id === payload.ScheduleId ) ) {
+            return `Unknown ScheduleId ${payload.ScheduleId}`
+        }
+
+        if ( payload.Mode !== undefined ) {
+            if ( !['Auto', 'Manual'].includes(payload.Mode) ) return `Invalid Mode ${payload.Mode}`
+            if ( payload.Mode === 'Manual' && room.Mode !== 'Manual' ) room.ManualSetPoint = room.CurrentSetPoint
+            room.Mode = payload.Mode
+        }
+        if ( payload.RequestOverride !== undefined ) applyRoomOverride(room, payload.RequestOverride)
+
+        // Anything else is simply stored (e.g. Name, ScheduleId)
+        Object.keys(payload).forEach( key => {
+            if ( key !== 'Mode' && key !== 'RequestOverride' ) room[key] = payload[key]
+        })
+        return null
+    }
+
+    /** Apply a PATCH to a hot water channel. Overrides are as for rooms, SetPoint 1100 is on and -200 is off
+     * @param {Object} hw HotWater entry
+     * @param {Object} payload PATCH payload
+     * @return {string|null} Error message or null if OK
+     */
+    const patchHotWater = (hw, payload) => {
+        if ( payload.Mode !== undefined ) {
+            if ( !['Auto', 'Manual'].includes(payload.Mode) ) return `Invalid Mode ${payload.Mode}`
+            hw.Mode = payload.Mode
+        }
+        if ( payload.RequestOverride !== undefined ) {
+            const override = payload.RequestOverride
+            clearHotWaterOverride(hw)
+            if ( override.Type === 'Manual' ) {
+                const duration = Number(override.DurationMinutes) || 0
+                hw.OverrideType = 'Manual'
+                hw.OverrideSetpoint = override.SetPoint
+                if ( duration > 0 ) {
+                    hw.OverrideTimeoutUnixTime = nowUnix() + duration * 60
+                } else if ( hw.Mode !== 'Manual' ) {
+                    // In auto mode, an override without a duration lasts until the next schedule change
+                    const expiry = nextScheduleChange(hw)
+                    if ( expiry !== undefined ) hotWaterChangeExpiry[hw.id] = expiry
+                }
+            }
+        }
+
+        Object.keys(payload).forEach( key => {
+            if ( key !== 'Mode' && key !== 'RequestOverride' ) hw[key] = payload[key]
+        })
+        return null
+    }
+
+    /** Apply a PATCH to the System
+     * @param {Object} payload PATCH payload
+     * @return {string|null} Error message or null if OK
+     */
+    const patchSystem = (payload) => {
+        const system = state.domain.System
+
+        if ( payload.RequestOverride !== undefined ) {
+            const override = payload.RequestOverride
+            switch (override.Type) {
+                case SYSTEM_OVERRIDE_NORMAL: {
+                    delete system.OverrideType
+                    break
+                }
+                case SYSTEM_OVERRIDE_AWAY: {
+                    system.OverrideType = 'Away'
+                    break
+                }
+                case SYSTEM_OVERRIDE_BOOST_ALL: {
+                    const duration = Number(override.DurationMinutes) || BOOST_ALL_DURATION
+                    state.domain.Room.forEach( room => {
+                        if ( room.CurrentSetPoint === WISER_OFF ) return
+                        applyRoomOverride(room, {
+                            Type: 'Manual',
+                            SetPoint: room.CurrentSetPoint + BOOST_ALL_INCREASE,
+                            DurationMinutes: duration,
+                        })
+                    })
+                    break
+                }
+                case SYSTEM_OVERRIDE_CANCEL_ALL: {
+                    delete system.OverrideType
+                    state.domain.Room.forEach( clearOverride )
+                    break
+                }
+                default: {
+                    return `Invalid System RequestOverride Type ${override.Type}`
+                }
+            }
+        }
+
+        Object.keys(payload).forEach( key => {
+            if ( key !== 'RequestOverride' ) system[key] = payload[key]
+        })
+        return null
+    }
+
+    /** Apply a PATCH to a Schedule - each day given replaces that day's set points
+     * @param {Object} schedule Schedule entry
+     * @param {Object} payload PATCH payload, e.g. `{Monday: {SetPoints: [{Time: 23400, DegreesC: 210}]}}`
+     * @return {string|null} Error message or null if OK
+     */
+    const patchSchedule = (schedule, payload) => {
+        const keys = Object.keys(payload)
+        for ( const key of keys ) {
+            if ( key === 'id' || key === 'Type' ) continue
+            if ( !DAYS.includes(key) ) return `Invalid schedule day ${key}`
+            const setPoints = payload[key] && payload[key].SetPoints
+            if ( !Array.isArray(setPoints) ) return `Schedule day ${key} has no SetPoints array`
+            const bad = setPoints.find( sp => !Number.isInteger(sp.Time) || sp.Time < 0 || sp.Time >= 86400 || typeof sp.DegreesC !== 'number' )
+            if ( bad ) return `Invalid set point on ${key}: ${JSON.stringify(bad)}`
+        }
+        keys.forEach( key => {
+            if ( DAYS.includes(key) ) schedule[key] = { SetPoints: payload[key].SetPoints.map( sp => ({ Time: sp.Time, DegreesC: sp.DegreesC }) ) }
+        })
+        return null
+    }
+
+    /** Create a new Schedule (POST), the hub allocates the id
+     * @param {Object} payload POST payload, days as for patchSchedule plus an optional Type
+     * @return {Object|string} The new schedule or an error message
+     */
+    const createSchedule = (payload) => {
+        const schedules = state.domain.Schedule
+        const id = schedules.reduce( (max, sch) => Math.max(max, sch.id), 0 ) + 1
+        const sched = { id: id, Type: payload.Type || 'Heating' }
+        const error = patchSchedule(sched, payload)
+        if ( error ) return error
+        schedules.push(sched)
+        return sched
+    }
+
+    /** Walk the data to the given path segments
+     * @param {Object} root Data root
+     * @param {Array<string>} segments Path segments, a numeric segment selects an array entry by id
+     * @return {*} The data at that path or undefined
+     */
+    const walk = (root, segments) => {
+        let node = root
+        for ( const seg of segments ) {
+            if ( node === undefined || node === null ) return undefined
+            if ( Array.isArray(node) && /^\d+$/.test(seg) ) node = node.find( entry => entry.id === Number(seg) )
+            else node = node[seg]
+        }
+        return node
+    }
+
+    /** Find the first fault matching the request and use up one of its counts
+     * @param {http.IncomingMessage} req Request
+     * @return {Object|undefined} Matching fault
+     */
+    const matchFault = (req) => {
+        const found = faults.find( f => {
+            if ( f.method && f.method.toUpperCase() !== req.method ) return false
+            if ( f.path instanceof RegExp ) return f.path.test(req.url)
+            if ( f.path ) return req.url.startsWith(f.path)
+            return true
+        })
+        if ( found ) {
+            found.count--
+            if ( found.count <= 0 ) faults = faults.filter( f => f !== found )
+        }
+        return found
+    }
+
+    /** Send a JSON response */
+    const send = (res, status, body) => {
+        const text = body === undefined ? '' : JSON.stringify(body)
+        res.writeHead(status, { 'Content-Type': 'application/json' })
+        res.end(text)
+    }
+
+    /** Respond to a request according to an injected fault
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     * @param {Object} fault Matching fault rule
+     * @param {string} body Request body
+     */
+    const sendFault = (req, res, fault, body) => {
+        switch (fault.type) {
+            case 'timeout': {
+                // Never respond. Drop the connection after `delay` ms (if given) or when the simulator stops
+                heldResponses.add(res)
+                if ( fault.delay ) {
+                    setTimeout(() => {
+                        heldResponses.delete(res)
+                        req.socket.destroy()
+                    }, fault.delay)
+                }
+                break
+            }
+            case 'disconnect': {
+                req.socket.destroy()
+                break
+            }
+            case 'unauthorized': {
+                send(res, 401)
+                break
+            }
+            case 'malformed': {
+                res.writeHead(200, { 'Content-Type': 'application/json' })
+                res.end('{"System":{"UnixTime":')
+                break
+            }
+            case 'slow': {
+                setTimeout(() => respond(req, res, body), fault.delay || 1000)
+                break
+            }
+            default: {
+                // 'error' or anything else
+                send(res, fault.status || 500, { error: fault.message || 'Simulated hub error' })
+                break
+            }
+        }
+    }
+
+    /** Handle a request - count it and check for faults once the body has been read
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     */
+    const handle = (req, res) => {
+        let body = ''
+        req.setEncoding('utf8')
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            requestCounts[req.method] = (requestCounts[req.method] || 0) + 1
+            requestCounts.total++
+
+            const fault = matchFault(req)
+            if ( fault ) return sendFault(req, res, fault, body)
+            respond(req, res, body)
+        })
+    }
+
+    /** Respond to a request in the same way as the real hub
+     * @param {http.IncomingMessage} req Request
+     * @param {http.ServerResponse} res Response
+     * @param {string} body Request body
+     */
+    const respond = (req, res, body) => {
+        if ( req.headers.secret !== secret ) return send(res, 401)
+
+        const segments = req.url.split('?')[0].split('/').filter( seg => seg !== '' )
+        if ( segments[0] !== 'data' || !['domain', 'network'].includes(segments[1]) ) return send(res, 404)
+        const root = state[segments[1]]
+        const path = segments.slice(2)
+
+        recalculate()
+
+        if ( req.method === 'GET' ) {
+            const found = walk(root, path)
+            if ( found === undefined ) return send(res, 404)
+            return send(res, 200, found)
+        }
+
+        if ( (req.method === 'PATCH' || req.method === 'POST') && segments[1] === 'domain' ) {
+            let payload
+            try {
+                payload = JSON.parse(body)
+            } catch (e) {
+                return send(res, 400, { error: 'Invalid JSON' })
+            }
+
+            let error, result
+            if ( req.method === 'POST' ) {
+                // Only new schedules can be created
+                if ( path[0] !== 'Schedule' || path.length !== 1 ) return send(res, 404)
+                result = createSchedule(payload)
+                if ( typeof result === 'string' ) return send(res, 400, { error: result })
+            } else if ( path[0] === 'Room' && path.length === 2 ) {
+                result = walk(root, path)
+                if ( result === undefined ) return send(res, 404)
+                error = patchRoom(result, payload)
+            } else if ( path[0] === 'HotWater' && path.length === 2 ) {
+                result = walk(root, path)
+                if ( result === undefined ) return send(res, 404)
+                error = patchHotWater(result, payload)
+            } else if ( path[0] === 'System' && path.length === 1 ) {
+                result = state.domain.System
+                error = patchSystem(payload)
+            } else if ( path[0] === 'Schedule' && path.length === 2 ) {
+                result = walk(root, path)
+                if ( result === undefined ) return send(res, 404)
+                error = patchSchedule(result, payload)
+            } else {
+                return send(res, 404)
+            }
+
+            if ( error ) return send(res, 400, { error: error })
+            recalculate()
+            return send(res, 200, result)
+        }
+
+        return send(res, 405)
+    }
+
+    //#endregion ---- Private Functions ---- //
+
+    //#region ---- Public Functions ---- //
+
+    /** Start the simulator
+     * @return {Promise<number>} Resolves to the port number being listened on
+     */
+    const start = () => {
+        return new Promise( (resolve, reject) => {
+            if ( server !== null ) return resolve(server.address().port)
+
+            server = http.createServer( (req, res) => handle(req, res) )
+            server.on('connection', socket => {
+                sockets.add(socket)
+                socket.on('close', () => sockets.delete(socket))
+            })
+            server.once('error', reject)
+            server.listen(port, host, () => {
+                recalculate()
+                resolve(server.address().port)
+            })
+        })
+    }
+
+    /** Stop the simulator, dropping any open connections
+     * @return {Promise} Resolves once stopped
+     */
+    const stop = () => {
+        return new Promise( resolve => {
+            if ( server === null ) return resolve()
+            heldResponses.clear()
+            server.close( () => resolve() )
+            sockets.forEach( socket => socket.destroy() )
+            server = null
+        })
+    }
+
+    /** Return the `ip` to pass to setConfig, includes the port. Only valid once started.
+     * @return {string} e.g. '127.0.0.1:54321'
+     */
+    const address = () => {
+        if ( server === null ) return undefined
+        return `${host}:${server.address().port}`
+    }
+
+    /** Inject a fault for matching requests
+     * @param {Object} rule Fault definition
+     * @param {('timeout'|'disconnect'|'unauthorized'|'malformed'|'slow'|'error')} rule.type Type of fault.
+     *        timeout: never respond (drop the connection after `delay` ms if given), disconnect: drop the connection,
+     *        unauthorized: 401, malformed: truncated JSON, slow: respond normally after `delay` ms, error: `status` (default 500)
+     * @param {string|RegExp} [rule.path] Only apply to URLs starting with (string) or matching (RegExp) this
+     * @param {string} [rule.method] Only apply to this http method
+     * @param {number} [rule.count] Number of requests to apply the fault to. Default 1
+     * @param {number} [rule.delay] ms, for timeout and slow faults
+     * @param {number} [rule.status] http status, for error faults
+     * @return {Object} The fault rule
+     */
+    const fault = ({type, path=undefined, method=undefined, count=1, delay=undefined, status=undefined}) => {
+        const rule = { type, path, method, count, delay, status }
+        faults.push(rule)
+        return rule
+    }
+
+    /** Remove all injected faults */
+    const clearFaults = () => {
+        faults = []
+    }
+
+    /** Move the simulator clock forward (e.g. to expire a boost without waiting)
+     * @param {number} seconds Number of seconds to move forward
+     * @return {Date} The new simulator time
+     */
+    const advance = (seconds) => {
+        clockOffset += seconds * 1000
+        recalculate()
+        return new Date(now())
+    }
+
+    /** Set the measured temperature of a room (and its valves and roomstat)
+     * @param {number|string} roomIdOrName Room ID or Name
+     * @param {number} degC Temperature in °C
+     */
+    const setTemperature = (roomIdOrName, degC) => {
+        const room = state.domain.Room.find( r => r.id === Number(roomIdOrName) || r.Name === roomIdOrName )
+        if ( !room ) throw Error(`[node-drayton-wiser:simulator:setTemperature] Unknown room ${roomIdOrName}`)
+        const temp = Math.round(degC * 10)
+        room.CalculatedTemperature = temp
+        ;(room.SmartValveIds || []).forEach( trvId => {
+            const trv = state.domain.SmartValve.find( v => v.id === trvId )
+            if ( trv ) trv.MeasuredTemperature = temp
+        })
+        if ( room.RoomStatId !== undefined ) {
+            const stat = state.domain.RoomStat.find( rs => rs.id === room.RoomStatId )
+            if ( stat ) stat.MeasuredTemperature = temp
+        }
+        recalculate()
+    }
+
+    //#endregion ---- Public Functions ---- //
+
+    /** Closure pattern - only expose what we want to */
+    return ({
+        start,
+        stop,
+        address,
+        fault,
+        clearFaults,
+        advance,
+        setTemperature,
+        now: () => new Date(now()),
+        /** Live reference to the simulator data ({domain, network}) - may be changed directly */
+        data: state,
+        /** Live count of requests received ({GET, PATCH, total}) */
+        requests: requestCounts,
+        secret,
+    })
+
+} // ---- End of Simulator ---- //
+
+module.exports = Simulator
+
+//EOF
@@ -14,7 +14,7 @@ function runTest() {
 
             let room
 
-            // Get a valid room by id
+            // Get a valid room by id. Returns a lookup result: {found, unique, value, error}
             room = wiser.getRoom(8) // Get by room id (8=Office)
             console.log( 'ROOM by id (8):', room )
 
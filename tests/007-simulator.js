@@ -0,0 +1,103 @@
+/** Run get, getFull, setRoomMode, setSystemMode and monitor against the bundled hub simulator
+ *  No real controller needed.
+ */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test007' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test007',
+        interval: 0.2,
+        maxBoost: 22,
+    })
+
+    try {
+        // --- get --- //
+        let res = await wiser.get('brandName')
+        assert.strictEqual(res.brandName, 'WiserHeat')
+        res = await wiser.get('wifiRSSI')
+        assert.strictEqual(typeof res.wifiRSSI.Current, 'number')
+        console.info('TEST 007a - get - SUCCESS')
+
+        // --- getFull --- //
+        const full = await wiser.getFull()
+        assert.ok(Array.isArray(full.Room) && full.Room.length > 0)
+        assert.strictEqual(wiser.getRoomByName('Office').value.id, 8)
+        console.info('TEST 007b - getFull - SUCCESS')
+
+        // --- setRoomMode boost, capped at maxBoost, then let the boost expire --- //
+        await wiser.setRoomMode('Office', 'boost', 25, 60)
+        let office = sim.data.domain.Room.find( r => r.Name === 'Office' )
+        assert.strictEqual(office.OverrideSetpoint, 220)
+        assert.strictEqual(office.SetpointOrigin, 'FromBoost')
+        sim.advance(61 * 60)
+        assert.strictEqual(office.OverrideType, undefined)
+        assert.strictEqual(office.SetpointOrigin, 'FromSchedule')
+        console.info('TEST 007c - setRoomMode boost + expiry - SUCCESS')
+
+        // --- setRoomMode off and back to auto --- //
+        await wiser.setRoomMode('Office', 'off')
+        assert.strictEqual(office.Mode, 'Manual')
+        assert.strictEqual(office.CurrentSetPoint, -200)
+        await wiser.setRoomMode(8, 'auto')
+        assert.strictEqual(office.Mode, 'Auto')
+        assert.strictEqual(office.CurrentSetPoint, office.ScheduledSetPoint)
+        console.info('TEST 007d - setRoomMode off/auto - SUCCESS')
+
+        // --- setSystemMode --- //
+        await wiser.setSystemMode('away')
+        assert.strictEqual(sim.data.domain.System.OverrideType, 'Away')
+        await wiser.setSystemMode('normal')
+        assert.strictEqual(sim.data.domain.System.OverrideType, undefined)
+        console.info('TEST 007e - setSystemMode - SUCCESS')
+
+        // --- Faults --- //
+        sim.fault({ type: 'unauthorized', path: '/data/network/' })
+        await assert.rejects( wiser.get('network'), err => err.status === 401 )
+        sim.fault({ type: 'timeout', delay: 100, count: 3 })
+        await assert.rejects( wiser.get('system') )
+        sim.fault({ type: 'malformed' })
+        res = await wiser.get('rooms')
+        assert.strictEqual(typeof res.rooms, 'string')
+        console.info('TEST 007f - fault injection - SUCCESS')
+
+        // --- monitor sees a change made "from the app" --- //
+        const change = new Promise( resolve => {
+            wiser.eventEmitter.on('wiserChange', changes => {
+                if ( changes.type === 'Room' && changes.id === 1 && changes.changes.CurrentSetPoint !== undefined ) resolve(changes)
+            })
+        })
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test007')
+        })
+        sim.data.domain.Room.find( r => r.id === 1 ).Mode = 'Manual'
+        sim.data.domain.Room.find( r => r.id === 1 ).ManualSetPoint = 175
+        const changes = await change
+        assert.strictEqual(changes.changes.CurrentSetPoint, 175)
+        assert.strictEqual(changes.room, 'Lounge')
+        wiser.removeMonitor('test007')
+        console.info('TEST 007g - monitor - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 007 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test007')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
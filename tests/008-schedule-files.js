@@ -0,0 +1,79 @@
+/** Save schedules to files and load them back, uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test008' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test008-'))
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test008',
+        folder: folder,
+    })
+
+    try {
+        // --- Save all schedules to files --- //
+        const savedAll = await wiser.saveAllSchedules()
+        assert.strictEqual(savedAll.length, sim.data.domain.Schedule.length)
+        assert.ok( fs.existsSync(path.join(folder, 'schedule-8-Office.json')) )
+        console.info('TEST 008a - saveAllSchedules - SUCCESS')
+
+        // --- Save a single schedule as an object --- //
+        const office = await wiser.saveSchedule(8, false)
+        assert.strictEqual(office.file, undefined)
+        assert.deepStrictEqual(office.rooms, ['Office'])
+        assert.ok(Array.isArray(office.schedule.Monday.SetPoints))
+        console.info('TEST 008b - saveSchedule (no file) - SUCCESS')
+
+        // --- Change a file and load it back --- //
+        const file = path.join(folder, 'schedule-8-Office.json')
+        const schedule = JSON.parse(fs.readFileSync(file, 'utf8'))
+        schedule.Monday.SetPoints = [ { Time: 25200, DegreesC: 190 }, { Time: 79200, DegreesC: 160 } ]
+        fs.writeFileSync(file, JSON.stringify(schedule))
+        await wiser.loadSchedule('schedule-8-Office.json')
+        assert.deepStrictEqual(sim.data.domain.Schedule.find( s => s.id === 8 ).Monday.SetPoints, schedule.Monday.SetPoints)
+        console.info('TEST 008c - loadSchedule (file) - SUCCESS')
+
+        // --- Load from an object into a different schedule id --- //
+        await wiser.loadSchedule(schedule, 3)
+        assert.deepStrictEqual(sim.data.domain.Schedule.find( s => s.id === 3 ).Monday.SetPoints, schedule.Monday.SetPoints)
+        console.info('TEST 008d - loadSchedule (object) - SUCCESS')
+
+        // --- Invalid schedules are rejected before anything is sent --- //
+        const patches = sim.requests.PATCH
+        await assert.rejects( wiser.loadSchedule({ id: 8, Funday: { SetPoints: [] } }), err => /Invalid day name/.test(err.error) )
+        await assert.rejects( wiser.loadSchedule({ id: 8, Monday: { SetPoints: [ { Time: 90000, DegreesC: 200 } ] } }), err => /invalid Time/.test(err.error) )
+        await assert.rejects( wiser.loadSchedule('no-such-file.json') )
+        assert.strictEqual(sim.requests.PATCH, patches)
+        console.info('TEST 008e - loadSchedule validation - SUCCESS')
+
+        // --- Load everything back from the folder --- //
+        const loadedAll = await wiser.loadAllSchedules()
+        assert.strictEqual(loadedAll.length, savedAll.length)
+        assert.ok( loadedAll.every( r => r.error === undefined ) )
+        console.info('TEST 008f - loadAllSchedules - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 008 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
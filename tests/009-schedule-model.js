@@ -0,0 +1,81 @@
+/** Friendly schedule format - conversion, validation and loading, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test009' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test009',
+        maxBoost: 22,
+    })
+
+    try {
+        // --- Round trip every simulator schedule without loss --- //
+        sim.data.domain.Schedule.forEach( hub => {
+            assert.deepStrictEqual( wiser.scheduleFromFriendly(wiser.scheduleToFriendly(hub)), hub )
+            assert.deepStrictEqual( wiser.scheduleFromFriendly(wiser.scheduleToFriendly(hub, true)), hub )
+        })
+        // Odd seconds and off are kept
+        const odd = { id: 99, Type: 'Heating', Monday: { SetPoints: [ { Time: 3661, DegreesC: -200 }, { Time: 43200, DegreesC: 215 } ] } }
+        const oddFriendly = wiser.scheduleToFriendly(odd)
+        assert.deepStrictEqual(oddFriendly.monday, [ { time: '01:01:01', temp: -20 }, { time: '12:00', temp: 21.5 } ])
+        assert.deepStrictEqual(wiser.scheduleFromFriendly(oddFriendly), odd)
+        console.info('TEST 009a - round trip - SUCCESS')
+
+        // --- Shorthands, a named day wins over a shorthand --- //
+        const hub = wiser.scheduleFromFriendly({
+            weekdays: [ { time: '07:00', temp: 20 }, { time: '22:00', temp: 16 } ],
+            weekends: [ { time: '09:00', temp: 21 }, { time: '23:00', temp: 'off' } ],
+            friday: [ { time: '07:00', temp: 20 } ],
+        })
+        assert.strictEqual(hub.Monday.SetPoints.length, 2)
+        assert.strictEqual(hub.Friday.SetPoints.length, 1)
+        assert.deepStrictEqual(hub.Sunday.SetPoints, [ { Time: 32400, DegreesC: 210 }, { Time: 82800, DegreesC: -200 } ])
+        console.info('TEST 009b - shorthands - SUCCESS')
+
+        // --- Validation --- //
+        assert.strictEqual( wiser.validateSchedule({ all: [ { time: '06:30', temp: 21 } ] }).valid, true )
+        const checks = [
+            [ { monday: [ { time: '07:00', temp: 20 }, { time: '7:00', temp: 18 } ] }, /overlaps/ ],
+            [ { monday: [ { time: '07:00', temp: 4 } ] }, /outside/ ],
+            [ { monday: [ { time: '07:00', temp: 31 } ] }, /outside/ ],
+            [ { monday: [ { time: '07:00', temp: 22.5 } ] }, /above the max/ ],
+            [ { monday: [ { time: '25:00', temp: 20 } ] }, /invalid time/ ],
+            [ { funday: [] }, /Invalid day name/ ],
+            [ { monday: ['01', '02', '03', '04', '05', '06', '07'].map( h => ({ time: `${h}:00`, temp: 18 }) ) }, /maximum is 6/ ],
+        ]
+        checks.forEach( ([sched, re]) => {
+            const res = wiser.validateSchedule(sched)
+            assert.strictEqual(res.valid, false, JSON.stringify(sched))
+            assert.ok( res.errors.some( e => re.test(e) ), `${re} not in ${res.errors}` )
+        })
+        console.info('TEST 009c - validation - SUCCESS')
+
+        // --- Load a friendly schedule and read it back --- //
+        await wiser.loadSchedule({ id: 8, weekdays: [ { time: '07:30', temp: 21 }, { time: '17:30', temp: 16 } ] })
+        const office = await wiser.getSchedule(8)
+        assert.deepStrictEqual(office.weekdays, [ { time: '07:30', temp: 21 }, { time: '17:30', temp: 16 } ])
+        assert.deepStrictEqual(office.weekends, [ { time: '08:00', temp: 20 }, { time: '18:00', temp: 16 } ])
+        await assert.rejects( wiser.loadSchedule({ id: 8, all: [ { time: '07:30', temp: 25 } ] }), err => /above the max/.test(err.error) )
+        console.info('TEST 009d - load/get friendly schedule - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 009 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
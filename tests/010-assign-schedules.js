@@ -0,0 +1,75 @@
+/** Assign, copy and create schedules for rooms, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test010' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test010',
+    })
+
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+    const schedule = id => sim.data.domain.Schedule.find( s => s.id === id )
+
+    try {
+        // --- Assign by room name and by room id --- //
+        await wiser.assignSchedule('Office', 1)
+        assert.strictEqual(room('Office').ScheduleId, 1)
+        await wiser.assignSchedule(8, 8)
+        assert.strictEqual(room('Office').ScheduleId, 8)
+        console.info('TEST 010a - assignSchedule - SUCCESS')
+
+        // --- Nothing is sent for unknown rooms or schedules --- //
+        let patches = sim.requests.PATCH
+        await assert.rejects( wiser.assignSchedule('Narnia', 1), err => /Invalid room/.test(err.error) )
+        await assert.rejects( wiser.assignSchedule('Office', 999), err => /not found/.test(err.error) )
+        assert.strictEqual(sim.requests.PATCH, patches)
+        console.info('TEST 010b - assignSchedule checks - SUCCESS')
+
+        // --- Copy the Lounge schedule to the Kitchen and Bedroom --- //
+        const results = await wiser.copySchedule('Lounge', ['Kitchen', 3])
+        assert.strictEqual(results.length, 2)
+        assert.deepStrictEqual(schedule(2).Monday, schedule(1).Monday)
+        assert.deepStrictEqual(schedule(3).Sunday, schedule(1).Sunday)
+        // Each room still has its own schedule
+        assert.strictEqual(room('Kitchen').ScheduleId, 2)
+        patches = sim.requests.PATCH
+        await assert.rejects( wiser.copySchedule('Lounge', ['Kitchen', 'Narnia']), err => /Invalid room/.test(err.error) )
+        assert.strictEqual(sim.requests.PATCH, patches)
+        console.info('TEST 010c - copySchedule - SUCCESS')
+
+        // --- Create a new schedule and assign it to two rooms --- //
+        const created = await wiser.createSchedule({
+            weekdays: [ { time: '06:00', temp: 19 }, { time: '21:00', temp: 15 } ],
+            weekends: [ { time: '08:00', temp: 19 }, { time: '22:00', temp: 15 } ],
+        }, ['Bathroom', 'Office'])
+        assert.ok(created.id > 8)
+        assert.strictEqual(room('Bathroom').ScheduleId, created.id)
+        assert.strictEqual(room('Office').ScheduleId, created.id)
+        assert.deepStrictEqual( (await wiser.getSchedule(created.id)).weekdays, [ { time: '06:00', temp: 19 }, { time: '21:00', temp: 15 } ] )
+        const count = sim.data.domain.Schedule.length
+        await assert.rejects( wiser.createSchedule({ all: [ { time: '06:00', temp: 50 } ] }), err => /Invalid schedule/.test(err.error) )
+        await assert.rejects( wiser.createSchedule({ all: [ { time: '06:00', temp: 19 } ] }, ['Narnia']), err => /Invalid room/.test(err.error) )
+        assert.strictEqual(sim.data.domain.Schedule.length, count)
+        console.info('TEST 010d - createSchedule - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 010 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,76 @@
+/** Daily override cancel (setBoostCancelTime / cancelOverrides), uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test011' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test011',
+    })
+
+    const { nextDailyTime } = require('../src/schedule')
+    const tz = process.env.TZ
+
+    try {
+        // --- Next run time, including daylight saving changes (UK) --- //
+        process.env.TZ = 'Europe/London'
+        // Process starts after the cutoff - first run is tomorrow
+        assert.strictEqual( nextDailyTime('22:00', new Date('2026-10-20T22:30:00Z')).toISOString(), '2026-10-21T21:00:00.000Z' )
+        // Clocks go forward at 01:00 GMT, 01:30 does not exist so it runs as soon as the clocks have changed
+        assert.strictEqual( nextDailyTime('01:30', new Date('2026-03-29T00:30:00Z')).toISOString(), '2026-03-29T01:30:00.000Z' )
+        // Clocks go back at 02:00 BST, 01:30 happens twice but only runs once
+        assert.strictEqual( nextDailyTime('01:30', new Date('2026-10-25T00:45:00Z')).toISOString(), '2026-10-26T01:30:00.000Z' )
+        process.env.TZ = tz
+        console.info('TEST 011a - next cancel time - SUCCESS')
+
+        // --- Setting, changing and clearing the time (re)schedules the timer --- //
+        assert.strictEqual(wiser.getNextBoostCancel(), null)
+        wiser.setBoostCancelTime('2330')
+        const first = wiser.getNextBoostCancel()
+        assert.strictEqual(first.getHours() * 100 + first.getMinutes(), 2330)
+        wiser.setBoostCancelTime('nonsense')
+        assert.strictEqual(wiser.getNextBoostCancel(), first)
+        wiser.setBoostCancelTime('06:15')
+        assert.strictEqual(wiser.getNextBoostCancel().getHours() * 100 + wiser.getNextBoostCancel().getMinutes(), 615)
+        wiser.setBoostCancelTime(null)
+        assert.strictEqual(wiser.getNextBoostCancel(), null)
+        console.info('TEST 011b - set/clear boostCancelTime - SUCCESS')
+
+        // --- Cancel resets boosted and manual rooms only --- //
+        await wiser.setRoomMode('Office', 'boost', 19.5, 60)
+        await wiser.setRoomMode('Lounge', 'manual', 19)
+        const event = new Promise( resolve => wiser.eventEmitter.once('wiserOverridesCancelled', resolve) )
+        const result = await wiser.cancelOverrides()
+        assert.strictEqual(await event, result)
+        assert.deepStrictEqual( result.rooms.map( r => r.room ).sort(), ['Lounge', 'Office'] )
+        assert.strictEqual( result.rooms.find( r => r.room === 'Office' ).setPoint, 19.5 )
+        assert.strictEqual(result.errors.length, 0)
+        sim.data.domain.Room.forEach( room => {
+            assert.strictEqual(room.Mode, 'Auto')
+            assert.strictEqual(room.OverrideType, undefined)
+        })
+        assert.strictEqual( (await wiser.cancelOverrides()).rooms.length, 0 )
+        console.info('TEST 011c - cancelOverrides - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 011 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        process.env.TZ = tz
+        wiser.setBoostCancelTime(null)
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,100 @@
+/** Enforce maxBoost (and per-room max. temperatures) on overrides set from the app, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test012' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test012',
+        interval: 0.2,
+        maxBoost: 20,
+        enforceMaxBoost: true,
+        roomMaxBoost: { 'Bathroom': 23 },
+    })
+
+    // Stands in for the phone app, no limits
+    const app = require('../src/index')()
+    app.setConfig({ ip: sim.address(), secret: 'test012', maxBoost: 30 })
+
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+    const clamped = name => new Promise( resolve => {
+        const listener = data => {
+            if ( data.room !== name ) return
+            wiser.eventEmitter.removeListener('wiserOverrideClamped', listener)
+            resolve(data)
+        }
+        wiser.eventEmitter.on('wiserOverrideClamped', listener)
+    })
+
+    try {
+        // --- setRoomMode uses the per-room max --- //
+        await wiser.setRoomMode('Bathroom', 'set', 25)
+        assert.strictEqual(room('Bathroom').CurrentSetPoint, 230)
+        await wiser.setRoomMode('Office', 'set', 25)
+        assert.strictEqual(room('Office').CurrentSetPoint, 200)
+        await wiser.setRoomMode('Bathroom', 'auto')
+        await wiser.setRoomMode('Office', 'auto')
+        console.info('TEST 012a - setRoomMode per-room max - SUCCESS')
+
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test012')
+        })
+
+        // --- An app boost above the max is clamped, keeping the boost time --- //
+        let event = clamped('Office')
+        await app.setRoomMode('Office', 'boost', 25, 60)
+        let data = await event
+        assert.strictEqual(data.requested, 25)
+        assert.strictEqual(data.enforced, 20)
+        assert.strictEqual(room('Office').OverrideSetpoint, 200)
+        assert.strictEqual(room('Office').SetpointOrigin, 'FromBoost')
+        const remaining = room('Office').OverrideTimeoutUnixTime - sim.data.domain.System.UnixTime
+        assert.ok( remaining > 58 * 60 && remaining <= 60 * 60, `remaining ${remaining}s` )
+        console.info('TEST 012b - boost clamped - SUCCESS')
+
+        // --- Manual mode set point from the app is clamped --- //
+        event = clamped('Lounge')
+        await app.setRoomMode('Lounge', 'manual', 26)
+        data = await event
+        assert.strictEqual(data.requested, 26)
+        assert.strictEqual(room('Lounge').Mode, 'Manual')
+        assert.strictEqual(room('Lounge').CurrentSetPoint, 200)
+        console.info('TEST 012c - manual mode clamped - SUCCESS')
+
+        // --- Per-room max: 22.5 is allowed in the Bathroom, 24 is not --- //
+        let bathroomClamps = 0
+        const counter = d => { if ( d.room === 'Bathroom' ) bathroomClamps++ }
+        wiser.eventEmitter.on('wiserOverrideClamped', counter)
+        await app.setRoomMode('Bathroom', 'boost', 22.5, 30)
+        await new Promise( resolve => setTimeout(resolve, 600) )
+        assert.strictEqual(bathroomClamps, 0)
+        assert.strictEqual(room('Bathroom').OverrideSetpoint, 225)
+        event = clamped('Bathroom')
+        await app.setRoomMode('Bathroom', 'boost', 24, 30)
+        data = await event
+        assert.strictEqual(data.enforced, 23)
+        wiser.eventEmitter.removeListener('wiserOverrideClamped', counter)
+        console.info('TEST 012d - per-room max - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 012 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test012')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
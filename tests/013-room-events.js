@@ -0,0 +1,87 @@
+/** Monitor override lifecycle events (boost started/ended, manual, back to schedule, off), uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test013' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test013',
+        interval: 0.2,
+        maxBoost: 25,
+    })
+
+    /** Resolve with the next event of this name for the Office */
+    const next = name => new Promise( resolve => {
+        const listener = data => {
+            if ( data.room !== 'Office' ) return
+            wiser.eventEmitter.removeListener(name, listener)
+            resolve(data)
+        }
+        wiser.eventEmitter.on(name, listener)
+    })
+
+    try {
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test013')
+        })
+
+        // --- Boost started, then expires and the room returns to its schedule --- //
+        let started = next('wiserBoostStarted')
+        await wiser.setRoomMode('Office', 'boost', 22.5, 45)
+        let data = await started
+        assert.strictEqual(data.roomId, 8)
+        assert.strictEqual(data.temp, 22.5)
+        assert.strictEqual(data.durationMinutes, 45)
+        assert.ok(data.endTime instanceof Date)
+        let ended = next('wiserBoostEnded')
+        const scheduled = next('wiserReturnedToSchedule')
+        sim.advance(46 * 60)
+        data = await ended
+        assert.strictEqual(data.reason, 'expired')
+        assert.strictEqual(data.temp, 22.5)
+        data = await scheduled
+        assert.strictEqual(data.temp, data.scheduledSetPoint)
+        console.info('TEST 013a - boost started/expired/returned to schedule - SUCCESS')
+
+        // --- Boost cancelled --- //
+        started = next('wiserBoostStarted')
+        await wiser.setRoomMode('Office', 'boost', 21, 60)
+        await started
+        ended = next('wiserBoostEnded')
+        await wiser.setRoomMode('Office', 'auto')
+        assert.strictEqual( (await ended).reason, 'cancelled' )
+        console.info('TEST 013b - boost cancelled - SUCCESS')
+
+        // --- Manual mode and off --- //
+        const manual = next('wiserManualModeEntered')
+        await wiser.setRoomMode('Office', 'manual', 21)
+        assert.strictEqual( (await manual).roomId, 8 )
+        // Let the monitor catch up with the final manual set point
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        const off = next('wiserRoomOff')
+        await wiser.setRoomMode('Office', 'off')
+        assert.strictEqual( (await off).prevSetPoint, 21 )
+        console.info('TEST 013c - manual mode/off - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 013 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test013')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,90 @@
+/** Monitor wiserAdded/wiserRemoved events for rooms, devices and schedules, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test014' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test014',
+        interval: 0.2,
+    })
+
+    const d = sim.data.domain
+    /** Collect events until there are `count` of them */
+    const collect = (name, count) => new Promise( resolve => {
+        const found = []
+        const listener = data => {
+            found.push(data)
+            if ( found.length < count ) return
+            wiser.eventEmitter.removeListener(name, listener)
+            resolve(found)
+        }
+        wiser.eventEmitter.on(name, listener)
+    })
+
+    try {
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test014')
+        })
+
+        // --- Pair a new radiator valve in the Office --- //
+        let events = collect('wiserAdded', 2)
+        d.Device.push( Object.assign( {}, d.Device.find( dev => dev.id === 15 ), { id: 16, NodeId: 1016 } ) )
+        d.SmartValve.push( Object.assign( {}, d.SmartValve.find( v => v.id === 15 ), { id: 16 } ) )
+        d.Room.find( r => r.Name === 'Office' ).SmartValveIds.push(16)
+        events = await events
+        assert.deepStrictEqual( events.map( e => e.type ).sort(), ['Device', 'SmartValve'] )
+        events.forEach( e => {
+            assert.strictEqual(e.id, 16)
+            assert.strictEqual(e.room, 'Office')
+            assert.strictEqual(e.roomId, 8)
+        })
+        console.info('TEST 014a - device added - SUCCESS')
+
+        // --- Lose the Lounge RoomStat, the room comes from the previous room map --- //
+        events = collect('wiserRemoved', 2)
+        d.Device = d.Device.filter( dev => dev.id !== 20 )
+        d.RoomStat = []
+        delete d.Room.find( r => r.Name === 'Lounge' ).RoomStatId
+        events = await events
+        assert.deepStrictEqual( events.map( e => e.type ).sort(), ['Device', 'RoomStat'] )
+        events.forEach( e => assert.strictEqual(e.room, 'Lounge') )
+        assert.strictEqual( events.find( e => e.type === 'RoomStat' ).entity.MeasuredHumidity, 52 )
+        console.info('TEST 014b - device removed - SUCCESS')
+
+        // --- New room and deleted schedule --- //
+        const added = collect('wiserAdded', 1)
+        const removed = collect('wiserRemoved', 1)
+        d.Room.push( Object.assign( {}, d.Room.find( r => r.id === 3 ), { id: 9, Name: 'Nursery', SmartValveIds: [], ScheduleId: 3 } ) )
+        d.Schedule = d.Schedule.filter( sch => sch.id !== 4 )
+        d.Room.find( r => r.Name === 'Bathroom' ).ScheduleId = 3
+        const room = (await added)[0]
+        assert.strictEqual(room.type, 'Room')
+        assert.strictEqual(room.room, 'Nursery')
+        const sched = (await removed)[0]
+        assert.strictEqual(sched.type, 'Schedule')
+        assert.strictEqual(sched.id, 4)
+        console.info('TEST 014c - room added/schedule removed - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 014 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test014')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
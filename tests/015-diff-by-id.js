@@ -0,0 +1,106 @@
+/** Monitor change detection matches entities by id and skips ignored properties, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test015' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test015',
+        interval: 0.2,
+    })
+
+    const diff = require('../src/diff')
+    const d = sim.data.domain
+
+    /** Collect wiserChange events until the monitor has polled `polls` times */
+    const changesOver = polls => new Promise( resolve => {
+        const found = []
+        let count = 0
+        const onChange = data => found.push(data)
+        const onPing = () => {
+            if ( ++count < polls ) return
+            wiser.eventEmitter.removeListener('wiserChange', onChange)
+            wiser.eventEmitter.removeListener('wiserPing', onPing)
+            resolve(found)
+        }
+        wiser.eventEmitter.on('wiserChange', onChange)
+        wiser.eventEmitter.on('wiserPing', onPing)
+    })
+
+    try {
+        // --- The diff engine on its own --- //
+        const prev = { Room: [ { id: 1, Name: 'A', Temp: 10 }, { id: 2, Name: 'B', Temp: 20 } ], System: { UnixTime: 1, Mode: 'x' } }
+        const curr = { Room: [ { id: 3, Name: 'C', Temp: 30 }, { id: 2, Name: 'B', Temp: 21 }, { id: 1, Name: 'A', Temp: 10 } ], System: { UnixTime: 2, Mode: 'x' } }
+        const before = JSON.stringify([prev, curr])
+        const records = diff.changes(prev, curr)
+        assert.strictEqual(JSON.stringify([prev, curr]), before)
+        assert.strictEqual(records.length, 1)
+        assert.deepStrictEqual( records[0], { type: 'Room', id: 2, idx: 1, changes: { Temp: 21 }, prev: { Temp: 20 }, entity: curr.Room[1] } )
+        assert.strictEqual( diff.changes(prev, curr, { ignore: [] }).find( r => r.type === 'System' ).changes.UnixTime, 2 )
+        console.info('TEST 015a - diff.changes - SUCCESS')
+
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test015')
+        })
+
+        // --- Re-ordering and inserting entities does not look like a change --- //
+        let changes = changesOver(3)
+        d.Room.reverse()
+        d.Device.unshift( Object.assign( {}, d.Device.find( dev => dev.id === 15 ), { id: 16, NodeId: 1016 } ) )
+        changes = await changes
+        assert.deepStrictEqual(changes, [])
+        console.info('TEST 015b - re-ordered/inserted entities - SUCCESS')
+
+        // --- A real change is reported against the right entity --- //
+        changes = changesOver(3)
+        await wiser.setRoomMode('Office', 'boost', 19.5, 30)
+        changes = await changes
+        const office = changes.find( c => c.type === 'Room' && c.id === 8 )
+        assert.strictEqual(office.room, 'Office')
+        assert.strictEqual(office.idx, d.Room.findIndex( r => r.id === 8 ))
+        assert.strictEqual(office.changes.OverrideSetpoint, 195)
+        assert.strictEqual(office.prev.CurrentSetPoint, d.Room.find( r => r.id === 8 ).ScheduledSetPoint)
+        assert.ok( changes.every( c => c.type !== 'Room' || c.id === 8 ), 'only the Office changed' )
+        // Controller timestamps are only skipped by the monitor, the saved data still has them
+        assert.ok( typeof (await wiser.getFull()).System.UnixTime === 'number' )
+        console.info('TEST 015c - change matched by id - SUCCESS')
+
+        // --- The ignore list is configurable --- //
+        const valve = d.Device.find( dev => dev.id === 13 )
+        changes = changesOver(3)
+        valve.ReceptionOfController = { Rssi: -80, Lqi: 40 }
+        assert.deepStrictEqual( (await changes).filter( c => c.type === 'Device' ), [] )
+        assert.deepStrictEqual( wiser.setIgnore(['UnixTime', 'LocalDateAndTime']), ['UnixTime', 'LocalDateAndTime'] )
+        changes = changesOver(3)
+        valve.ReceptionOfController = { Rssi: -60, Lqi: 90 }
+        const signal = (await changes).find( c => c.type === 'Device' )
+        assert.strictEqual(signal.id, 13)
+        assert.strictEqual(signal.room, 'Bedroom')
+        assert.strictEqual(signal.changes.ReceptionOfController.Rssi, -60)
+        assert.strictEqual(signal.prev.ReceptionOfController.Rssi, -80)
+        assert.strictEqual(wiser.setIgnore('nonsense'), null)
+        assert.deepStrictEqual(wiser.setIgnore(null), diff.IGNORE_PROPERTIES)
+        console.info('TEST 015d - configurable ignore list - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 015 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test015')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
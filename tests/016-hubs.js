@@ -0,0 +1,105 @@
+/** Several named hubs from one process (HubManager), uses two copies of the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const house = require('../src/simulator')({ secret: 'test016h' })
+    const annex = require('../src/simulator')({ secret: 'test016a' })
+    await house.start()
+    await annex.start()
+    // The annex only has a Studio and a Bathroom
+    annex.data.domain.Room = annex.data.domain.Room.filter( r => r.Name === 'Office' || r.Name === 'Bathroom' )
+    annex.data.domain.Room.find( r => r.Name === 'Office' ).Name = 'Studio'
+
+    const hubs = require('../src/index').HubManager()
+
+    try {
+        // --- Register the hubs --- //
+        hubs.addHub('house', { ip: house.address(), secret: 'test016h', interval: 0.2 })
+        const annexWiser = hubs.addHub('annex', { ip: annex.address(), secret: 'test016a', interval: 0.2, retryDelay: 0.1 })
+        assert.deepStrictEqual(hubs.hubIds(), ['house', 'annex'])
+        assert.strictEqual(hubs.getHub('annex'), annexWiser)
+        assert.throws( () => hubs.addHub('house', { ip: house.address(), secret: 'test016h' }), /already exists/ )
+        assert.throws( () => hubs.getHub('garage'), /Unknown hub/ )
+        console.info('TEST 016a - addHub/getHub - SUCCESS')
+
+        // --- Every event carries the hubId --- //
+        const pinged = new Set()
+        const updated = new Set()
+        const onPing = data => pinged.add(data.hubId)
+        const onFull = (data, hubId) => { if ( data.System ) updated.add(hubId) }
+        hubs.eventEmitter.on('wiserPing', onPing)
+        hubs.eventEmitter.on('wiserFullUpdate', onFull)
+        const boosted = new Promise( resolve => hubs.eventEmitter.once('wiserBoostStarted', resolve) )
+        hubs.monitor('test016')
+        await new Promise( resolve => setTimeout(resolve, 500) )
+        assert.deepStrictEqual( Array.from(pinged).sort(), ['annex', 'house'] )
+        assert.deepStrictEqual( Array.from(updated).sort(), ['annex', 'house'] )
+        hubs.eventEmitter.removeListener('wiserPing', onPing)
+        hubs.eventEmitter.removeListener('wiserFullUpdate', onFull)
+        console.info('TEST 016b - events carry hubId - SUCCESS')
+
+        // --- Combined query --- //
+        const { rooms, errors } = await hubs.getRooms()
+        assert.strictEqual(errors.length, 0)
+        assert.strictEqual(rooms.length, house.data.domain.Room.length + 2)
+        assert.strictEqual( rooms.find( r => r.Name === 'Studio' ).hubId, 'annex' )
+        assert.deepStrictEqual( rooms.filter( r => r.Name === 'Bathroom' ).map( r => r.hubId ).sort(), ['annex', 'house'] )
+        console.info('TEST 016c - getRooms across hubs - SUCCESS')
+
+        // --- Fan-out commands --- //
+        let result = await hubs.setRoomMode('Studio', 'boost', 19.5, 30)
+        assert.deepStrictEqual(Object.keys(result.results), ['annex'])
+        assert.strictEqual( annex.data.domain.Room.find( r => r.Name === 'Studio' ).OverrideSetpoint, 195 )
+        const event = await boosted
+        assert.strictEqual(event.hubId, 'annex')
+        assert.strictEqual(event.room, 'Studio')
+        result = await hubs.setRoomMode('Bathroom', 'manual', 18)
+        assert.deepStrictEqual( Object.keys(result.results).sort(), ['annex', 'house'] )
+        await assert.rejects( hubs.setRoomMode('Garage', 'auto'), err => /not found on any hub/.test(err.error) )
+        result = await hubs.cancelOverrides()
+        assert.strictEqual( result.results.annex.rooms.length, 2 )
+        assert.strictEqual( result.results.house.rooms.length, 1 )
+        assert.strictEqual( result.results.house.hubId, 'house' )
+        console.info('TEST 016d - fan-out commands - SUCCESS')
+
+        // --- One hub down does not stop the others --- //
+        annex.fault({ type: 'error', status: 500, count: 1000 })
+        result = await hubs.getRooms()
+        assert.strictEqual(result.errors.length, 1)
+        assert.strictEqual(result.errors[0].hubId, 'annex')
+        assert.strictEqual(result.rooms.length, house.data.domain.Room.length)
+        annex.clearFaults()
+        console.info('TEST 016e - partial failure - SUCCESS')
+
+        // --- Removing a hub stops its monitor --- //
+        const removed = new Promise( resolve => hubs.eventEmitter.once('wiserMonitorRemoved', resolve) )
+        assert.strictEqual(hubs.removeHub('annex'), true)
+        assert.strictEqual( (await removed).hubId, 'annex' )
+        // A poll that was already under way (e.g. waiting to retry) may still finish
+        await new Promise( resolve => setTimeout(resolve, 500) )
+        const before = annex.requests.total
+        await new Promise( resolve => setTimeout(resolve, 500) )
+        assert.strictEqual(annex.requests.total, before)
+        assert.deepStrictEqual(hubs.hubIds(), ['house'])
+        console.info('TEST 016f - removeHub - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 016 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        hubs.removeMonitor('test016')
+        hubs.hubIds().forEach( hubId => hubs.removeHub(hubId) )
+        await house.stop()
+        await annex.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
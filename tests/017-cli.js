@@ -0,0 +1,147 @@
+/** `wiser` command-line tool, uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test017' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test017-'))
+    const configFile = path.join(folder, 'wiser.json')
+    fs.writeFileSync(configFile, JSON.stringify({ ip: sim.address(), secret: 'test017', interval: 0.2 }))
+
+    const { main, EXIT } = require('../bin/wiser')
+
+    /** Run the command, capturing the output
+     * @return {Promise<{code: number, out: string, err: string}>}
+     */
+    const run = async (args, env={}) => {
+        let out = ''
+        let err = ''
+        const code = await main(args, {
+            out: { write: text => { out += text } },
+            err: { write: text => { err += text } },
+            env,
+        })
+        return { code, out, err }
+    }
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+
+    try {
+        // --- Connection details from the config file, env and flags --- //
+        let res = await run(['status', '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.ok( /^Room\s+Temp\s+Set\s+Mode\s+Override/.test(res.out) )
+        assert.ok( res.out.includes('Office') )
+        res = await run(['rooms', '--json'], { WISER_IP: sim.address(), WISER_SECRET: 'test017' })
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.ok( JSON.parse(res.out).some( r => r.name === 'Office' && r.id === 8 ) )
+        res = await run(['rooms', `--config=${configFile}`, '--secret', 'wrong'])
+        assert.strictEqual(res.code, EXIT.ERROR)
+        console.info('TEST 017a - config sources - SUCCESS')
+
+        // --- Usage errors --- //
+        assert.strictEqual( (await run([])).code, EXIT.USAGE )
+        assert.strictEqual( (await run(['help'])).code, EXIT.OK )
+        assert.strictEqual( (await run(['dance', '--config', configFile])).code, EXIT.USAGE )
+        res = await run(['status'], { WISER_CONFIG: path.join(folder, 'missing.json') })
+        assert.strictEqual(res.code, EXIT.USAGE)
+        assert.ok( /config file/.test(res.err) )
+        assert.strictEqual( (await run(['get', 'nonsense', '--config', configFile])).code, EXIT.USAGE )
+        assert.strictEqual( (await run(['set', 'Narnia', 'auto', '--config', configFile])).code, EXIT.USAGE )
+        assert.strictEqual( (await run(['set', 'Office', 'boost', 'hot', '--config', configFile])).code, EXIT.USAGE )
+        assert.strictEqual( (await run(['system', 'party', '--config', configFile])).code, EXIT.USAGE )
+        console.info('TEST 017b - usage errors - SUCCESS')
+
+        // --- get, set and system --- //
+        res = await run(['get', 'system', '--json', '--config', configFile])
+        assert.strictEqual( JSON.parse(res.out).BrandName, 'WiserHeat' )
+        res = await run(['set', 'Office', 'boost', '19.5', '45', '--json', '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.strictEqual( JSON.parse(res.out).override.setPoint, 19.5 )
+        assert.strictEqual(room('Office').OverrideSetpoint, 195)
+        res = await run(['status', '--config', configFile])
+        assert.ok( /Office.*boost 19.5°C until/.test(res.out), res.out )
+        // The boost shows in the text output, not just the room's own mode
+        res = await run(['set', 'Office', 'boost', '19', '30', '--config', configFile])
+        assert.ok( /^Office: auto, boost 19°C until .*, set point 19°C\n$/.test(res.out), res.out )
+        // Library messages (here the temperature is clamped to maxBoost) go to the error output so the JSON can be parsed
+        res = await run(['set', 'Office', 'boost', '25', '30', '--json', '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.strictEqual( JSON.parse(res.out).override.setPoint, 20 )
+        assert.ok( /Requested temperature too high/.test(res.err), res.err )
+        res = await run(['system', 'away', '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.strictEqual(sim.data.domain.System.OverrideType, 'Away')
+        await run(['system', 'normal', '--config', configFile])
+        console.info('TEST 017c - get/set/system - SUCCESS')
+
+        // --- monitor --- //
+        const monitored = run(['monitor', '--count', '1', '--json', '--config', configFile])
+        await new Promise( resolve => setTimeout(resolve, 300) )
+        room('Kitchen').CalculatedTemperature += 5
+        res = await monitored
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        const change = JSON.parse(res.out.trim().split('\n')[0])
+        assert.strictEqual(change.room, 'Kitchen')
+        console.info('TEST 017d - monitor - SUCCESS')
+
+        // --- schedules export/import --- //
+        const backup = path.join(folder, 'backup')
+        fs.mkdirSync(backup)
+        res = await run(['schedules', 'export', backup, '--json', '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.strictEqual( JSON.parse(res.out).length, sim.data.domain.Schedule.length )
+        const file = path.join(backup, 'schedule-8-Office.json')
+        const schedule = JSON.parse(fs.readFileSync(file, 'utf8'))
+        schedule.Monday.SetPoints = [ { Time: 25200, DegreesC: 190 } ]
+        fs.writeFileSync(file, JSON.stringify(schedule))
+        res = await run(['schedules', 'import', file, '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        assert.strictEqual( sim.data.domain.Schedule.find( s => s.id === 8 ).Monday.SetPoints[0].DegreesC, 190 )
+        res = await run(['schedules', 'import', backup, '--config', configFile])
+        assert.strictEqual(res.code, EXIT.OK, res.err)
+        fs.writeFileSync(path.join(backup, 'schedule-99-Nowhere.json'), '{ not json')
+        assert.strictEqual( (await run(['schedules', 'import', backup, '--config', configFile])).code, EXIT.ERROR )
+        console.info('TEST 017e - schedules export/import - SUCCESS')
+
+        // --- Exit code of the real command --- //
+        const bin = path.join(__dirname, '..', 'bin', 'wiser.js')
+        /** Run bin/wiser.js in a child process, resolves to the exit code */
+        const exitCode = (args, env) => new Promise( resolve => {
+            const child = spawn(process.execPath, [bin].concat(args), { env, stdio: 'ignore' })
+            const timer = setTimeout( () => child.kill(), 20000 )
+            child.on('close', code => {
+                clearTimeout(timer)
+                resolve(code)
+            })
+        })
+        assert.strictEqual( await exitCode(['rooms', '--config', configFile], process.env), EXIT.OK )
+        assert.strictEqual( await exitCode(['status'], { PATH: process.env.PATH, HOME: folder }), EXIT.USAGE )
+        // A daily override cancel time in the config file does not keep the command running
+        const dailyFile = path.join(folder, 'daily.json')
+        fs.writeFileSync(dailyFile, JSON.stringify({ ip: sim.address(), secret: 'test017', boostCancelTime: '03:00' }))
+        assert.strictEqual( await exitCode(['status', '--config', dailyFile], process.env), EXIT.OK )
+        console.info('TEST 017f - exit codes - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 017 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+        fs.rmSync(folder, { recursive: true, force: true })
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
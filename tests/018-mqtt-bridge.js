@@ -0,0 +1,153 @@
+/** MQTT bridge with Home Assistant discovery, uses the bundled hub simulator and a local aedes broker */
+const assert = require('assert')
+const net = require('net')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test018' })
+    await sim.start()
+
+    // Local MQTT broker
+    const broker = require('aedes')()
+    const server = net.createServer(broker.handle)
+    await new Promise( resolve => server.listen(0, '127.0.0.1', resolve) )
+    const url = `mqtt://127.0.0.1:${server.address().port}`
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test018',
+        interval: 0.2,
+        maxBoost: 22,
+    })
+
+    // Stands in for Home Assistant, keeps the latest message on each topic
+    const mqtt = require('mqtt')
+    const ha = mqtt.connect(url)
+    const latest = {}
+    let waiters = []
+    ha.on('message', (topic, message) => {
+        latest[topic] = message.toString()
+        waiters = waiters.filter( w => !w() )
+    })
+    await new Promise( resolve => ha.on('connect', resolve) )
+    await new Promise( resolve => ha.subscribe('#', resolve) )
+
+    /** Resolve when the topic has the value (or passes the test function) */
+    const waitFor = (topic, value) => new Promise( (resolve, reject) => {
+        const test = typeof value === 'function' ? value : v => v === value
+        const timer = setTimeout( () => reject(new Error(`Timed out waiting for ${topic} = ${value}, latest: ${latest[topic]}`)), 5000 )
+        const check = () => {
+            if ( latest[topic] === undefined || !test(latest[topic]) ) return false
+            clearTimeout(timer)
+            resolve(latest[topic])
+            return true
+        }
+        if ( !check() ) waiters.push(check)
+    })
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+
+    const bridge = Wiser.MqttBridge(wiser, { url, nodeId: 'test018' })
+
+    try {
+        // --- State and discovery topics --- //
+        await bridge.start()
+        await waitFor('wiser/status', 'online')
+        await waitFor('wiser/room/office/temperature', '18.3')
+        await waitFor('wiser/room/office/mode', 'auto')
+        await waitFor('wiser/room/lounge/humidity', '52')
+        await waitFor('wiser/device/15/battery', '3')
+        await waitFor('wiser/device/15/demand', v => v !== '')
+        const config = JSON.parse( await waitFor('homeassistant/climate/test018/room_8/config', v => v !== '') )
+        assert.strictEqual(config.name, 'Office')
+        assert.strictEqual(config.unique_id, 'test018_room_8')
+        assert.strictEqual(config.max_temp, 22)
+        assert.strictEqual(config.availability_topic, 'wiser/status')
+        assert.strictEqual(config.temperature_command_topic, 'wiser/room/office/set/setpoint')
+        assert.strictEqual( JSON.parse(latest['homeassistant/climate/test018/room_1/config']).current_humidity_topic, 'wiser/room/lounge/humidity' )
+        console.info('TEST 018a - state and discovery topics - SUCCESS')
+
+        // --- Commands --- //
+        ha.publish('wiser/room/office/set/setpoint', '19')
+        await waitFor('wiser/room/office/setpoint', '19')
+        assert.strictEqual(room('Office').CurrentSetPoint, 190)
+        ha.publish('wiser/room/office/set/mode', 'heat')
+        await waitFor('wiser/room/office/mode', 'heat')
+        ha.publish('wiser/room/office/set/mode', 'off')
+        await waitFor('wiser/room/office/mode', 'off')
+        ha.publish('wiser/room/office/set/preset', 'boost')
+        await waitFor('wiser/room/office/preset', 'boost')
+        ha.publish('wiser/room/office/set', JSON.stringify({ mode: 'auto' }))
+        await waitFor('wiser/room/office/preset', 'none')
+        await waitFor('wiser/room/office/mode', 'auto')
+        ha.publish('wiser/system/set', 'away')
+        await waitFor('wiser/system/mode', 'away')
+        ha.publish('wiser/system/set', 'normal')
+        await waitFor('wiser/system/mode', 'normal')
+        ha.publish('wiser/room/narnia/set/mode', 'auto')
+        assert.ok( /Unknown room/.test( JSON.parse(await waitFor('wiser/error', v => /narnia/.test(v))).error ) )
+        console.info('TEST 018b - commands - SUCCESS')
+
+        // --- Removed rooms are removed from Home Assistant --- //
+        sim.data.domain.Room = sim.data.domain.Room.filter( r => r.Name !== 'Bathroom' )
+        await waitFor('homeassistant/climate/test018/room_4/config', '')
+        console.info('TEST 018c - room removed - SUCCESS')
+
+        // --- Availability follows the monitor --- //
+        // A failed command is not a lost hub
+        const statuses = []
+        const onStatus = (topic, message) => { if ( topic === 'wiser/status' ) statuses.push(message.toString()) }
+        ha.on('message', onStatus)
+        sim.fault({ type: 'error', status: 400, method: 'PATCH' })
+        ha.publish('wiser/room/office/set/setpoint', '20')
+        await waitFor('wiser/error', v => /setpoint/.test(v))
+        wiser.eventEmitter.emit('wiserError', { updated: new Date(), error: new Error('Not a poll') })
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        ha.removeListener('message', onStatus)
+        assert.deepStrictEqual(statuses, [])
+        assert.strictEqual(latest['wiser/status'], 'online')
+
+        sim.fault({ type: 'error', status: 500, count: 1000 })
+        await waitFor('wiser/status', 'offline')
+        sim.clearFaults()
+        await waitFor('wiser/status', 'online')
+        // The broker sends the last will if the bridge's connection is lost
+        bridge.getClient().stream.destroy()
+        await waitFor('wiser/status', 'offline')
+        await waitFor('wiser/status', 'online')
+
+        // A broker error once connected is reported and does not end the client
+        const reported = new Promise( resolve => wiser.eventEmitter.once('wiserError', resolve) )
+        bridge.getClient().emit('error', new Error('ECONNREFUSED'))
+        assert.ok( /MQTT client error/.test( (await reported).error.message ) )
+        assert.strictEqual(bridge.getClient().disconnecting, false)
+        ha.publish('wiser/room/office/set/setpoint', '18')
+        await waitFor('wiser/room/office/setpoint', '18')
+        console.info('TEST 018d - availability - SUCCESS')
+
+        await bridge.stop()
+        await waitFor('wiser/status', 'offline')
+        assert.strictEqual(bridge.getClient(), null)
+        console.info('TEST 018e - stop - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 018 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await bridge.stop()
+        await new Promise( resolve => ha.end(false, {}, resolve) )
+        await new Promise( resolve => broker.close(resolve) )
+        await new Promise( resolve => server.close(resolve) )
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,104 @@
+/** Prometheus metrics exporter, uses the bundled hub simulator */
+const assert = require('assert')
+const http = require('http')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test019' })
+    await sim.start()
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test019',
+        interval: 0.2,
+        hubId: 'house',
+    })
+
+    const metrics = Wiser.MetricsExporter(wiser, { port: 0, host: '127.0.0.1', monitor: true })
+
+    /** GET a path from the exporter
+     * @return {Promise<{status: number, type: string, body: string}>}
+     */
+    const fetch = (port, path) => new Promise( (resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path }, res => {
+            let body = ''
+            res.on('data', chunk => { body += chunk })
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }))
+        }).on('error', reject)
+    })
+    /** Value of the sample with exactly these labels (in this order) */
+    const sample = (body, name, labels) => {
+        const line = body.split('\n').find( l => l.startsWith(`${name}{${labels}} `) )
+        return line === undefined ? undefined : Number(line.split(' ').pop())
+    }
+
+    try {
+        const port = await metrics.start()
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+
+        // --- Gauges from the latest data --- //
+        let res = await fetch(port, '/metrics')
+        assert.strictEqual(res.status, 200)
+        assert.ok( res.type.startsWith('text/plain; version=0.0.4') )
+        const body = res.body
+        assert.ok( body.includes('# TYPE wiser_room_temperature_celsius gauge') )
+        assert.strictEqual( sample(body, 'wiser_up', 'hub="house"'), 1 )
+        assert.strictEqual( sample(body, 'wiser_room_temperature_celsius', 'hub="house",room="Office",room_id="8"'), 18.3 )
+        assert.strictEqual( sample(body, 'wiser_room_humidity_percent', 'hub="house",room="Lounge",room_id="1"'), 52 )
+        assert.strictEqual( typeof sample(body, 'wiser_valve_demand_percent', 'hub="house",room="Kitchen",device_id="12"'), 'number' )
+        assert.strictEqual( typeof sample(body, 'wiser_heating_relay_on', 'hub="house",channel="Channel-1"'), 'number' )
+        assert.strictEqual( sample(body, 'wiser_device_signal_rssi_dbm', 'hub="house",direction="device",room="Lounge",device_id="20",type="RoomStat"'), -58 )
+        assert.strictEqual( sample(body, 'wiser_device_signal_lqi', 'hub="house",direction="controller",room="Office",device_id="15",type="iTRV"'), 140 )
+        assert.strictEqual( sample(body, 'wiser_device_battery_volts', 'hub="house",room="Office",device_id="15",type="iTRV"'), 3 )
+        assert.strictEqual( sample(body, 'wiser_device_battery_level', 'hub="house",level="Normal",room="Office",device_id="15",type="iTRV"'), 1 )
+        // The controller has no room or battery
+        assert.strictEqual( sample(body, 'wiser_device_battery_volts', 'hub="house",room="",device_id="0",type="Controller"'), undefined )
+        console.info('TEST 019a - gauges - SUCCESS')
+
+        // --- Counters --- //
+        const polls = sample(body, 'wiser_hub_polls_total', 'hub="house"')
+        assert.ok( polls >= 1, `polls ${polls}` )
+        assert.ok( body.includes('# TYPE wiser_hub_polls_total counter') )
+        await wiser.setRoomMode('Office', 'boost', 19.5, 30)
+        sim.fault({ type: 'error', status: 500, path: '/data/domain/Room/', method: 'PATCH', count: 3 })
+        await assert.rejects( wiser.setRoomMode('Office', 'boost', 19.5, 30) )
+        // A failed command (or anything else that is not a poll) does not mean the hub is down
+        wiser.eventEmitter.emit('wiserError', { updated: new Date(), error: new Error('Not a poll') })
+        res = await fetch(port, '/metrics')
+        assert.strictEqual( sample(res.body, 'wiser_up', 'hub="house"'), 1 )
+        sim.fault({ type: 'error', status: 500, path: '/data/domain/', method: 'GET', count: 1000 })
+        await new Promise( resolve => wiser.eventEmitter.once('wiserError', resolve) )
+        res = await fetch(port, '/metrics')
+        assert.strictEqual( sample(res.body, 'wiser_hub_commands_total', 'hub="house"'), 2 )
+        assert.strictEqual( sample(res.body, 'wiser_hub_command_errors_total', 'hub="house"'), 1 )
+        assert.ok( sample(res.body, 'wiser_hub_poll_errors_total', 'hub="house"') >= 1 )
+        assert.ok( sample(res.body, 'wiser_hub_polls_total', 'hub="house"') > polls )
+        assert.strictEqual( sample(res.body, 'wiser_up', 'hub="house"'), 0 )
+        // The last good data is still served
+        assert.strictEqual( sample(res.body, 'wiser_room_setpoint_celsius', 'hub="house",room="Office",room_id="8"'), 19.5 )
+        sim.clearFaults()
+        console.info('TEST 019b - counters - SUCCESS')
+
+        // --- Other paths --- //
+        assert.strictEqual( (await fetch(port, '/')).status, 404 )
+        console.info('TEST 019c - not found - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 019 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await metrics.stop()
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,132 @@
+/** Local REST gateway, uses the bundled hub simulator */
+const assert = require('assert')
+const http = require('http')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test020' })
+    await sim.start()
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test020',
+    })
+
+    const TOKEN = 'gateway-token-020'
+    const gateway = Wiser.RestGateway(wiser, { port: 0, host: '127.0.0.1', token: TOKEN, cacheTtl: 60 })
+
+    /** Send a request to the gateway
+     * @return {Promise<{status: number, body: *}>} body is parsed JSON
+     */
+    const request = (port, method, path, body, token = TOKEN) => new Promise( (resolve, reject) => {
+        const headers = { 'Content-Type': 'application/json' }
+        if ( token ) headers.Authorization = `Bearer ${token}`
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+            let text = ''
+            res.on('data', chunk => { text += chunk })
+            res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : undefined }))
+        })
+        req.on('error', reject)
+        req.end(body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)))
+    })
+    /** Number of GET requests the simulator has had */
+    const getRequests = () => sim.requests.GET
+
+    try {
+        await assert.rejects( Wiser.RestGateway(wiser, { port: 0 }).start(), err => /token/.test(err.error) )
+        const port = await gateway.start()
+
+        // --- Authentication --- //
+        assert.strictEqual( (await request(port, 'GET', '/rooms', undefined, null)).status, 401 )
+        assert.strictEqual( (await request(port, 'GET', '/rooms', undefined, 'wrong')).status, 401 )
+        assert.strictEqual( (await request(port, 'GET', '/rooms', undefined, 'test020')).status, 401 )
+        // A path that cannot be decoded is refused before it is decoded, then answered with a 400
+        assert.strictEqual( (await request(port, 'GET', '/%', undefined, null)).status, 401 )
+        console.info('TEST 020a - token - SUCCESS')
+
+        // --- Reads, from the cache --- //
+        const before = getRequests()
+        let res = await request(port, 'GET', '/rooms')
+        assert.strictEqual(res.status, 200)
+        const office = res.body.find( room => room.name === 'Office' )
+        assert.strictEqual(office.id, 8)
+        assert.strictEqual(office.temperature, 18.3)
+        assert.strictEqual(office.mode, 'auto')
+        assert.strictEqual( res.body.find( room => room.name === 'Lounge' ).humidity, 52 )
+        assert.deepStrictEqual( (await request(port, 'GET', '/rooms/8')).body, office )
+        assert.deepStrictEqual( (await request(port, 'GET', '/rooms/Office')).body, office )
+        assert.strictEqual( (await request(port, 'GET', '/rooms/Narnia')).status, 404 )
+        res = await request(port, 'GET', '/devices')
+        const valve = res.body.find( dev => dev.id === 15 )
+        assert.strictEqual(valve.room, 'Office')
+        assert.deepStrictEqual(valve.battery, { volts: 3, level: 'Normal' })
+        res = await request(port, 'GET', '/schedules')
+        const sched = res.body.find( s => s.id === 8 )
+        assert.deepStrictEqual(sched.rooms, ['Office'])
+        assert.strictEqual( (await request(port, 'GET', '/system')).body.mode, 'normal' )
+        assert.strictEqual( getRequests() - before, 1 )
+        console.info('TEST 020b - reads - SUCCESS')
+
+        // --- Room mode --- //
+        res = await request(port, 'PUT', '/rooms/Office/mode', { mode: 'boost', temp: 19.5, duration: 30 })
+        assert.strictEqual(res.status, 200)
+        assert.strictEqual(res.body.setPoint, 19.5)
+        assert.strictEqual(res.body.override.type, 'boost')
+        // The cache is refreshed after a change
+        assert.strictEqual( (await request(port, 'GET', '/rooms/8')).body.setPoint, 19.5 )
+        res = await request(port, 'PUT', '/rooms/8/mode', { mode: 'auto' })
+        assert.strictEqual(res.body.override, null)
+        assert.strictEqual( (await request(port, 'PUT', '/rooms/8/mode', { mode: 'sideways' })).status, 400 )
+        assert.strictEqual( (await request(port, 'PUT', '/rooms/8/mode', '{mode')).status, 400 )
+        assert.strictEqual( (await request(port, 'PUT', '/rooms/Narnia/mode', { mode: 'auto' })).status, 404 )
+        assert.strictEqual( (await request(port, 'DELETE', '/rooms/8')).status, 405 )
+        assert.strictEqual( (await request(port, 'GET', '/nothing')).status, 404 )
+        assert.strictEqual( (await request(port, 'GET', '/%')).status, 400 )
+        assert.strictEqual( (await request(port, 'GET', '/rooms/%E0%A4%A')).status, 400 )
+        console.info('TEST 020c - room mode - SUCCESS')
+
+        // --- System mode --- //
+        res = await request(port, 'POST', '/system/mode', { mode: 'away' })
+        assert.strictEqual(res.status, 200)
+        assert.strictEqual(res.body.mode, 'away')
+        assert.strictEqual( (await request(port, 'POST', '/system/mode', { mode: 'normal' })).body.mode, 'normal' )
+        assert.strictEqual( (await request(port, 'POST', '/system/mode', { mode: 'holiday' })).status, 400 )
+        console.info('TEST 020d - system mode - SUCCESS')
+
+        // --- Schedules --- //
+        const monday = [ { time: '07:00', temp: 19 }, { time: '22:00', temp: 15 } ]
+        res = await request(port, 'PUT', '/schedules/8', { all: monday })
+        assert.strictEqual(res.status, 200, JSON.stringify(res.body))
+        assert.deepStrictEqual(res.body.all, monday)
+        assert.deepStrictEqual(res.body.rooms, ['Office'])
+        assert.strictEqual( (await request(port, 'PUT', '/schedules/8', { all: [ { time: '07:00', temp: 99 } ] })).status, 400 )
+        assert.strictEqual( (await request(port, 'PUT', '/schedules/999', { all: monday })).status, 404 )
+        console.info('TEST 020e - schedules - SUCCESS')
+
+        // --- Controller failures --- //
+        sim.fault({ type: 'error', status: 500, path: '/data/domain/', method: 'GET', count: 1000 })
+        await request(port, 'PUT', '/rooms/8/mode', { mode: 'auto' })
+        assert.strictEqual( (await request(port, 'GET', '/rooms')).status, 502 )
+        sim.clearFaults()
+        assert.strictEqual( (await request(port, 'GET', '/rooms')).status, 200 )
+        console.info('TEST 020f - controller errors - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 020 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await gateway.stop()
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,110 @@
+/** Domain model (getModel, lookupRoom, getRoomStat, getTRV), uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test021' })
+    await sim.start()
+    // Add a SmartPlug to the Kitchen
+    const plug = JSON.parse(JSON.stringify( sim.data.domain.Device.find( dev => dev.id === 20 ) ))
+    sim.data.domain.Device.push( Object.assign(plug, { id: 30, ProductType: 'SmartPlug', ModelIdentifier: 'SmartPlug' }) )
+    sim.data.domain.SmartPlug = [ { id: 30, Name: 'Towel rail', OutputState: 'On', Mode: 'Auto' } ]
+    sim.data.domain.Room.find( r => r.Name === 'Kitchen' ).SmartPlugIds = [30]
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test021',
+    })
+
+    try {
+        // --- Before any data --- //
+        assert.strictEqual(wiser.getModel(), null)
+        assert.strictEqual(wiser.getTRV(15).found, false)
+        assert.ok( /getFull/.test(wiser.lookupRoom('Office').error) )
+        assert.strictEqual(wiser.getRoom(8).found, false)
+        assert.ok( /getFull/.test(wiser.getRoomByName('Office').error) )
+        console.info('TEST 021a - no data - SUCCESS')
+
+        await wiser.getFull()
+        const model = wiser.getModel()
+        assert.ok( model instanceof Wiser.domain.Model )
+        assert.strictEqual( wiser.getModel(), model, 'The model is re-used until the next getFull' )
+
+        // --- Rooms, °C values and links --- //
+        const office = model.room('Office').value
+        assert.ok( office instanceof Wiser.domain.Room )
+        assert.strictEqual(office.id, 8)
+        assert.strictEqual(office.temperature, 18.3)
+        assert.strictEqual(office.raw.CalculatedTemperature, 183)
+        assert.deepStrictEqual( office.valves.map( valve => valve.id ), [15] )
+        assert.strictEqual(office.roomStat, null)
+        assert.strictEqual(office.heatingChannel.name, 'Channel-1')
+        const lounge = model.room(1).value
+        assert.strictEqual(lounge.roomStat.humidity, 52)
+        assert.strictEqual(lounge.roomStat.room, lounge)
+        assert.deepStrictEqual( lounge.valves.map( valve => valve.id ), [10, 11] )
+        assert.ok( model.heatingChannels[0].rooms.includes(office) )
+        // The links are not in the JSON
+        assert.strictEqual( JSON.parse(JSON.stringify(office)).valves, undefined )
+        console.info('TEST 021b - rooms - SUCCESS')
+
+        // --- Devices --- //
+        const valve = wiser.getTRV(15)
+        assert.deepStrictEqual( [valve.found, valve.unique, valve.error], [true, true, null] )
+        assert.ok( valve.value instanceof Wiser.domain.SmartValve )
+        assert.strictEqual(valve.value.room, office)
+        assert.strictEqual(valve.value.temperature, 19)
+        assert.strictEqual(valve.value.setPoint, office.setPoint)
+        assert.strictEqual(valve.value.windowOpen, false)
+        assert.deepStrictEqual(valve.value.battery, { volts: 3, level: 'Normal' })
+        assert.strictEqual(valve.value.type, 'iTRV')
+        const stat = wiser.getRoomStat(20)
+        assert.ok( stat.value instanceof Wiser.domain.RoomStat )
+        assert.strictEqual(stat.value.temperature, 19.5)
+        assert.strictEqual(stat.value.room.name, 'Lounge')
+        const towelRail = model.smartPlug('Towel rail').value
+        assert.strictEqual(towelRail.id, 30)
+        assert.strictEqual(towelRail.on, true)
+        assert.strictEqual(towelRail.room.name, 'Kitchen')
+        assert.deepStrictEqual( model.room('Kitchen').value.plugs, [towelRail] )
+        assert.strictEqual(model.system.mode, 'normal')
+        console.info('TEST 021c - devices - SUCCESS')
+
+        // --- Lookup results --- //
+        let result = wiser.lookupRoom('Narnia')
+        assert.deepStrictEqual(result, { found: false, unique: false, value: null, error: 'Room Narnia not found' })
+        assert.strictEqual( wiser.getTRV(99).error, 'SmartValve 99 not found' )
+        assert.strictEqual( wiser.getRoomStat(15).found, false )
+        assert.strictEqual( wiser.lookupRoom('8').value.name, 'Office' )
+        // getRoom and getRoomByName return the same lookup results
+        assert.strictEqual( wiser.getRoom(8).value, wiser.lookupRoom('Office').value )
+        assert.strictEqual( wiser.getRoom(8).value.raw.Name, 'Office' )
+        assert.deepStrictEqual( wiser.getRoom(100), { found: false, unique: false, value: null, error: 'Room 100 not found' } )
+        assert.strictEqual( wiser.getRoomByName('Office').value.id, 8 )
+        assert.strictEqual( wiser.getRoomByName('8').found, false )
+        sim.data.domain.Room.find( r => r.Name === 'Bedroom' ).Name = 'Office'
+        await wiser.getFull()
+        assert.notStrictEqual( wiser.getModel(), model, 'A new model is built after getFull' )
+        result = wiser.lookupRoom('Office')
+        assert.deepStrictEqual( [result.found, result.unique, result.error], [true, false, 'Room Office not unique, 2 found'] )
+        assert.deepStrictEqual( wiser.getRoomByName('Office'), result )
+        console.info('TEST 021d - lookup results - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 021 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
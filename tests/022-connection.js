@@ -0,0 +1,118 @@
+/** Connection health - retries, timeouts, connection state and slower monitor polling while the hub is down. Uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test022' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test022',
+        interval: 0.1,
+        retryDelay: 0.02,
+    })
+
+    const wait = ms => new Promise( resolve => setTimeout(resolve, ms) )
+    const events = []
+    wiser.eventEmitter.on('wiserConnectionLost', data => events.push(['lost', data]) )
+    wiser.eventEmitter.on('wiserConnectionRestored', data => events.push(['restored', data]) )
+    // Failed requests are logged by getFull, keep the test output short
+    const consoleError = console.error
+    console.error = () => {}
+
+    try {
+        assert.strictEqual(wiser.getConnection().state, 'unknown')
+        assert.strictEqual( await wiser.testConnection(), true )
+        assert.strictEqual(wiser.getConnection().state, 'connected')
+        console.info('TEST 022a - testConnection - SUCCESS')
+
+        // --- Retries --- //
+        let before = sim.requests.GET
+        sim.fault({ type: 'error', status: 503, count: 2 })
+        const res = await wiser.get('system')
+        assert.strictEqual(res.system.BrandName, 'WiserHeat')
+        assert.strictEqual(sim.requests.GET - before, 3)
+        assert.strictEqual(wiser.getConnection().state, 'degraded')
+        await wiser.get('system')
+        assert.strictEqual(wiser.getConnection().state, 'connected')
+        // The controller is there but refused the request, so it is not retried
+        before = sim.requests.GET
+        sim.fault({ type: 'unauthorized' })
+        await assert.rejects( wiser.get('system'), err => err.status === 401 )
+        assert.strictEqual(sim.requests.GET - before, 1)
+        assert.strictEqual(wiser.getConnection().state, 'connected')
+        // New schedules are not created twice
+        before = sim.requests.POST || 0
+        sim.fault({ type: 'error', status: 500, method: 'POST' })
+        await assert.rejects( wiser.createSchedule({ all: [ { time: '07:00', temp: 19 } ] }) )
+        assert.strictEqual(sim.requests.POST - before, 1)
+        assert.strictEqual(wiser.getConnection().failures, 1)
+        await wiser.get('system')
+        console.info('TEST 022b - retries - SUCCESS')
+
+        // --- Timeouts --- //
+        assert.deepStrictEqual( wiser.setConnectionOptions({ timeout: 0.2, retries: 0 }),
+            { timeout: 0.2, retries: 0, retryDelay: 0.02, retryMaxDelay: 8, maxFailures: 3, maxPollInterval: 300 } )
+        sim.fault({ type: 'timeout' })
+        const started = Date.now()
+        await assert.rejects( wiser.get('system'), err => err.name === 'WiserTimeoutError' && err.details.code === 'ECONNABORTED' )
+        assert.ok( Date.now() - started < 2000 )
+        assert.strictEqual(wiser.getConnection().state, 'degraded')
+        assert.strictEqual(wiser.getConnection().failures, 1)
+        // Invalid options are ignored
+        assert.strictEqual( wiser.setConnectionOptions({ retries: -1, maxFailures: 0 }).retries, 0 )
+        assert.strictEqual( wiser.getSettings().maxFailures, 3 )
+        console.info('TEST 022c - timeouts - SUCCESS')
+
+        // --- Lost and restored --- //
+        wiser.setConnectionOptions({ maxFailures: 2, maxPollInterval: 0.8 })
+        await wiser.getFull()
+        wiser.monitor('test022')
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        sim.fault({ type: 'error', status: 500, count: 1000 })
+        while ( events.length < 1 ) await wait(20)
+        assert.strictEqual(events[0][0], 'lost')
+        assert.strictEqual(events[0][1].failures, 2)
+        assert.ok( events[0][1].since instanceof Date )
+        assert.strictEqual(wiser.getConnection().state, 'disconnected')
+        assert.strictEqual( await wiser.testConnection(), false )
+        // Polls get further apart while the controller is down (it would be about 10 a second otherwise)
+        before = sim.requests.GET
+        await wait(1000)
+        const polls = sim.requests.GET - before
+        assert.ok( polls <= 3, `${polls} polls in 1s` )
+        console.info('TEST 022d - connection lost - SUCCESS')
+
+        sim.clearFaults()
+        while ( events.length < 2 ) await wait(20)
+        assert.strictEqual(events.length, 2, 'Lost is only emitted once per outage')
+        assert.strictEqual(events[1][0], 'restored')
+        assert.strictEqual(events[1][1].since, events[0][1].since)
+        assert.ok( events[1][1].outage >= 1000 )
+        assert.strictEqual(events[1][1].outage, events[1][1].restored.getTime() - events[1][1].since.getTime())
+        assert.strictEqual(wiser.getConnection().state, 'connected')
+        assert.strictEqual(wiser.getConnection().failures, 0)
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        console.info('TEST 022e - connection restored - SUCCESS')
+
+    } catch (err) {
+        console.error = consoleError
+        console.error('TEST 022 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        console.error = consoleError
+        wiser.removeMonitor('test022')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,102 @@
+/** Error classes - every public function rejects or throws with one of the exported Wiser errors. Uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test023' })
+    await sim.start()
+
+    const Wiser = require('../src/index')
+    const {
+        WiserError, WiserConfigError, WiserValidationError, WiserNotFoundError, WiserHubError, WiserAuthError, WiserTimeoutError,
+    } = Wiser
+    const wiser = Wiser()
+
+    /** assert.rejects validator - right class and message (through the old `error` property too) */
+    const is = (cls, pattern) => err => err instanceof cls && err instanceof WiserError && pattern.test(err.message) && err.error === err.message
+
+    try {
+        // --- Configuration --- //
+        assert.throws( () => wiser.setConfig({ ip: sim.address() }), is(WiserConfigError, /IP and SECRET/) )
+        assert.throws( () => wiser.testConnection(), is(WiserConfigError, /setConfig/) )
+        await assert.rejects( wiser.getFull(), is(WiserConfigError, /getFull/) )
+        await assert.rejects( wiser.get('system'), is(WiserConfigError, /get\]/) )
+        wiser.setConfig({ ip: sim.address(), secret: 'test023', retryDelay: 0.02 })
+        await assert.rejects( Wiser.RestGateway(wiser, { port: 0 }).start(), is(WiserConfigError, /token/) )
+        console.info('TEST 023a - WiserConfigError - SUCCESS')
+
+        // --- Validation and not found --- //
+        await assert.rejects( wiser.get('nonsense'), is(WiserValidationError, /Invalid service name/) )
+        await assert.rejects( wiser.setRoomMode('Office', 'sideways'), is(WiserValidationError, /Invalid mode/) )
+        await assert.rejects( wiser.setRoomMode('Office', 'boost', 'hot'), is(WiserValidationError, /Temperature/) )
+        await assert.rejects( wiser.setRoomMode('', 'auto'), is(WiserValidationError, /Room ID or Name/) )
+        await assert.rejects( wiser.setSystemMode('party'), is(WiserValidationError, /Invalid mode/) )
+        await assert.rejects( wiser.loadSchedule({ id: 8, all: [ { time: '07:30', temp: 99 } ] }), is(WiserValidationError, /Invalid schedule/) )
+        await assert.rejects( wiser.setRoomMode('Narnia', 'auto'), is(WiserNotFoundError, /Narnia/) )
+        await assert.rejects( wiser.assignSchedule('Office', 999), is(WiserNotFoundError, /999/) )
+        await assert.rejects( wiser.saveSchedule(999, false), is(WiserNotFoundError, /999/) )
+        const hubs = Wiser.HubManager()
+        assert.throws( () => hubs.getHub('nowhere'), is(WiserNotFoundError, /Unknown hub/) )
+        hubs.addHub('house', { ip: sim.address(), secret: 'test023' })
+        assert.throws( () => hubs.addHub('house', { ip: sim.address(), secret: 'test023' }), is(WiserValidationError, /already exists/) )
+        await assert.rejects( hubs.all('dance'), is(WiserValidationError, /Unknown function/) )
+        hubs.removeHub('house')
+        // Numbers as strings are still fine
+        assert.strictEqual( (await wiser.setRoomMode('Office', 'set', '19')).lastResult.CurrentSetPoint, 190 )
+        await wiser.setRoomMode('Office', 'auto')
+        console.info('TEST 023b - WiserValidationError and WiserNotFoundError - SUCCESS')
+
+        // --- Controller failures --- //
+        sim.fault({ type: 'unauthorized' })
+        let error = await wiser.get('system').catch( err => err )
+        assert.ok( error instanceof WiserAuthError && error instanceof WiserHubError )
+        assert.strictEqual(error.status, 401)
+        assert.strictEqual(error.method, 'GET')
+        assert.ok( /SECRET/.test(error.message) )
+        assert.ok( error.details.response )
+
+        sim.fault({ type: 'error', status: 500, path: '/data/domain/', count: 1000 })
+        error = await wiser.getFull().catch( err => err )
+        assert.ok( error instanceof WiserHubError && !(error instanceof WiserAuthError) )
+        assert.strictEqual(error.status, 500)
+        assert.strictEqual(error.path, '/data/domain/')
+        assert.ok( /getFull/.test(error.error) )
+        await assert.rejects( wiser.setRoomMode('Office', 'auto'), is(WiserHubError, /getFull/) )
+        sim.clearFaults()
+
+        sim.fault({ type: 'error', status: 500, method: 'PATCH', count: 1000 })
+        await assert.rejects( wiser.setSystemMode('away'), err => err instanceof WiserHubError && err.method === 'PATCH' && err.status === 500 )
+        await assert.rejects( wiser.setRoomMode('Office', 'boost', 19), is(WiserHubError, /Send to controller failed \(Office\)/) )
+        sim.clearFaults()
+
+        wiser.setConnectionOptions({ timeout: 0.2, retries: 0 })
+        sim.fault({ type: 'timeout' })
+        error = await wiser.get('system').catch( err => err )
+        assert.ok( error instanceof WiserTimeoutError && error instanceof WiserHubError )
+        assert.strictEqual(error.status, null)
+        console.info('TEST 023c - WiserHubError, WiserAuthError and WiserTimeoutError - SUCCESS')
+
+        // --- JSON --- //
+        const json = JSON.parse(JSON.stringify(error))
+        assert.strictEqual(json.name, 'WiserTimeoutError')
+        assert.strictEqual(json.error, error.message)
+        assert.strictEqual(json.path, '/data/domain/System/')
+        assert.strictEqual(json.details, undefined)
+        console.info('TEST 023d - errors as JSON - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 023 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
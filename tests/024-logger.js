@@ -0,0 +1,122 @@
+/** Pluggable logger - levels, structured fields and redaction of the SECRET. Uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const SECRET = 'test024-secret'
+    const sim = require('../src/simulator')({ secret: SECRET })
+    await sim.start()
+
+    /** pino-style logger that keeps the messages */
+    const entries = []
+    const logger = {}
+    const levels = ['debug', 'info', 'warn', 'error']
+    levels.forEach( level => {
+        logger[level] = (fields, message) => entries.push({ level, fields, message })
+    })
+    const last = () => entries[entries.length - 1]
+
+    const wiser = require('../src/index')()
+
+    try {
+        // --- Redaction --- //
+        assert.throws( () => wiser.setConfig({ ip: '', secret: SECRET, logger }) )
+        assert.strictEqual(last().level, 'error')
+        assert.strictEqual(last().fields.secret, '[REDACTED]')
+
+        wiser.setConfig({ ip: sim.address(), secret: SECRET, hubId: 'house', logger, retries: 0 })
+        wiser.debug(true)
+        assert.strictEqual(last().fields.settings.hubId, 'house')
+        assert.strictEqual(last().fields.axiosConfig.headers.SECRET, '[REDACTED]')
+        assert.strictEqual(last().fields.axiosConfig.httpAgent, '[Agent]')
+        // The SECRET is also removed from messages and string fields
+        wiser.setMaxBoost(SECRET)
+        assert.ok( /maxBoost not a valid number/.test(last().message) )
+        assert.strictEqual(last().fields.maxBoost, '[REDACTED]')
+        assert.ok( !JSON.stringify(entries).includes(SECRET) )
+
+        // A short secret is still redacted everywhere
+        const short = require('../src/index')()
+        short.setConfig({ ip: sim.address(), secret: 'abc', logger, retries: 0 })
+        short.debug(true)
+        assert.strictEqual(last().fields.axiosConfig.headers.SECRET, '[REDACTED]')
+        short.setMaxBoost('abc')
+        assert.strictEqual(last().fields.maxBoost, '[REDACTED]')
+        assert.ok( !last().message.includes('abc'), last().message )
+
+        // winston loggers are called with the message first
+        const winston = { transports: [], add: () => {} }
+        levels.forEach( level => {
+            winston[level] = (message, fields) => entries.push({ level, fields, message, winston: true })
+        })
+        short.setLogger(winston)
+        short.setMaxBoost('hot')
+        assert.strictEqual(last().winston, true)
+        assert.ok( /maxBoost not a valid number/.test(last().message) )
+        assert.strictEqual(last().fields.maxBoost, 'hot')
+        console.info('TEST 024a - secrets redacted - SUCCESS')
+
+        // --- Structured fields --- //
+        await wiser.getFull()
+        wiser.setMaxBoost('hot')
+        assert.deepStrictEqual( [last().level, last().fields], ['warn', { maxBoost: 'hot', hubId: 'house' }] )
+
+        sim.fault({ type: 'unauthorized' })
+        assert.strictEqual( await wiser.testConnection(), false )
+        assert.strictEqual(last().fields.service, 'brandName')
+        // Errors are summarised rather than the whole axios error
+        assert.deepStrictEqual( Object.keys(last().fields.err).sort(), ['message', 'method', 'name', 'path', 'status'] )
+        assert.strictEqual(last().fields.err.status, 401)
+
+        wiser.setConfig({ ip: sim.address(), secret: SECRET, interval: 0.1 })
+        sim.fault({ type: 'error', status: 500, path: '/data/domain/', count: 1000 })
+        const polled = entries.length
+        wiser.monitor('test024')
+        while ( entries.length < polled + 2 ) await new Promise( resolve => setTimeout(resolve, 20) )
+        wiser.removeMonitor('test024')
+        sim.clearFaults()
+        const poll = entries[polled + 1]
+        assert.strictEqual(poll.fields.monitorRef, 'test024')
+        assert.strictEqual(poll.fields.service, 'full')
+        assert.strictEqual(poll.fields.err.name, 'WiserHubError')
+        assert.strictEqual(poll.fields.err.path, '/data/domain/')
+        console.info('TEST 024b - structured fields - SUCCESS')
+
+        // --- Levels --- //
+        assert.deepStrictEqual( wiser.setLogger(undefined, 'error'), { logLevel: 'error' } )
+        let count = entries.length
+        wiser.setMaxBoost('hot')
+        await wiser.setRoomMode('Office', 'boost', 2)
+        assert.strictEqual(entries.length, count)
+        wiser.setLogger(undefined, 'debug')
+        await wiser.setRoomMode('Office', 'boost', 2)
+        assert.strictEqual(last().level, 'info')
+        assert.strictEqual(last().fields.room, 'Office')
+        await wiser.setRoomMode('Office', 'auto')
+        // Invalid loggers and levels are ignored
+        assert.deepStrictEqual( wiser.setLogger({ info: () => {} }, 'loud'), { logLevel: 'debug' } )
+        assert.strictEqual(last().fields.level, 'loud')
+        wiser.setLogger(undefined, 'silent')
+        count = entries.length
+        wiser.setMaxBoost('hot')
+        assert.strictEqual(entries.length, count)
+        assert.strictEqual(wiser.getSettings().logLevel, 'silent')
+        console.info('TEST 024c - levels - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 024 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test024')
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,118 @@
+/** History recorder - room readings in daily NDJSON files, queries with downsampling and retention. Uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test025' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test025-'))
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test025',
+        folder: folder,
+        interval: 0.1,
+    })
+
+    const HOUR = 60 * 60 * 1000
+    const night = Date.parse('2020-11-28T00:00:00Z')
+    const history = Wiser.HistoryRecorder(wiser, { retentionDays: 3650 })
+
+    try {
+        // --- Recording --- //
+        const full = await wiser.getFull()
+        const office = full.Room.find( room => room.Name === 'Office' )
+        // A reading every 10 minutes through the night, warming up from 15.0°C by 0.1°C each time
+        for ( let i = 0; i < 48; i++ ) {
+            office.CalculatedTemperature = 150 + i
+            await history.record(full, night + i * 10 * 60 * 1000)
+        }
+        // Readings before midnight go in the previous day's file
+        await history.record(full, night - 10 * 60 * 1000)
+        const files = fs.readdirSync(path.join(folder, 'history')).sort()
+        assert.deepStrictEqual(files, ['history-2020-11-27.ndjson', 'history-2020-11-28.ndjson'])
+        const line = JSON.parse( fs.readFileSync(path.join(folder, 'history', files[1]), 'utf8').split('\n')[0] )
+        assert.deepStrictEqual( Object.keys(line), ['t', 'id', 'room', 'temperature', 'setPoint', 'mode', 'override', 'humidity', 'demand', 'heating'] )
+        console.info('TEST 025a - recording - SUCCESS')
+
+        // --- Queries --- //
+        let res = await history.query('Office', { from: night, to: night + 8 * HOUR })
+        assert.strictEqual(res.id, 8)
+        assert.strictEqual(res.points.length, 48)
+        assert.strictEqual(res.points[0].temperature, 15)
+        assert.strictEqual(res.points[47].temperature, 19.7)
+        assert.strictEqual(res.step, null)
+        // By id, across the two files
+        res = await history.query(8, { from: new Date(night - HOUR), to: '2020-11-28T01:00:00Z' })
+        assert.strictEqual(res.room, 'Office')
+        assert.strictEqual(res.points.length, 8)
+        // Lounge has a RoomStat so it has humidity
+        res = await history.query('Lounge', { from: night, to: night + HOUR })
+        assert.strictEqual(res.points[0].humidity, 52)
+        assert.strictEqual( (await history.query('Narnia', { from: night, to: night + HOUR })).points.length, 0 )
+        await assert.rejects( history.query('Office', { from: 'last tuesday' }), err => err instanceof Wiser.WiserValidationError )
+        await assert.rejects( history.query('Office', { from: night + HOUR, to: night }), err => err instanceof Wiser.WiserValidationError )
+        console.info('TEST 025b - query - SUCCESS')
+
+        // --- Downsampling --- //
+        res = await history.query('Office', { from: night, to: night + 8 * HOUR - 1, step: 3600 })
+        assert.strictEqual(res.points.length, 8)
+        assert.strictEqual(res.points[0].t, night)
+        assert.strictEqual(res.points[0].samples, 6)
+        assert.strictEqual(res.points[0].temperature, 15.3)
+        res = await history.query('Office', { from: night, to: night + 8 * HOUR - 1, maxPoints: 4 })
+        assert.strictEqual(res.step, 7200)
+        assert.strictEqual(res.points.length, 4)
+        console.info('TEST 025c - downsampling - SUCCESS')
+
+        // --- Retention --- //
+        const short = Wiser.HistoryRecorder(wiser, { retentionDays: 1 })
+        let removed = await short.prune(night + HOUR)
+        assert.deepStrictEqual( removed.map( file => path.basename(file) ), ['history-2020-11-27.ndjson'] )
+        const small = Wiser.HistoryRecorder(wiser, { retentionDays: 3650, maxBytes: 1 })
+        await small.record(full, night + 2 * 24 * HOUR)
+        // The newest day is always kept
+        assert.deepStrictEqual( fs.readdirSync(path.join(folder, 'history')), ['history-2020-11-30.ndjson'] )
+        console.info('TEST 025d - retention - SUCCESS')
+
+        // --- Attached to a monitor --- //
+        const live = Wiser.HistoryRecorder(wiser, { monitor: true, monitorRef: 'test025' })
+        const before = Date.now()
+        await live.start()
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        await new Promise( resolve => wiser.eventEmitter.once('wiserPing', resolve) )
+        // The hubId is the second argument of wiserFullUpdate
+        wiser.eventEmitter.emit('wiserFullUpdate', full, 'annex')
+        await live.stop()
+        const recorded = fs.readdirSync(path.join(folder, 'history')).map( file => fs.readFileSync(path.join(folder, 'history', file), 'utf8') ).join('')
+        assert.ok( recorded.split('\n').some( l => l !== '' && JSON.parse(l).hubId === 'annex' ) )
+        res = await live.query('Office', { from: before })
+        assert.ok( res.points.length >= 2 )
+        assert.strictEqual(res.points[0].temperature, 18.3)
+        assert.strictEqual(typeof res.points[0].heating, 'boolean')
+        console.info('TEST 025e - monitor - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 025 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test025')
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,116 @@
+/** Heating analytics - reports from the history and wiserAnomaly events. Uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test026' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test026-'))
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test026',
+        folder: folder,
+    })
+
+    const MINUTE = 60 * 1000
+    const history = Wiser.HistoryRecorder(wiser, { retentionDays: 3650 })
+    const analytics = Wiser.Analytics(wiser, { history })
+    const anomalies = []
+    wiser.eventEmitter.on('wiserAnomaly', data => anomalies.push(data) )
+
+    try {
+        const full = await wiser.getFull()
+        const room = name => full.Room.find( r => r.Name === name )
+        const set = (name, temp, setPoint, demand) => {
+            Object.assign(room(name), { CalculatedTemperature: Math.round(temp * 10), CurrentSetPoint: setPoint * 10, PercentageDemand: demand })
+        }
+        full.Room.forEach( r => { r.PercentageDemand = 0 } )
+
+        // --- A morning: the schedule raises the Office and Kitchen to 20/21°C at 06:10 --- //
+        // The Office warms up at 2°C an hour and gets there at 08:10, the Kitchen never warms up
+        const morning = new Date(2020, 10, 28, 6, 0).getTime()
+        for ( let k = -1; k <= 23; k++ ) {
+            const office = k < 0 ? 16 : Math.min(20, 16 + k / 3)
+            const officeCalling = k >= 0 && office < 20
+            set('Office', office, k < 0 ? 16 : 20, officeCalling ? 100 : 0)
+            set('Kitchen', 15, k < 0 ? 16 : 21, k < 0 ? 0 : 100)
+            full.HeatingChannel[0].HeatingRelayState = k < 0 ? 'Off' : 'On'
+            await history.record(full, morning + (k + 1) * 10 * MINUTE)
+        }
+
+        const res = await analytics.report({ from: morning, to: morning + 4 * 60 * MINUTE })
+        const office = res.rooms.find( r => r.name === 'Office' )
+        const kitchen = res.rooms.find( r => r.name === 'Kitchen' )
+        assert.strictEqual(office.readings, 25)
+        assert.strictEqual(office.warmUpRate, 2)
+        assert.deepStrictEqual(office.timeToSetPoint, { median: 120, changes: 1, reached: 1 })
+        assert.strictEqual(office.reachesSetPoint, true)
+        assert.strictEqual(kitchen.warmUpRate, 0)
+        assert.deepStrictEqual(kitchen.timeToSetPoint, { median: null, changes: 1, reached: 0 })
+        assert.deepStrictEqual(res.neverReachSetPoint, ['Kitchen'])
+        // Demand: Office 100% for 2 hours, Kitchen 100% for 3h50
+        assert.strictEqual(office.demandShare, 34.3)
+        assert.strictEqual(kitchen.demandShare, 65.7)
+        assert.strictEqual( res.rooms.find( r => r.name === 'Lounge' ).demandShare, 0 )
+        assert.deepStrictEqual(res.channels, [ { id: 1, name: 'Channel-1', days: [ { date: '2020-11-28', onMinutes: 230, recordedMinutes: 240, dutyCycle: 95.8 } ] } ])
+        console.info('TEST 026a - report - SUCCESS')
+
+        await assert.rejects( Wiser.Analytics(wiser).report(), err => err instanceof Wiser.WiserConfigError )
+        assert.deepStrictEqual( await analytics.learn(morning + 4 * 60 * MINUTE), { 2: 0, 8: 2 } )
+        console.info('TEST 026b - usual warm-up rates - SUCCESS')
+
+        // --- Next morning: the Office valve is stuck and the Lounge window is open --- //
+        const next = morning + 24 * 60 * MINUTE
+        set('Kitchen', 21, 21, 0)
+        for ( let k = 0; k <= 9; k++ ) {
+            set('Office', 16, 20, 100)
+            set('Lounge', 20 - k * 0.5, 21, k < 5 ? 100 : 0)
+            analytics.check(full, next + k * 10 * MINUTE)
+        }
+        assert.deepStrictEqual( anomalies.map( a => [a.type, a.room] ), [ ['fastCooling', 'Lounge'], ['noWarmUp', 'Office'] ] )
+        assert.deepStrictEqual(anomalies[0].details, { rate: 3, minutes: 10 })
+        assert.strictEqual(anomalies[0].updated.getTime(), next + 10 * MINUTE)
+        assert.deepStrictEqual(anomalies[1].details, { rate: 0, usual: 2, minutes: 60 })
+        assert.strictEqual(anomalies[1].setPoint, 20)
+        // Once the Office warms up again it can be reported again
+        set('Office', 20, 20, 0)
+        analytics.check(full, next + 100 * MINUTE)
+        set('Office', 16, 20, 100)
+        for ( let k = 11; k <= 17; k++ ) analytics.check(full, next + k * 10 * MINUTE)
+        assert.strictEqual( anomalies.filter( a => a.type === 'noWarmUp' ).length, 2 )
+        console.info('TEST 026c - wiserAnomaly - SUCCESS')
+
+        // --- Live, from the monitor's full updates --- //
+        const listeners = wiser.eventEmitter.listenerCount('wiserFullUpdate')
+        await analytics.start()
+        assert.strictEqual(wiser.eventEmitter.listenerCount('wiserFullUpdate'), listeners + 1)
+        await wiser.getFull()
+        await analytics.stop()
+        assert.strictEqual(wiser.eventEmitter.listenerCount('wiserFullUpdate'), listeners)
+        console.info('TEST 026d - start/stop - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 026 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await analytics.stop()
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,132 @@
+/** Request queue and getFull cache - one request at a time, spacing, patches in order and reusing the full data. Uses the bundled hub simulator */
+const assert = require('assert')
+const RequestQueue = require('../src/queue')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test027' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test027',
+        maxBoost: 25,
+    })
+
+    const wait = ms => new Promise( resolve => setTimeout(resolve, ms) )
+    const consoleWarn = console.warn
+    console.warn = () => {}
+
+    try {
+        // --- The queue on its own --- //
+        const settings = { queueConcurrency: 1, queueSpacing: 0 }
+        const queue = RequestQueue(settings)
+        const order = []
+        let running = 0
+        let most = 0
+        const job = (name, ms) => () => {
+            running++
+            most = Math.max(most, running)
+            order.push(name)
+            return wait(ms).then( () => {
+                running--
+                return name
+            })
+        }
+        let results = await Promise.all([ queue.run(job('a', 30)), queue.run(job('b', 10)), queue.run(job('c', 0)) ])
+        assert.deepStrictEqual(results, ['a', 'b', 'c'])
+        assert.deepStrictEqual(order, ['a', 'b', 'c'])
+        assert.strictEqual(most, 1)
+        // A failed request does not stop the queue
+        await assert.rejects( queue.run( () => Promise.reject(new Error('nope')) ), /nope/ )
+        assert.strictEqual( await queue.run( () => 'after' ), 'after' )
+        assert.deepStrictEqual(queue.getState(), { waiting: 0, active: 0 })
+
+        settings.queueConcurrency = 2
+        most = 0
+        const pending = Promise.all([ queue.run(job('d', 30)), queue.run(job('e', 30)), queue.run(job('f', 30)) ])
+        await wait(10)
+        assert.deepStrictEqual(queue.getState(), { waiting: 1, active: 2 })
+        await pending
+        assert.strictEqual(most, 2)
+
+        settings.queueConcurrency = 1
+        settings.queueSpacing = 0.05
+        const starts = []
+        await Promise.all([1, 2, 3].map( () => queue.run( () => starts.push(Date.now()) ) ))
+        assert.ok( starts[1] - starts[0] >= 45 && starts[2] - starts[1] >= 45, 'Requests start at least queueSpacing apart' )
+        console.info('TEST 027a - queue - SUCCESS')
+
+        // --- Options --- //
+        assert.deepStrictEqual( wiser.setQueueOptions({}), { concurrency: 1, spacing: 0, cacheTtl: 0 } )
+        assert.deepStrictEqual( wiser.setQueueOptions({ concurrency: 0, spacing: -1, cacheTtl: 'soon' }), { concurrency: 1, spacing: 0, cacheTtl: 0 } )
+        assert.deepStrictEqual( wiser.setQueueOptions({ concurrency: 1.5 }), { concurrency: 1, spacing: 0, cacheTtl: 0 } )
+        assert.deepStrictEqual( wiser.setQueueOptions({ concurrency: 2, spacing: 0.01, cacheTtl: 5 }), { concurrency: 2, spacing: 0.01, cacheTtl: 5 } )
+        assert.deepStrictEqual( wiser.setQueueOptions({ concurrency: 1, spacing: 0 }), { concurrency: 1, spacing: 0, cacheTtl: 5 } )
+        assert.deepStrictEqual( wiser.getQueue(), { waiting: 0, active: 0 } )
+        console.info('TEST 027b - options - SUCCESS')
+
+        // --- getFull cache --- //
+        let updates = 0
+        wiser.eventEmitter.on('wiserFullUpdate', () => updates++ )
+        let before = sim.requests.GET || 0
+        const full = await wiser.getFull()
+        assert.strictEqual( await wiser.getFull(), full, 'Reused within cacheTtl' )
+        assert.strictEqual(sim.requests.GET - before, 1)
+        assert.strictEqual(updates, 1, 'wiserFullUpdate is only emitted when the data is fetched')
+        await wiser.getFull({ cache: false })
+        assert.strictEqual(sim.requests.GET - before, 2)
+
+        // Callers share a request in progress, even with the cache off
+        wiser.setQueueOptions({ cacheTtl: 0 })
+        before = sim.requests.GET
+        const shared = await Promise.all([ wiser.getFull(), wiser.getFull(), wiser.getFull() ])
+        assert.strictEqual(sim.requests.GET - before, 1)
+        assert.ok( shared.every( data => data === shared[0] ) )
+        await wiser.getFull()
+        assert.strictEqual(sim.requests.GET - before, 2)
+
+        // A change stops the data being reused
+        wiser.setQueueOptions({ cacheTtl: 5 })
+        await wiser.getFull()
+        before = sim.requests.GET
+        await wiser.setRoomMode('Lounge', 'set', 21)
+        assert.strictEqual(sim.requests.GET - before, 0, 'setRoomMode reuses the cached data')
+        const after = await wiser.getFull()
+        assert.strictEqual(sim.requests.GET - before, 1)
+        assert.strictEqual( after.Room.find( r => r.id === 1 ).CurrentSetPoint, 210 )
+        console.info('TEST 027c - getFull cache - SUCCESS')
+
+        // --- Patches are sent in order, one at a time --- //
+        wiser.setQueueOptions({ concurrency: 3 })
+        before = sim.requests.PATCH
+        sim.fault({ type: 'slow', method: 'PATCH', delay: 100 })
+        const setting = wiser.setRoomMode('Office', 'manual', 22)
+        await wait(60)
+        assert.strictEqual(sim.requests.PATCH - before, 1, 'The next patch waits for the manual mode patch')
+        const res = await setting
+        assert.strictEqual(res.numResults, 3)
+        assert.strictEqual(sim.requests.PATCH - before, 3)
+        const office = (await wiser.getFull()).Room.find( r => r.id === 8 )
+        assert.strictEqual(office.Mode, 'Manual')
+        assert.strictEqual(office.CurrentSetPoint, 220)
+        console.info('TEST 027d - patches in order - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 027 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        console.warn = consoleWarn
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,110 @@
+/** Bulk room changes (setRooms, resetAllRooms) with dry runs and per-room results, uses the bundled hub simulator */
+const assert = require('assert')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test028' })
+    await sim.start()
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test028',
+    })
+
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+    const patches = () => sim.requests.PATCH || 0
+
+    try {
+        // --- Everything is checked before anything is sent --- //
+        let before = patches()
+        await assert.rejects( wiser.setRooms(['Lounge', 'Narnia', 99], 'boost', 19), err => {
+            return err.name === 'WiserNotFoundError' && /Narnia, 99/.test(err.message)
+        })
+        await assert.rejects( wiser.setRooms(['Lounge'], 'sideways', 19), { name: 'WiserValidationError' } )
+        await assert.rejects( wiser.setRooms(['Lounge'], 'boost', 'hot'), { name: 'WiserValidationError' } )
+        await assert.rejects( wiser.setRooms(['Lounge'], 'boost', 19, -5), { name: 'WiserValidationError' } )
+        await assert.rejects( wiser.setRooms([], 'boost', 19), { name: 'WiserValidationError' } )
+        await assert.rejects( wiser.setRooms('Lounge', 'boost', 19), { name: 'WiserValidationError' } )
+        assert.strictEqual(patches() - before, 0)
+        console.info('TEST 028a - validation - SUCCESS')
+
+        // --- Dry run --- //
+        let report = await wiser.setRooms([1, 'Office', 8], 'boost', 19, 45, { dryRun: true })
+        assert.strictEqual(patches() - before, 0)
+        assert.strictEqual(report.dryRun, true)
+        assert.strictEqual(report.ok, true)
+        assert.deepStrictEqual( report.rooms.map( r => r.room ), ['Lounge', 'Office'] )
+        assert.deepStrictEqual( report.rooms[1].patches, [
+            { RequestOverride: { Type: 'Manual', DurationMinutes: 45, SetPoint: 190, Originator: 'App' } },
+        ])
+        assert.strictEqual(report.rooms[1].sent, 0)
+        assert.notStrictEqual(room('Office').OverrideType, 'Manual')
+        console.info('TEST 028b - dry run - SUCCESS')
+
+        // --- Changes with the fewest patches --- //
+        report = await wiser.setRooms(['Lounge', 'Office'], 'boost', 19, 45)
+        assert.strictEqual(patches() - before, 2)
+        assert.deepStrictEqual( report.rooms.map( r => [r.room, r.ok, r.sent] ), [['Lounge', true, 1], ['Office', true, 1]] )
+        assert.strictEqual(room('Office').OverrideSetpoint, 190)
+
+        before = patches()
+        report = await wiser.setRooms( r => r.Name.startsWith('B'), 'manual', 18 )
+        assert.deepStrictEqual( report.rooms.map( r => r.room ), ['Bedroom', 'Bathroom'] )
+        // Manual mode then the override, the rooms had no override to cancel
+        assert.deepStrictEqual( report.rooms[0].patches.map( p => Object.keys(p)[0] ), ['Mode', 'RequestOverride'] )
+        assert.strictEqual(patches() - before, 4)
+        assert.strictEqual(room('Bedroom').Mode, 'Manual')
+
+        // Already in manual mode - only the new set point is sent
+        before = patches()
+        report = await wiser.setRooms(['Bedroom'], 'manual', 19)
+        assert.strictEqual(patches() - before, 1)
+        assert.strictEqual(room('Bedroom').CurrentSetPoint, 190)
+
+        // Rooms that are already in auto mode are not sent anything, boosts are only cancelled and manual rooms only go back to auto
+        report = await wiser.setRooms('all', 'auto', undefined, undefined, { dryRun: true })
+        assert.deepStrictEqual( report.rooms.map( r => [r.room, r.patches.length] ), [
+            ['Lounge', 1], ['Kitchen', 0], ['Bedroom', 1], ['Bathroom', 1], ['Office', 1],
+        ])
+        console.info('TEST 028c - setRooms - SUCCESS')
+
+        // --- A room that fails does not stop the others --- //
+        before = patches()
+        sim.fault({ type: 'error', status: 400, method: 'PATCH', path: '/data/domain/Room/3' })
+        report = await wiser.resetAllRooms()
+        assert.strictEqual(report.dryRun, false)
+        assert.strictEqual(report.ok, false)
+        assert.deepStrictEqual( report.rooms.map( r => [r.room, r.ok] ), [['Lounge', true], ['Bedroom', false], ['Bathroom', true], ['Office', true]] )
+        const failed = report.rooms[1]
+        assert.strictEqual(failed.error.name, 'WiserHubError')
+        assert.strictEqual(failed.sent, 0)
+        assert.deepStrictEqual( [failed.mode, failed.overrideType, failed.setPoint], ['Manual', 'None', 19] )
+        assert.strictEqual(patches() - before, 4)
+        assert.notStrictEqual(room('Office').OverrideType, 'Manual')
+        assert.strictEqual(room('Bathroom').Mode, 'Auto')
+
+        // Only what is left is reset, and nothing once every room is back on its schedule
+        report = await wiser.resetAllRooms({ dryRun: true })
+        assert.deepStrictEqual( report.rooms.map( r => r.room ), ['Bedroom'] )
+        assert.strictEqual( (await wiser.cancelOverrides()).rooms[0].room, 'Bedroom' )
+        assert.strictEqual(room('Bedroom').Mode, 'Auto')
+        assert.deepStrictEqual( (await wiser.resetAllRooms()).rooms, [] )
+        console.info('TEST 028d - resetAllRooms - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 028 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
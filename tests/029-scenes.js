@@ -0,0 +1,134 @@
+/** Scenes - snapshot the rooms, define scenes, apply them and restore what they replaced. Uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test029' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test029-'))
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test029',
+        folder: folder,
+        maxBoost: 25,
+    })
+
+    const sceneModel = require('../src/scene')
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+    const file = path.join(folder, 'scenes.json')
+
+    try {
+        // --- Room state --- //
+        const unixTime = 1600000000
+        assert.deepStrictEqual( sceneModel.roomState({ Name: 'A', Mode: 'Auto', CurrentSetPoint: 200 }, unixTime),
+            { room: 'A', mode: 'auto', overrideType: 'None', setPoint: 20 } )
+        assert.deepStrictEqual( sceneModel.roomState({ Name: 'A', Mode: 'Auto', CurrentSetPoint: 215, OverrideType: 'Manual',
+            OverrideSetpoint: 215, OverrideTimeoutUnixTime: unixTime + 61 }, unixTime),
+            { room: 'A', mode: 'boost', temp: 21.5, duration: 2, overrideType: 'Manual', setPoint: 21.5 } )
+        assert.strictEqual( sceneModel.roomState({ Name: 'A', Mode: 'Auto', CurrentSetPoint: 180, OverrideType: 'Manual', OverrideSetpoint: 180 }, unixTime).mode, 'set' )
+        assert.strictEqual( sceneModel.roomState({ Name: 'A', Mode: 'Manual', CurrentSetPoint: -200 }, unixTime).mode, 'off' )
+        // No temperature from the controller
+        assert.deepStrictEqual( sceneModel.roomState({ Name: 'A', Mode: 'Auto', CurrentSetPoint: -32768 }, unixTime),
+            { room: 'A', mode: 'auto', overrideType: 'None', setPoint: null } )
+        assert.deepStrictEqual( sceneModel.validate({ rooms: { Lounge: { mode: 'sideways', temp: 'hot' } }, default: { mode: 'boost', duration: 0 } }).errors, [
+            'Room Lounge has an invalid mode (sideways), must be one of: [manual, set, boost, off, auto]',
+            'default has an invalid duration (0), must be a number of minutes',
+        ])
+        assert.strictEqual( sceneModel.validate({ rooms: {} }).valid, false )
+        console.info('TEST 029a - scene model - SUCCESS')
+
+        // --- Snapshot --- //
+        await wiser.setRoomMode('Office', 'boost', 21, 90)
+        await wiser.setRoomMode('Bedroom', 'off')
+        const snapshot = await wiser.saveScene('evening')
+        assert.deepStrictEqual( Object.keys(snapshot.rooms), ['1', '2', '3', '4', '8'] )
+        assert.strictEqual(snapshot.rooms['8'].mode, 'boost')
+        assert.strictEqual(snapshot.rooms['8'].temp, 21)
+        assert.ok( snapshot.rooms['8'].duration > 85 && snapshot.rooms['8'].duration <= 90 )
+        assert.strictEqual(snapshot.rooms['3'].mode, 'off')
+        assert.strictEqual(snapshot.rooms['1'].mode, 'auto')
+        assert.deepStrictEqual( JSON.parse(fs.readFileSync(file, 'utf8')).scenes.evening, snapshot )
+        await assert.rejects( wiser.saveScene(''), { name: 'WiserValidationError' } )
+        console.info('TEST 029b - saveScene - SUCCESS')
+
+        // --- Define --- //
+        await assert.rejects( wiser.defineScene('bad', { rooms: { Lounge: { mode: 'party' } } }), { name: 'WiserValidationError' } )
+        const movie = await wiser.defineScene('movie night', { rooms: { Lounge: { mode: 'boost', temp: 21, duration: 180 } }, default: { mode: 'auto' } })
+        assert.strictEqual(movie.name, 'movie night')
+        await wiser.defineScene('nowhere', { rooms: { Narnia: { mode: 'auto' } } })
+        assert.deepStrictEqual( Object.keys(await wiser.getScenes()).sort(), ['evening', 'movie night', 'nowhere'] )
+        console.info('TEST 029c - defineScene - SUCCESS')
+
+        // --- Apply and restore --- //
+        const before = sim.requests.PATCH
+        await assert.rejects( wiser.applyScene('nowhere'), err => err.name === 'WiserNotFoundError' && /Narnia/.test(err.message) )
+        await assert.rejects( wiser.applyScene('cinema'), { name: 'WiserNotFoundError' } )
+        await assert.rejects( wiser.restoreScene(), { name: 'WiserNotFoundError' } )
+        assert.strictEqual(sim.requests.PATCH - before, 0)
+
+        const applied = await wiser.applyScene('movie night')
+        assert.strictEqual(applied.ok, true)
+        assert.deepStrictEqual( applied.rooms.map( r => [r.room, r.mode] ), [
+            ['Lounge', 'boost'], ['Kitchen', 'auto'], ['Bedroom', 'auto'], ['Bathroom', 'auto'], ['Office', 'auto'],
+        ])
+        assert.strictEqual(applied.previous.scene, 'movie night')
+        assert.strictEqual(applied.previous.rooms['8'].mode, 'boost')
+        assert.strictEqual(room('Lounge').OverrideSetpoint, 210)
+        assert.notStrictEqual(room('Office').OverrideType, 'Manual')
+        assert.strictEqual(room('Bedroom').Mode, 'Auto')
+        assert.deepStrictEqual( JSON.parse(fs.readFileSync(file, 'utf8')).previous, applied.previous )
+
+        const restored = await wiser.restoreScene()
+        assert.strictEqual(restored.name, 'movie night')
+        assert.strictEqual(restored.ok, true)
+        assert.notStrictEqual(room('Lounge').OverrideType, 'Manual')
+        assert.strictEqual(room('Office').OverrideSetpoint, 210)
+        assert.ok( room('Office').OverrideTimeoutUnixTime - sim.data.domain.System.UnixTime > 80 * 60 )
+        assert.strictEqual(room('Bedroom').Mode, 'Manual')
+        assert.strictEqual(room('Bedroom').CurrentSetPoint, -200)
+        // Only the last scene can be restored, once
+        await assert.rejects( wiser.restoreScene(), { name: 'WiserNotFoundError' } )
+
+        // A stored snapshot can be applied like any other scene
+        await wiser.resetAllRooms()
+        assert.strictEqual( (await wiser.applyScene('evening')).ok, true )
+        assert.strictEqual(room('Bedroom').CurrentSetPoint, -200)
+
+        // A setpoint missing from the controller is left out and the default is used
+        await wiser.setRoomMode('Office', 'boost', 21, 30)
+        delete room('Office').OverrideSetpoint
+        const noSetPoint = await wiser.saveScene('no setpoint')
+        assert.strictEqual(noSetPoint.rooms['8'].mode, 'boost')
+        assert.strictEqual('temp' in noSetPoint.rooms['8'], false)
+        await wiser.resetAllRooms()
+        assert.strictEqual( (await wiser.applyScene('no setpoint')).ok, true )
+        assert.strictEqual(room('Office').OverrideSetpoint, 200)
+        console.info('TEST 029d - applyScene/restoreScene - SUCCESS')
+
+        assert.strictEqual( await wiser.deleteScene('nowhere'), true )
+        assert.strictEqual( await wiser.deleteScene('nowhere'), false )
+        console.info('TEST 029e - deleteScene - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 029 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
@@ -0,0 +1,141 @@
+/** Holiday planner - away mode on time, back to normal with pre-heating, kept on disk across restarts and cancelled. Uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test030' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test030-'))
+
+    const Wiser = require('../src/index')
+    const wiser = Wiser()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test030',
+        folder: folder,
+        maxBoost: 25,
+    })
+
+    const wait = ms => new Promise( resolve => setTimeout(resolve, ms) )
+    const system = () => sim.data.domain.System
+    const room = name => sim.data.domain.Room.find( r => r.Name === name )
+    const file = path.join(folder, 'holiday.json')
+
+    const events = []
+    ;['wiserHolidayStarted', 'wiserHolidayEnded', 'wiserHolidayCancelled', 'wiserError'].forEach( name => {
+        wiser.eventEmitter.on(name, data => events.push([name, data]) )
+    })
+    const consoleWarn = console.warn
+    console.warn = () => {}
+
+    let planner = Wiser.HolidayPlanner(wiser)
+
+    try {
+        // --- Setting ---//
+        await assert.rejects( wiser.setAwaySetPoint(50), { name: 'WiserValidationError' } )
+        await wiser.setAwaySetPoint(12)
+        assert.strictEqual(system().AwayModeSetPointLimit, 120)
+        await wiser.setAwaySetPoint(15)
+        console.info('TEST 030a - setAwaySetPoint - SUCCESS')
+
+        // --- Validation --- //
+        assert.strictEqual( await planner.start(), null )
+        const now = Date.now()
+        await assert.rejects( planner.plan({ start: 'someday', end: now + 60000, setback: 10 }), { name: 'WiserValidationError' } )
+        await assert.rejects( planner.plan({ start: now, end: now - 1000, setback: 10 }), { name: 'WiserValidationError' } )
+        await assert.rejects( planner.plan({ start: now, end: now + 60000, setback: 2 }), { name: 'WiserValidationError' } )
+        await assert.rejects( planner.plan({ start: now, end: now + 60000, setback: 10, preHeat: { rooms: [] } }), { name: 'WiserValidationError' } )
+        await assert.rejects( planner.plan({ start: now, end: now + 60000, setback: 10, preHeat: { rooms: ['Lounge'], minutes: 5 } }), { name: 'WiserValidationError' } )
+        await assert.rejects( planner.plan({ start: now, end: now + 7200000, setback: 10, preHeat: { rooms: ['Lounge', 'Narnia'] } }), err => {
+            return err.name === 'WiserNotFoundError' && /Narnia/.test(err.message)
+        })
+        assert.strictEqual(planner.getPlan(), null)
+        assert.strictEqual(fs.existsSync(file), false)
+        console.info('TEST 030b - validation - SUCCESS')
+
+        // --- Kept on disk across restarts --- //
+        // Back to normal 1 minute before the end, so the pre-heating is due 0.8s from now
+        const start = Date.now() + 300
+        const plan = await planner.plan({ start: start, end: start + 60500, setback: 10, preHeat: { rooms: ['Lounge', 8], temp: 22, minutes: 1 } })
+        assert.strictEqual(plan.state, 'planned')
+        assert.deepStrictEqual(plan.preHeat, { rooms: ['Lounge', 8], temp: 22, minutes: 1 })
+        assert.deepStrictEqual( JSON.parse(fs.readFileSync(file, 'utf8')), plan )
+        await planner.stop()
+
+        // Nothing happens while nothing is following the plan
+        await wait(400)
+        assert.strictEqual(system().OverrideType, undefined)
+
+        planner = Wiser.HolidayPlanner(wiser)
+        const resumed = await planner.start()
+        assert.strictEqual(resumed.state, 'active')
+        assert.strictEqual(resumed.previousSetback, 15)
+        assert.strictEqual(system().OverrideType, 'Away')
+        assert.strictEqual(system().AwayModeSetPointLimit, 100)
+        assert.strictEqual( JSON.parse(fs.readFileSync(file, 'utf8')).state, 'active' )
+        assert.strictEqual(events.length, 1)
+        assert.strictEqual(events[0][0], 'wiserHolidayStarted')
+        assert.strictEqual(events[0][1].plan.state, 'active')
+        await assert.rejects( planner.plan({ start: Date.now(), end: Date.now() + 60000, setback: 12 }), { name: 'WiserValidationError' } )
+        console.info('TEST 030c - start and restart - SUCCESS')
+
+        // --- Back to normal and pre-heat --- //
+        await wait(600)
+        assert.strictEqual(planner.getPlan(), null)
+        assert.strictEqual(fs.existsSync(file), false)
+        assert.strictEqual(system().OverrideType, undefined)
+        assert.strictEqual(system().AwayModeSetPointLimit, 150)
+        assert.strictEqual(room('Lounge').OverrideSetpoint, 220)
+        assert.strictEqual(room('Office').OverrideSetpoint, 220)
+        const ended = events[1]
+        assert.strictEqual(ended[0], 'wiserHolidayEnded')
+        assert.deepStrictEqual( ended[1].rooms.map( r => [r.room, r.ok] ), [['Lounge', true], [8, true]] )
+        await wiser.resetAllRooms()
+        console.info('TEST 030d - end and pre-heat - SUCCESS')
+
+        // --- Failures are reported and the plan is kept --- //
+        events.length = 0
+        sim.fault({ type: 'error', status: 400, method: 'PATCH' })
+        await planner.plan({ start: Date.now(), end: Date.now() + 3600000, setback: 8 })
+        await wait(100)
+        assert.strictEqual(events[0][0], 'wiserError')
+        assert.strictEqual(planner.getPlan().state, 'planned')
+        console.info('TEST 030e - failures - SUCCESS')
+
+        // --- Cancel --- //
+        await planner.stop()
+        await planner.start()
+        assert.strictEqual(planner.getPlan().state, 'active')
+        assert.strictEqual(system().AwayModeSetPointLimit, 80)
+        const cancelled = await planner.cancel()
+        assert.strictEqual(cancelled.state, 'active')
+        assert.strictEqual(system().OverrideType, undefined)
+        assert.strictEqual(system().AwayModeSetPointLimit, 150)
+        assert.strictEqual(fs.existsSync(file), false)
+        assert.deepStrictEqual( events.map( e => e[0] ), ['wiserError', 'wiserHolidayStarted', 'wiserHolidayCancelled'] )
+        assert.strictEqual( await planner.cancel(), null )
+        console.info('TEST 030f - cancel - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 030 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        console.warn = consoleWarn
+        await planner.stop()
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
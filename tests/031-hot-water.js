@@ -0,0 +1,150 @@
+/** Hot water - state, modes, monitor events and schedules. Uses the bundled hub simulator */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+async function runTest() {
+
+    const sim = require('../src/simulator')({ secret: 'test031' })
+    await sim.start()
+
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'wiser-test031-'))
+
+    const wiser = require('../src/index')()
+    wiser.setConfig({
+        ip: sim.address(),
+        secret: 'test031',
+        interval: 0.2,
+        folder: folder,
+    })
+
+    const hw = () => sim.data.domain.HotWater[0]
+    const patches = () => sim.requests.PATCH || 0
+
+    /** Resolve with the next event of this name */
+    const next = name => new Promise( resolve => wiser.eventEmitter.once(name, resolve) )
+
+    try {
+        // --- State and modes --- //
+        let state = await wiser.getHotWater()
+        assert.deepStrictEqual( Object.keys(state), ['id', 'on', 'mode', 'until', 'scheduleId'] )
+        assert.strictEqual(state.mode, 'auto')
+        assert.strictEqual(state.on, hw().WaterHeatingState === 'On')
+        assert.strictEqual(state.scheduleId, 1000)
+
+        const before = patches()
+        await assert.rejects( wiser.setHotWaterMode('sideways'), { name: 'WiserValidationError' } )
+        await assert.rejects( wiser.setHotWaterMode('boost', -5), { name: 'WiserValidationError' } )
+        assert.strictEqual(patches() - before, 0)
+
+        await wiser.setHotWaterMode('on')
+        assert.deepStrictEqual( await wiser.getHotWater(), { id: 2, on: true, mode: 'on', until: null, scheduleId: 1000 } )
+        assert.strictEqual(hw().Mode, 'Manual')
+        await wiser.setHotWaterMode('OFF')
+        state = await wiser.getHotWater()
+        assert.strictEqual(state.on, false)
+        assert.strictEqual(state.mode, 'off')
+
+        const res = await wiser.setHotWaterMode('boost', 45)
+        assert.strictEqual(res.numResults, 1)
+        state = await wiser.getHotWater()
+        assert.strictEqual(state.mode, 'boost')
+        assert.strictEqual(state.on, true)
+        const minutes = (Date.parse(state.until) - sim.now().getTime()) / 60000
+        assert.ok( minutes > 44 && minutes <= 45 )
+
+        await wiser.setHotWaterMode('auto')
+        assert.strictEqual( (await wiser.getHotWater()).mode, 'auto' )
+        assert.strictEqual(hw().Mode, 'Auto')
+        assert.strictEqual(hw().OverrideType, undefined)
+
+        // Systems without hot water
+        const saved = sim.data.domain.HotWater
+        delete sim.data.domain.HotWater
+        assert.strictEqual( await wiser.getHotWater(), null )
+        await assert.rejects( wiser.setHotWaterMode('on'), { name: 'WiserNotFoundError' } )
+        sim.data.domain.HotWater = saved
+        console.info('TEST 031a - getHotWater/setHotWaterMode - SUCCESS')
+
+        // --- Monitor events --- //
+        await wiser.setHotWaterMode('off')
+        await new Promise( resolve => {
+            wiser.eventEmitter.once('wiserMonitorRef', resolve)
+            wiser.monitor('test031')
+        })
+
+        const changed = new Promise( resolve => {
+            const listener = data => {
+                if ( data.type !== 'HotWater' ) return
+                wiser.eventEmitter.removeListener('wiserChange', listener)
+                resolve(data)
+            }
+            wiser.eventEmitter.on('wiserChange', listener)
+        })
+        let on = next('wiserHotWaterOn')
+        await wiser.setHotWaterMode('boost', 30)
+        let data = await on
+        assert.strictEqual(data.hotWaterId, 2)
+        assert.strictEqual(data.mode, 'boost')
+        assert.ok( data.until !== null )
+        assert.strictEqual( (await changed).changes.WaterHeatingState, 'On' )
+
+        // The boost ends and the hot water goes back to manual off
+        let off = next('wiserHotWaterOff')
+        sim.advance(31 * 60)
+        data = await off
+        assert.strictEqual(data.mode, 'off')
+
+        on = next('wiserHotWaterOn')
+        await wiser.setHotWaterMode('on')
+        assert.strictEqual( (await on).mode, 'on' )
+        off = next('wiserHotWaterOff')
+        await wiser.setHotWaterMode('off')
+        assert.strictEqual( (await off).mode, 'off' )
+        wiser.removeMonitor('test031')
+        console.info('TEST 031b - monitor events - SUCCESS')
+
+        // --- Schedules --- //
+        const schedule = await wiser.getSchedule(1000)
+        assert.deepStrictEqual(schedule, {
+            id: 1000,
+            type: 'HotWater',
+            all: [{ time: '06:00', temp: 'on' }, { time: '08:30', temp: 'off' }, { time: '17:00', temp: 'on' }, { time: '22:00', temp: 'off' }],
+        })
+
+        const files = (await wiser.saveAllSchedules()).map( result => path.basename(result.file) )
+        assert.ok( files.includes('schedule-1000-HotWater.json') )
+
+        assert.strictEqual( wiser.validateSchedule({ type: 'HotWater', all: [{ time: '06:00', temp: 21 }] }).valid, false )
+        assert.strictEqual( wiser.validateSchedule({ type: 'Heating', all: [{ time: '06:00', temp: 'on' }] }).valid, false )
+        await assert.rejects( wiser.loadSchedule({ id: 1000, type: 'HotWater', all: [{ time: '06:00', temp: 'hot' }] }), { name: 'WiserValidationError' } )
+
+        await wiser.loadSchedule({ id: 1000, type: 'HotWater', weekends: [{ time: '07:00', temp: 'on' }, { time: '09:00', temp: 'off' }] })
+        assert.deepStrictEqual( sim.data.domain.Schedule.find( s => s.id === 1000 ).Sunday.SetPoints, [{ Time: 25200, DegreesC: 1100 }, { Time: 32400, DegreesC: -200 }] )
+        assert.deepStrictEqual( (await wiser.getSchedule(1000)).weekends, [{ time: '07:00', temp: 'on' }, { time: '09:00', temp: 'off' }] )
+
+        // Saved files load back in as they are
+        const results = await wiser.loadAllSchedules()
+        assert.ok( results.every( result => result.error === undefined ) )
+        assert.deepStrictEqual( (await wiser.getSchedule(1000)).all, schedule.all )
+        console.info('TEST 031c - hot water schedules - SUCCESS')
+
+    } catch (err) {
+        console.error('TEST 031 - FAILED:', err)
+        process.exitCode = 1
+    } finally {
+        wiser.removeMonitor('test031')
+        fs.rmSync(folder, { recursive: true, force: true })
+        await sim.stop()
+    }
+}
+
+// Allows us to run either directly or via another node.js script
+if (require.main === module) {
+    // We are running directly
+    runTest()
+} else {
+    // We are a module in another script
+    module.exports = runTest
+}
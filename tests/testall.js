@@ -3,12 +3,70 @@ const T002 = require('./002-full-compare.js')
 const T003 = require('./003-get-room.js')
 const T004 = require('./004-set-room-mode.js')
 const T005 = require('./005-monitor-set.js')
+const T007 = require('./007-simulator.js')
+const T008 = require('./008-schedule-files.js')
+const T009 = require('./009-schedule-model.js')
+const T010 = require('./010-assign-schedules.js')
+const T011 = require('./011-boost-cancel.js')
+const T012 = require('./012-max-boost.js')
+const T013 = require('./013-room-events.js')
+const T014 = require('./014-added-removed.js')
+const T015 = require('./015-diff-by-id.js')
+const T016 = require('./016-hubs.js')
+const T017 = require('./017-cli.js')
+const T018 = require('./018-mqtt-bridge.js')
+const T019 = require('./019-metrics.js')
+const T020 = require('./020-rest-gateway.js')
+const T021 = require('./021-domain-model.js')
+const T022 = require('./022-connection.js')
+const T023 = require('./023-errors.js')
+const T024 = require('./024-logger.js')
+const T025 = require('./025-history.js')
+const T026 = require('./026-analytics.js')
+const T027 = require('./027-queue.js')
+const T028 = require('./028-bulk-rooms.js')
+const T029 = require('./029-scenes.js')
+const T030 = require('./030-holiday.js')
+const T031 = require('./031-hot-water.js')
 
 //T001()
 //T002()
 //T003()
 //T004()
-T005()
+
+// Tests 001-006 need a real controller, without one use the bundled simulator
+if ( process.env.WISER_IP ) {
+    T005()
+} else {
+    // Run one at a time, each starts its own simulator
+    (async () => {
+        await T007()
+        await T008()
+        await T009()
+        await T010()
+        await T011()
+        await T012()
+        await T013()
+        await T014()
+        await T015()
+        await T016()
+        await T017()
+        await T018()
+        await T019()
+        await T020()
+        await T021()
+        await T022()
+        await T023()
+        await T024()
+        await T025()
+        await T026()
+        await T027()
+        await T028()
+        await T029()
+        await T030()
+        await T031()
+    })()
+}
 
 
 // var testsok = true